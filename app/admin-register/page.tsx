@@ -100,6 +100,8 @@ export default function AdminRegisterPage() {
                 value={username}
                 onChange={(e) => setUsername(e.target.value)}
                 placeholder="admin_username"
+                pattern="[A-Za-z0-9_]{3,20}"
+                title="3 to 20 letters, numbers or underscores"
               />
             </div>
 
@@ -10,6 +10,7 @@ import { LogOut } from "lucide-react"
 import { ModeToggle } from "@/components/mode-toggle"
 import AdminSidebar from "./sidebar"
 import { Button } from "@/components/ui/button"
+import { TwoFactorSettings } from "@/components/two-factor-settings"
 
 export default function AdminLayout({ children }: { children: React.ReactNode }) {
   const { user, isLoading, logout } = useAuth()
@@ -81,7 +82,19 @@ export default function AdminLayout({ children }: { children: React.ReactNode })
         <aside className="hidden w-64 border-r bg-background px-4 py-6 md:block overflow-y-auto">
           <AdminSidebar />
         </aside>
-        <main className="flex-1 overflow-y-auto p-4 md:p-6">{children}</main>
+        <main className="flex-1 overflow-y-auto p-4 md:p-6">
+          {/* The admin API refuses admins without two-factor authentication */}
+          {user?.twoFactorEnabled ? (
+            children
+          ) : (
+            <div className="mx-auto max-w-lg space-y-4">
+              <p className="text-sm text-muted-foreground">
+                Turn on two-factor authentication to use the admin dashboard.
+              </p>
+              <TwoFactorSettings />
+            </div>
+          )}
+        </main>
       </div>
     </div>
   )
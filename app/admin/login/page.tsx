@@ -7,12 +7,14 @@ import { useRouter } from "next/navigation"
 import Link from "next/link"
 import { Shield } from "lucide-react"
 import { useAuth } from "@/components/auth-provider"
+import { TwoFactorChallenge } from "@/components/two-factor-challenge"
 
 export default function AdminLoginPage() {
   const [username, setUsername] = useState("")
   const [password, setPassword] = useState("")
   const [error, setError] = useState("")
   const [loading, setLoading] = useState(false)
+  const [needsTwoFactor, setNeedsTwoFactor] = useState(false)
   const router = useRouter()
   const { login } = useAuth()
 
@@ -22,11 +24,15 @@ export default function AdminLoginPage() {
     setLoading(true)
 
     try {
-      const success = await login(username, password)
+      const result = await login(username, password)
 
-      if (success) {
+      if (result === "success") {
         // Redirect to admin dashboard after successful login
         router.push("/admin/dashboard")
+      } else if (result === "twoFactorRequired") {
+        setNeedsTwoFactor(true)
+      } else if (result === "throttled") {
+        setError("Too many failed attempts. Please wait a few minutes and try again.")
       } else {
         setError("Invalid credentials")
       }
@@ -61,42 +67,52 @@ export default function AdminLoginPage() {
             </div>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <label htmlFor="username" className="text-sm font-medium">
-                Username
-              </label>
-              <input
-                id="username"
-                type="text"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                required
-                className="w-full px-3 py-2 border rounded-md dark:border-gray-700 dark:bg-gray-800"
-                placeholder="admin"
-              />
-            </div>
-            <div className="space-y-2">
-              <label htmlFor="password" className="text-sm font-medium">
-                Password
-              </label>
-              <input
-                id="password"
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                required
-                className="w-full px-3 py-2 border rounded-md dark:border-gray-700 dark:bg-gray-800"
-              />
-            </div>
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full py-2 px-4 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              {loading ? "Logging in..." : "Login"}
-            </button>
-          </form>
+          {needsTwoFactor ? (
+            <TwoFactorChallenge
+              onVerified={() => router.push("/admin/dashboard")}
+              onCancel={() => {
+                setNeedsTwoFactor(false)
+                setPassword("")
+              }}
+            />
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <label htmlFor="username" className="text-sm font-medium">
+                  Username or email
+                </label>
+                <input
+                  id="username"
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  required
+                  className="w-full px-3 py-2 border rounded-md dark:border-gray-700 dark:bg-gray-800"
+                  placeholder="admin"
+                />
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="password" className="text-sm font-medium">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  className="w-full px-3 py-2 border rounded-md dark:border-gray-700 dark:bg-gray-800"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-2 px-4 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? "Logging in..." : "Login"}
+              </button>
+            </form>
+          )}
 
           <div className="pt-4 text-center text-sm border-t dark:border-gray-700">
             <Link href="/" className="text-purple-600 hover:underline">
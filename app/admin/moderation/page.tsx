@@ -39,6 +39,15 @@ interface FlaggedPost {
   reason: string
   reportedBy: string
   reportedAt: string
+  reportCount: number
+  reasons: Array<{ reason: string; count: number }>
+  reports: Array<{
+    id: string
+    reporter: { id: string; username: string }
+    reason: string
+    details: string
+    createdAt: string
+  }>
   comments: number
   likes: number
   severity: "low" | "medium" | "high"
@@ -61,16 +70,19 @@ export default function ModerationPage() {
   const fetchFlaggedContent = async () => {
     try {
       setRefreshing(true)
-      const { data } = await axios.get("/api/admin/moderation")
+      const { data } = await axios.get("/api/admin/posts/flagged")
 
-      // Transform the data to ensure comments is a number and add sample data if needed
+      // Transform the data to ensure counts are numbers
       const transformedPosts = (data.data || []).map((post: any) => ({
         ...post,
         comments: Array.isArray(post.comments) ? post.comments.length : post.comments || 0,
-        severity: post.severity || ["low", "medium", "high"][Math.floor(Math.random() * 3)],
+        likes: Array.isArray(post.likes) ? post.likes.length : post.likes || 0,
+        severity: post.severity || "low",
         status: post.status || "pending",
         reportedAt: post.reportedAt || post.createdAt,
-        likes: post.likes || Math.floor(Math.random() * 50),
+        reportCount: post.reportCount || 0,
+        reasons: post.reasons || [],
+        reports: post.reports || [],
       }))
 
       setFlaggedPosts(transformedPosts)
@@ -116,7 +128,8 @@ export default function ModerationPage() {
 
   const handleModeratePost = async (postId: string, action: "approve" | "reject") => {
     try {
-      await axios.put(`/api/admin/posts/${postId}/moderate`, { action })
+      // Approving dismisses the reports, rejecting resolves them and removes the post
+      await axios.put(`/api/admin/posts/${postId}/reports/${action === "approve" ? "dismiss" : "resolve"}`)
 
       // Update local state
       setFlaggedPosts(
@@ -488,6 +501,24 @@ export default function ModerationPage() {
                             Flagged by <span className="font-medium">{post.reportedBy}</span> on{" "}
                             {new Date(post.reportedAt).toLocaleString()}
                           </p>
+                          {post.reportCount > 0 && (
+                            <>
+                              <p className="text-sm mt-1">
+                                {post.reportCount} {post.reportCount === 1 ? "report" : "reports"}:{" "}
+                                {post.reasons.map((r) => `${r.reason} (${r.count})`).join(", ")}
+                              </p>
+                              <ul className="text-sm mt-2 space-y-1">
+                                {post.reports
+                                  .filter((report) => report.details)
+                                  .map((report) => (
+                                    <li key={report.id}>
+                                      <span className="font-medium">{report.reporter.username}:</span>{" "}
+                                      {report.details}
+                                    </li>
+                                  ))}
+                              </ul>
+                            </>
+                          )}
                         </div>
                       </div>
                     </div>
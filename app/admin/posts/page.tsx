@@ -41,6 +41,7 @@ import {
   PieChart,
   TrendingUp,
   Calendar,
+  ShieldAlert,
 } from "lucide-react"
 import { useToast } from "@/hooks/use-toast"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
@@ -65,8 +66,15 @@ interface AdminPost {
   comments: number
   category: string
   flagged: boolean
+  contentRating: "general" | "sensitive" | "mature"
 }
 
+const CONTENT_RATINGS = [
+  { value: "general", label: "General" },
+  { value: "sensitive", label: "Sensitive" },
+  { value: "mature", label: "Mature" },
+] as const
+
 export default function PostsPage() {
   const [posts, setPosts] = useState<AdminPost[]>([])
   const [filteredPosts, setFilteredPosts] = useState<AdminPost[]>([])
@@ -116,6 +124,7 @@ export default function PostsPage() {
           typeof post.comments === "number" ? post.comments : Array.isArray(post.comments) ? post.comments.length : 0,
         category: post.category || "other",
         flagged: !!post.flagged,
+        contentRating: post.contentRating || "general",
       }))
 
       setPosts(transformedPosts)
@@ -236,6 +245,26 @@ export default function PostsPage() {
     }
   }
 
+  const handleRatePost = async (postId: string, contentRating: AdminPost["contentRating"]) => {
+    try {
+      await axios.put(`/api/admin/posts/${postId}/moderate`, { action: "rate", contentRating })
+
+      // Update local state
+      setPosts(posts.map((post) => (post.id === postId ? { ...post, contentRating } : post)))
+
+      toast({
+        title: "Content rating updated",
+        description: `The post is now rated ${contentRating}`,
+      })
+    } catch (err: any) {
+      toast({
+        title: "Error",
+        description: err.response?.data?.message || "Failed to update content rating",
+        variant: "destructive",
+      })
+    }
+  }
+
   // Fix the handleDownloadPosts function to use a direct form submission approach
   const handleDownloadPosts = () => {
     if (!startDate || !endDate) {
@@ -649,6 +678,11 @@ export default function PostsPage() {
                                     Flagged
                                   </Badge>
                                 )}
+                                {post.contentRating !== "general" && (
+                                  <Badge variant="outline" className="mt-1 ml-1 capitalize">
+                                    {post.contentRating}
+                                  </Badge>
+                                )}
                               </div>
                             </div>
                           </TableCell>
@@ -699,6 +733,18 @@ export default function PostsPage() {
                                   {post.flagged ? "Unflag Post" : "Flag Post"}
                                 </DropdownMenuItem>
                                 <DropdownMenuSeparator />
+                                <DropdownMenuLabel>Content rating</DropdownMenuLabel>
+                                {CONTENT_RATINGS.map((rating) => (
+                                  <DropdownMenuItem
+                                    key={rating.value}
+                                    disabled={post.contentRating === rating.value}
+                                    onClick={() => handleRatePost(post.id, rating.value)}
+                                  >
+                                    <ShieldAlert className="mr-2 h-4 w-4" />
+                                    {rating.label}
+                                  </DropdownMenuItem>
+                                ))}
+                                <DropdownMenuSeparator />
                                 <DropdownMenuItem
                                   className="text-red-600 focus:text-red-600"
                                   onClick={() => {
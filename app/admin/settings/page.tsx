@@ -1,6 +1,6 @@
 "use client"
 
-import { useState } from "react"
+import { useState, useEffect } from "react"
 import axios from "axios"
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
@@ -28,7 +28,6 @@ export default function SettingsPage() {
   const [moderationSettings, setModerationSettings] = useState({
     autoModeration: true,
     profanityFilter: true,
-    sensitiveContentDetection: true,
     userReportThreshold: 3,
   })
 
@@ -38,6 +37,28 @@ export default function SettingsPage() {
     adminToken: "",
   })
 
+  // Load the stored settings so the form reflects what is actually saved
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const { data } = await axios.get("/api/admin/settings")
+        const { cloudinary, moderation, admin } = data.data
+
+        setCloudinarySettings((prev) => ({ ...prev, ...cloudinary }))
+        setModerationSettings((prev) => ({ ...prev, ...moderation }))
+        setAdminSettings((prev) => ({ ...prev, ...admin }))
+      } catch (err: any) {
+        toast({
+          title: "Error",
+          description: err.response?.data?.message || "Failed to load settings",
+          variant: "destructive",
+        })
+      }
+    }
+
+    fetchSettings()
+  }, [toast])
+
   const handleSaveCloudinarySettings = async () => {
     setLoading(true)
     try {
@@ -228,20 +249,6 @@ export default function SettingsPage() {
                 />
               </div>
 
-              <div className="flex items-center justify-between">
-                <div className="space-y-0.5">
-                  <Label htmlFor="sensitiveContentDetection">Sensitive Content Detection</Label>
-                  <p className="text-sm text-muted-foreground">Detect and flag potentially sensitive images</p>
-                </div>
-                <Switch
-                  id="sensitiveContentDetection"
-                  checked={moderationSettings.sensitiveContentDetection}
-                  onCheckedChange={(checked) =>
-                    setModerationSettings({ ...moderationSettings, sensitiveContentDetection: checked })
-                  }
-                />
-              </div>
-
               <div className="space-y-2">
                 <Label htmlFor="userReportThreshold">User Report Threshold</Label>
                 <Input
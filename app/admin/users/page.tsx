@@ -2,6 +2,7 @@
 
 import { useState, useEffect, useMemo } from "react"
 import axios from "axios"
+import { formatDistanceToNow } from "date-fns"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle, CardFooter } from "@/components/ui/card"
 import { Input } from "@/components/ui/input"
 import { Button } from "@/components/ui/button"
@@ -41,6 +42,7 @@ import {
   AlertCircle,
   UserPlus,
   Download,
+  Lock,
 } from "lucide-react"
 import { useToast } from "@/hooks/use-toast"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
@@ -59,8 +61,20 @@ interface AdminUser {
   status?: "active" | "suspended" | "pending"
 }
 
+// An account locked after too many failed sign-ins
+interface LockedUser {
+  id: string
+  username: string
+  email: string
+  profilePicture: string
+  failedAttempts: number
+  lastFailedAt: string
+  lockedUntil: string
+}
+
 export default function UsersPage() {
   const [users, setUsers] = useState<AdminUser[]>([])
+  const [lockedUsers, setLockedUsers] = useState<LockedUser[]>([])
   const [filteredUsers, setFilteredUsers] = useState<AdminUser[]>([])
   const [searchQuery, setSearchQuery] = useState("")
   const [loading, setLoading] = useState(true)
@@ -78,7 +92,11 @@ export default function UsersPage() {
   const fetchUsers = async () => {
     try {
       setRefreshing(true)
-      const { data } = await axios.get("/api/admin/users")
+      const [{ data }, locked] = await Promise.all([
+        axios.get("/api/admin/users"),
+        axios.get("/api/admin/users/locked"),
+      ])
+      setLockedUsers(locked.data.data || [])
 
       // Add a status field if it doesn't exist
       const processedUsers = (data.data || []).map((user: AdminUser) => ({
@@ -203,6 +221,24 @@ export default function UsersPage() {
     }
   }
 
+  const handleUnlockUser = async (userId: string) => {
+    try {
+      await axios.put(`/api/admin/users/${userId}/unlock`)
+      setLockedUsers(lockedUsers.filter((user) => user.id !== userId))
+
+      toast({
+        title: "Account unlocked",
+        description: "The user can log in again",
+      })
+    } catch (err: any) {
+      toast({
+        title: "Error",
+        description: err.response?.data?.message || "Failed to unlock user",
+        variant: "destructive",
+      })
+    }
+  }
+
   const handleDeleteUser = async (userId: string) => {
     try {
       await axios.delete(`/api/admin/users/${userId}`)
@@ -337,6 +373,49 @@ export default function UsersPage() {
         </div>
       </div>
 
+      {lockedUsers.length > 0 && (
+        <Card>
+          <CardHeader className="pb-3">
+            <CardTitle className="flex items-center gap-2">
+              <Lock className="h-5 w-5" />
+              Locked Accounts
+            </CardTitle>
+            <CardDescription>Locked after too many failed sign-ins. Owners were told by email.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>User</TableHead>
+                  <TableHead>Failed Attempts</TableHead>
+                  <TableHead>Last Attempt</TableHead>
+                  <TableHead>Unlocks</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {lockedUsers.map((user) => (
+                  <TableRow key={user.id}>
+                    <TableCell>
+                      <div className="font-medium">{user.username}</div>
+                      <div className="text-xs text-muted-foreground">{user.email}</div>
+                    </TableCell>
+                    <TableCell>{user.failedAttempts}</TableCell>
+                    <TableCell>{formatDistanceToNow(new Date(user.lastFailedAt), { addSuffix: true })}</TableCell>
+                    <TableCell>{formatDistanceToNow(new Date(user.lockedUntil), { addSuffix: true })}</TableCell>
+                    <TableCell className="text-right">
+                      <Button variant="outline" size="sm" onClick={() => handleUnlockUser(user.id)}>
+                        Unlock
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
       <div className="grid gap-4 md:grid-cols-5">
         <Card className="md:col-span-1">
           <CardHeader>
@@ -0,0 +1,9 @@
+import { ForgotPasswordForm } from "@/components/forgot-password-form"
+
+export default function ForgotPasswordPage() {
+  return (
+    <div className="flex min-h-screen flex-col items-center justify-center bg-gradient-to-br from-background to-muted">
+      <ForgotPasswordForm />
+    </div>
+  )
+}
@@ -4,10 +4,12 @@ import { useState, useEffect } from "react"
 import { MainLayout } from "@/components/main-layout"
 import { Profile } from "@/components/profile"
 import { useAuth } from "@/components/auth-provider"
+import { useRouter } from "next/navigation"
 import axios from "axios"
 
 export default function ProfilePage({ params }: { params: { username: string } }) {
   const { user } = useAuth()
+  const router = useRouter()
   const [profile, setProfile] = useState<any>(null)
   const [loading, setLoading] = useState(true)
 
@@ -19,6 +21,11 @@ export default function ProfilePage({ params }: { params: { username: string } }
           const { data } = await axios.get(`/api/users/${params.username}`)
           if (data.success) {
             setProfile(data.data)
+
+            // The user has changed their username since this link was made
+            if (data.data.user.username !== params.username) {
+              router.replace(`/profile/${data.data.user.username}`)
+            }
           }
         } catch (error) {
           console.error("Error fetching profile:", error)
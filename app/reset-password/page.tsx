@@ -0,0 +1,13 @@
+import { Suspense } from "react"
+import { ResetPasswordForm } from "@/components/reset-password-form"
+
+export default function ResetPasswordPage() {
+  // The form reads the token from the query string
+  return (
+    <div className="flex min-h-screen flex-col items-center justify-center bg-gradient-to-br from-background to-muted">
+      <Suspense>
+        <ResetPasswordForm />
+      </Suspense>
+    </div>
+  )
+}
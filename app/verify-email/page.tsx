@@ -0,0 +1,13 @@
+import { Suspense } from "react"
+import { VerifyEmail } from "@/components/verify-email"
+
+export default function VerifyEmailPage() {
+  // The form reads the token from the query string
+  return (
+    <div className="flex min-h-screen flex-col items-center justify-center bg-gradient-to-br from-background to-muted">
+      <Suspense>
+        <VerifyEmail />
+      </Suspense>
+    </div>
+  )
+}
@@ -1,5 +1,12 @@
 const User = require("../models/User")
 const Post = require("../models/Post")
+const PlatformSettings = require("../models/PlatformSettings")
+const Report = require("../models/Report")
+const Notification = require("../models/Notification")
+const { emitNewNotification } = require("../socket")
+const { CONTENT_RATINGS } = require("../utils/contentFilter")
+const { revokeSessions } = require("../utils/sessions")
+const { clearAccountFailures } = require("../utils/loginThrottle")
 const cloudinary = require("cloudinary").v2
 const archiver = require("archiver")
 const axios = require("axios")
@@ -307,6 +314,62 @@ exports.getUsers = async (req, res) => {
   }
 }
 
+// @desc    Get accounts locked after too many failed sign-ins
+// @route   GET /api/admin/users/locked
+// @access  Private (Admin only)
+exports.getLockedUsers = async (req, res) => {
+  try {
+    const users = await User.find({ "loginFailures.lockedUntil": { $gt: new Date() } })
+      .select("username email profilePicture loginFailures")
+      .sort({ "loginFailures.lockedUntil": -1 })
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users.map((user) => ({
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        profilePicture: user.profilePicture,
+        failedAttempts: user.loginFailures.count,
+        lastFailedAt: user.loginFailures.lastFailedAt,
+        lockedUntil: user.loginFailures.lockedUntil,
+      })),
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Unlock an account and forget its failed sign-ins
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private (Admin only)
+exports.unlockUser = async (req, res) => {
+  try {
+    const result = await clearAccountFailures(req.params.id)
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
 // @desc    Get single user
 // @route   GET /api/admin/users/:id
 // @access  Private (Admin only)
@@ -376,6 +439,9 @@ exports.deleteUser = async (req, res) => {
       })
     }
 
+    // Sign the deleted user out everywhere
+    await revokeSessions(req.app.get("io"), user._id)
+
     res.status(200).json({
       success: true,
       data: {},
@@ -411,6 +477,8 @@ exports.getPosts = async (req, res) => {
         likes: Array.isArray(post.likes) ? post.likes.length : 0,
         comments: Array.isArray(post.comments) ? post.comments.length : 0,
         flagged: post.flagged || false,
+        contentRating: post.contentRating || "general",
+        contentRatingLocked: post.contentRatingLocked || false,
       }
     })
 
@@ -433,12 +501,185 @@ exports.getPosts = async (req, res) => {
 // @access  Private (Admin only)
 exports.getFlaggedPosts = async (req, res) => {
   try {
-    const posts = await Post.find({ flagged: true }).populate("user", "username profilePicture")
+    const posts = await Post.find({ flagged: true })
+      .sort({ createdAt: -1 })
+      .populate("user", "username profilePicture")
+
+    // Load all pending reports for the flagged posts in one query
+    const reports = await Report.find({
+      post: { $in: posts.map((post) => post._id) },
+      status: "pending",
+    })
+      .sort({ createdAt: -1 })
+      .populate("reporter", "username")
+
+    const reportsByPost = new Map()
+    for (const report of reports) {
+      const postId = report.post.toString()
+      if (!reportsByPost.has(postId)) reportsByPost.set(postId, [])
+      reportsByPost.get(postId).push(report)
+    }
+
+    const { moderation } = await PlatformSettings.getSettings()
+
+    const formattedPosts = posts.map((post) => {
+      const postReports = reportsByPost.get(post._id.toString()) || []
+
+      // Count how often each reason was given, most common first
+      const reasonCounts = {}
+      for (const report of postReports) {
+        reasonCounts[report.reason] = (reasonCounts[report.reason] || 0) + 1
+      }
+      const reasons = Object.entries(reasonCounts)
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count)
+
+      // Severity grows with the number of reports relative to the threshold
+      let severity = "low"
+      if (postReports.length >= moderation.userReportThreshold * 2) {
+        severity = "high"
+      } else if (postReports.length >= moderation.userReportThreshold) {
+        severity = "medium"
+      }
+
+      const latestReport = postReports[0]
+
+      return {
+        id: post._id,
+        text: post.text || "",
+        image: post.image || "",
+        category: post.category || "other",
+        createdAt: post.createdAt,
+        user: {
+          id: post.user ? post.user._id : null,
+          username: post.user ? post.user.username : "Unknown",
+          profilePicture: post.user ? post.user.profilePicture : null,
+        },
+        likes: Array.isArray(post.likes) ? post.likes.length : 0,
+        comments: Array.isArray(post.comments) ? post.comments.length : 0,
+        // Posts without reports were flagged by an admin or by auto moderation
+        reason: reasons.length > 0 ? reasons[0].reason : "moderation",
+        reportedBy: latestReport && latestReport.reporter ? latestReport.reporter.username : "Moderation",
+        reportedAt: latestReport ? latestReport.createdAt : post.createdAt,
+        reportCount: postReports.length,
+        reasons,
+        reports: postReports.map((report) => ({
+          id: report._id,
+          reporter: {
+            id: report.reporter ? report.reporter._id : null,
+            username: report.reporter ? report.reporter.username : "Deleted User",
+          },
+          reason: report.reason,
+          details: report.details,
+          createdAt: report.createdAt,
+        })),
+        severity,
+        status: "pending",
+      }
+    })
+
+    res.status(200).json({
+      success: true,
+      count: formattedPosts.length,
+      data: formattedPosts,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// Helper function to close the pending reports on a post and notify each reporter
+const closeReports = async (req, post, status, content) => {
+  const reports = await Report.find({ post: post._id, status: "pending" })
+
+  await Report.updateMany(
+    { post: post._id, status: "pending" },
+    { status, reviewedBy: req.user.id, reviewedAt: Date.now() },
+  )
+
+  const io = req.app.get("io")
+  const type = status === "resolved" ? "report_resolved" : "report_dismissed"
+
+  for (const report of reports) {
+    try {
+      const notification = await Notification.create({
+        recipient: report.reporter,
+        sender: req.user.id,
+        type,
+        // Removed posts can't be linked to
+        post: status === "dismissed" ? post._id : undefined,
+        content,
+      })
+
+      if (io) {
+        emitNewNotification(io, report.reporter.toString(), {
+          id: notification._id,
+          type: notification.type,
+          user: {
+            id: req.user._id,
+            username: req.user.username,
+            profilePicture: req.user.profilePicture,
+          },
+          content: notification.content,
+          postId: notification.post || null,
+          read: notification.read,
+          timestamp: notification.createdAt,
+        })
+      }
+    } catch (notifError) {
+      console.error("Error notifying reporter:", notifError)
+      // Continue with other reporters even if one notification fails
+    }
+  }
+
+  return reports.length
+}
+
+// @desc    Resolve the reports on a post and remove it
+// @route   PUT /api/admin/posts/:id/reports/resolve
+// @access  Private (Admin only)
+exports.resolveReports = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      })
+    }
+
+    // Posts are removed by default; pass removePost: false to only close the reports
+    const removePost = req.body.removePost !== false
+
+    const resolvedCount = await closeReports(
+      req,
+      post,
+      "resolved",
+      removePost
+        ? "The meme you reported has been removed. Thanks for helping keep ChuckleChain fun."
+        : "Thanks for your report. A moderator has reviewed the meme you reported.",
+    )
+
+    if (removePost) {
+      await Notification.deleteMany({ post: post._id })
+      await post.deleteOne()
+    } else {
+      // The post stays up, so it leaves the moderation queue like a dismissal
+      post.flagged = false
+      await post.save()
+    }
 
     res.status(200).json({
       success: true,
-      count: posts.length,
-      data: posts,
+      data: {
+        id: post._id,
+        resolvedReports: resolvedCount,
+        removed: removePost,
+      },
     })
   } catch (error) {
     res.status(500).json({
@@ -448,17 +689,67 @@ exports.getFlaggedPosts = async (req, res) => {
   }
 }
 
-// @desc    Moderate a post (flag/unflag)
+// @desc    Dismiss the reports on a post and clear its flag
+// @route   PUT /api/admin/posts/:id/reports/dismiss
+// @access  Private (Admin only)
+exports.dismissReports = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      })
+    }
+
+    const dismissedCount = await closeReports(
+      req,
+      post,
+      "dismissed",
+      "Thanks for your report. A moderator reviewed the meme and found it doesn't break our guidelines.",
+    )
+
+    post.flagged = false
+    await post.save()
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: post._id,
+        dismissedReports: dismissedCount,
+        flagged: post.flagged,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Moderate a post (flag/unflag/rate)
 // @route   PUT /api/admin/posts/:id/moderate
 // @access  Private (Admin only)
 exports.moderatePost = async (req, res) => {
   try {
-    const { action } = req.body
+    const { action, contentRating } = req.body
 
-    if (!action || !["flag", "unflag", "delete"].includes(action)) {
+    if (!action || !["flag", "unflag", "rate", "delete"].includes(action)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid action. Must be 'flag', 'unflag', or 'delete'",
+        message: "Invalid action. Must be 'flag', 'unflag', 'rate', or 'delete'",
+      })
+    }
+
+    if (
+      (action === "rate" || contentRating !== undefined) &&
+      !CONTENT_RATINGS.includes(contentRating)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid content rating. Must be one of: ${CONTENT_RATINGS.join(", ")}`,
       })
     }
 
@@ -472,6 +763,8 @@ exports.moderatePost = async (req, res) => {
         })
       }
 
+      await Report.deleteMany({ post: post._id })
+
       return res.status(200).json({
         success: true,
         data: {},
@@ -479,11 +772,18 @@ exports.moderatePost = async (req, res) => {
       })
     }
 
-    const flagged = action === "flag"
+    const update = {}
+    if (action !== "rate") update.flagged = action === "flag"
+
+    // A moderator's rating overrides the author's and locks it
+    if (contentRating !== undefined) {
+      update.contentRating = contentRating
+      update.contentRatingLocked = true
+    }
 
     const post = await Post.findByIdAndUpdate(
       req.params.id,
-      { flagged },
+      update,
       {
         new: true,
         runValidators: true,
@@ -509,6 +809,83 @@ exports.moderatePost = async (req, res) => {
   }
 }
 
+// @desc    Get platform settings
+// @route   GET /api/admin/settings
+// @access  Private (Admin only)
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await PlatformSettings.getSettings()
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cloudinary: settings.cloudinary,
+        moderation: settings.moderation,
+        admin: settings.admin,
+        updatedAt: settings.updatedAt,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// Helper function to update one section of the platform settings
+// with only the fields that were provided in the request body
+const updateSettingsSection = async (req, res, section, fields) => {
+  try {
+    const settings = await PlatformSettings.getSettings()
+
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        settings[section][field] = req.body[field]
+      }
+    }
+
+    settings.updatedBy = req.user.id
+    settings.updatedAt = Date.now()
+    await settings.save()
+
+    res.status(200).json({
+      success: true,
+      data: settings[section],
+    })
+  } catch (error) {
+    // Mongoose validation and cast errors come from bad input
+    const statusCode = error.name === "ValidationError" || error.name === "CastError" ? 400 : 500
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Update Cloudinary upload settings
+// @route   PUT /api/admin/settings/cloudinary
+// @access  Private (Admin only)
+exports.updateCloudinarySettings = (req, res) =>
+  updateSettingsSection(req, res, "cloudinary", ["cloudName", "uploadPreset", "folder", "resourceType", "maxFileSize"])
+
+// @desc    Update content moderation settings
+// @route   PUT /api/admin/settings/moderation
+// @access  Private (Admin only)
+exports.updateModerationSettings = (req, res) =>
+  updateSettingsSection(req, res, "moderation", [
+    "autoModeration",
+    "profanityFilter",
+    "userReportThreshold",
+  ])
+
+// @desc    Update admin registration settings
+// @route   PUT /api/admin/settings/admin
+// @access  Private (Admin only)
+exports.updateAdminSettings = (req, res) =>
+  updateSettingsSection(req, res, "admin", ["adminRegistrationEnabled", "adminToken"])
+
 // Helper function to draw text with outline
 const drawTextWithStyles = (ctx, memeText, imageWidth, imageHeight) => {
   // Calculate actual position based on percentage values
@@ -1,4 +1,41 @@
+const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const Session = require("../models/Session")
+const { createActionToken, consumeActionToken } = require("../utils/tokens")
+const { sendPasswordResetEmail, sendVerificationEmail } = require("../utils/mailer")
+const {
+  parseRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+} = require("../utils/sessions")
+const { verifySecondFactor } = require("../utils/twoFactor")
+const { checkUsernameAvailability } = require("../utils/usernames")
+const {
+  ipRetryAfter,
+  recordIpFailure,
+  accountRetryAfter,
+  recordAccountFailure,
+  clearAccountFailures,
+  tooManyAttemptsMessage,
+} = require("../utils/loginThrottle")
+
+// How long the second step of a two-factor login can take
+const TWO_FACTOR_CHALLENGE_EXPIRE = "5m"
+
+// Check the username and email of a new account. Usernames follow the same
+// rules as when they are changed, so they never contain "@" (which login
+// reads as an email) or take a name that still redirects to someone else.
+// Returns an error message, or null when both are free.
+const checkNewAccount = async (username, email) => {
+  const { available, reason } = await checkUsernameAvailability(username)
+  if (!available) return reason
+
+  if (typeof email !== "string" || !email.trim()) return "Please provide an email"
+  if (await User.exists({ email })) return "Email already in use"
+
+  return null
+}
 
 // @desc    Register user
 // @route   POST /api/auth/signup
@@ -8,12 +45,12 @@ exports.signup = async (req, res) => {
     const { username, email, password } = req.body
 
     // Check if user already exists
-    const userExists = await User.findOne({ $or: [{ email }, { username }] })
+    const accountError = await checkNewAccount(username, email)
 
-    if (userExists) {
+    if (accountError) {
       return res.status(400).json({
         success: false,
-        message: userExists.email === email ? "Email already in use" : "Username already taken",
+        message: accountError,
       })
     }
 
@@ -22,10 +59,13 @@ exports.signup = async (req, res) => {
       username,
       email,
       password,
+      emailVerified: false,
     })
 
+    await sendVerification(user)
+
     // Send token response
-    sendTokenResponse(user, 201, res)
+    await sendTokenResponse(user, 201, req, res)
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -42,12 +82,12 @@ exports.adminSignup = async (req, res) => {
     const { username, email, password } = req.body
 
     // Check if user already exists
-    const userExists = await User.findOne({ $or: [{ email }, { username }] })
+    const accountError = await checkNewAccount(username, email)
 
-    if (userExists) {
+    if (accountError) {
       return res.status(400).json({
         success: false,
-        message: userExists.email === email ? "Email already in use" : "Username already taken",
+        message: accountError,
       })
     }
 
@@ -57,10 +97,13 @@ exports.adminSignup = async (req, res) => {
       email,
       password,
       role: "admin",
+      emailVerified: false,
     })
 
+    await sendVerification(user)
+
     // Send token response
-    sendTokenResponse(user, 201, res)
+    await sendTokenResponse(user, 201, req, res)
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -74,38 +117,72 @@ exports.adminSignup = async (req, res) => {
 // @access  Public
 exports.login = async (req, res) => {
   try {
-    const { username, password } = req.body
+    const { password } = req.body
+    // "username" is still accepted from clients that send the old field
+    const identifier = req.body.identifier ?? req.body.username
 
-    // Validate username & password
-    if (!username || !password) {
+    // Validate identifier & password
+    if (typeof identifier !== "string" || !identifier.trim() || typeof password !== "string" || !password) {
       return res.status(400).json({
         success: false,
-        message: "Please provide username and password",
+        message: "Please provide your username or email and password",
       })
     }
 
-    // Check for user
-    const user = await User.findOne({ username }).select("+password")
+    // Slow down clients that keep getting it wrong
+    const ipWait = await ipRetryAfter(req.ip)
+    if (ipWait) {
+      return sendTooManyAttempts(res, ipWait)
+    }
+
+    // Check for user. Usernames can't contain "@", so anything with one is
+    // an email
+    const login = identifier.trim()
+    const user = await User.findOne(login.includes("@") ? { email: login } : { username: login }).select("+password")
 
     if (!user) {
+      await recordIpFailure(req.ip)
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       })
     }
 
+    // Locked accounts and accounts in backoff don't check passwords at all
+    const accountWait = accountRetryAfter(user)
+    if (accountWait) {
+      return sendTooManyAttempts(res, accountWait)
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password)
 
     if (!isMatch) {
+      await recordIpFailure(req.ip)
+      await recordAccountFailure(user)
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       })
     }
 
+    // With two-factor on, the password only earns a challenge for the code
+    if (user.twoFactor.enabled) {
+      const challengeToken = jwt.sign({ id: user._id, purpose: "2fa-login" }, process.env.JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE,
+      })
+
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken,
+      })
+    }
+
+    await clearAccountFailures(user._id)
+
     // Send token response
-    sendTokenResponse(user, 200, res)
+    await sendTokenResponse(user, 200, req, res)
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -114,19 +191,190 @@ exports.login = async (req, res) => {
   }
 }
 
-// @desc    Log user out / clear cookie
+// @desc    Finish a two-factor login with an authenticator or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires login challenge token)
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    let challenge
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET)
+    } catch (error) {
+      challenge = null
+    }
+
+    const user = challenge && challenge.purpose === "2fa-login" && (await User.findById(challenge.id))
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Your login has expired. Please log in again.",
+      })
+    }
+
+    // Wrong codes count against the account like wrong passwords
+    const wait = Math.max(await ipRetryAfter(req.ip), accountRetryAfter(user))
+    if (wait) {
+      return sendTooManyAttempts(res, wait)
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      await recordIpFailure(req.ip)
+      await recordAccountFailure(user)
+      return res.status(401).json({
+        success: false,
+        message: "Invalid code",
+      })
+    }
+
+    await clearAccountFailures(user._id)
+
+    await sendTokenResponse(user, 200, req, res, { twoFactorVerified: true })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Log user out / end the session and clear cookies
 // @route   GET /api/auth/logout
 // @access  Private
-exports.logout = (req, res) => {
-  res.cookie("token", "none", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  })
+exports.logout = async (req, res) => {
+  try {
+    const session = await findRequestSession(req)
 
-  res.status(200).json({
-    success: true,
-    data: {},
-  })
+    if (session) {
+      await revokeSessions(req.app.get("io"), session.user, { only: [session._id] })
+    }
+
+    clearAuthCookies(res)
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Swap the refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token cookie)
+exports.refresh = async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.cookies.refreshToken, req)
+    const user = rotated && (await User.findById(rotated.session.user))
+
+    if (!user) {
+      clearAuthCookies(res)
+      return res.status(401).json({
+        success: false,
+        message: "Your session has expired. Please log in again.",
+      })
+    }
+
+    const token = setAuthCookies(res, user, rotated.session, rotated.refreshToken)
+
+    res.status(200).json({
+      success: true,
+      token,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    List the devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.sessionId,
+      })),
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get("io"), req.user._id, {
+      only: [req.params.id],
+    })
+
+    if (revoked.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      })
+    }
+
+    if (req.params.id === req.sessionId) {
+      clearAuthCookies(res)
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Sign out every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get("io"), req.user._id, {
+      except: req.sessionId,
+    })
+
+    res.status(200).json({
+      success: true,
+      data: { revoked: revoked.length },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
 }
 
 // @desc    Get current logged in user
@@ -148,20 +396,248 @@ exports.getMe = async (req, res) => {
   }
 }
 
-// Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken()
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide an email",
+      })
+    }
+
+    const user = await User.findOne({ email: email.trim() })
+
+    if (user) {
+      const token = await createActionToken(user, "password-reset")
+      await sendPasswordResetEmail(user, token)
+    }
+
+    // Answer the same either way so the form can't be used to find accounts
+    res.status(200).json({
+      success: true,
+      message: "If an account uses that email, a reset link is on its way",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Set a new password with a reset link
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!password || typeof password !== "string" || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      })
+    }
+
+    const user = await consumeActionToken(token, "password-reset")
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "This reset link is invalid or has expired",
+      })
+    }
+
+    user.password = password
+    // The link was sent to their inbox, so the address is theirs
+    user.emailVerified = true
+    await user.save()
+
+    // Whoever knew the old password is signed out everywhere, and the
+    // owner gets back into a locked account
+    await revokeSessions(req.app.get("io"), user._id)
+    await clearAccountFailures(user._id)
+
+    res.status(200).json({
+      success: true,
+      message: "Your password has been reset. You can log in now.",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// @desc    Confirm an email address with a verification link
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await consumeActionToken(req.body.token, "email-verification")
+
+    if (!user) {
+      // Links sent when changing email confirm the new address instead
+      return confirmEmailChange(req, res)
+    }
+
+    user.emailVerified = true
+    await user.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Your email is verified",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// Swap in the pending email once the link sent to it has been opened
+const confirmEmailChange = async (req, res) => {
+  const user = await consumeActionToken(req.body.token, "email-change")
+
+  if (!user || !user.pendingEmail) {
+    return res.status(400).json({
+      success: false,
+      message: "This verification link is invalid or has expired",
+    })
+  }
+
+  // Another account may have taken the address while the link was unopened
+  if (await User.exists({ _id: { $ne: user._id }, email: user.pendingEmail })) {
+    user.pendingEmail = undefined
+    await user.save()
+
+    return res.status(400).json({
+      success: false,
+      message: "That email is already in use",
+    })
+  }
+
+  user.email = user.pendingEmail
+  user.pendingEmail = undefined
+  user.emailVerified = true
+  await user.save()
+
+  res.status(200).json({
+    success: true,
+    message: `Your email is now ${user.email}`,
+  })
+}
+
+// @desc    Send the verification link again
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified !== false) {
+      return res.status(400).json({
+        success: false,
+        message: "Your email is already verified",
+      })
+    }
+
+    const token = await createActionToken(req.user, "email-verification")
+    await sendVerificationEmail(req.user, token)
+
+    res.status(200).json({
+      success: true,
+      message: `A new verification link was sent to ${req.user.email}`,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// Email a verification link to a new account. Signing up still works when
+// the mail can't be sent, since the link can be requested again.
+const sendVerification = async (user) => {
+  try {
+    const token = await createActionToken(user, "email-verification")
+    await sendVerificationEmail(user, token)
+  } catch (error) {
+    console.error("Error sending verification email:", error)
+  }
+}
+
+// Set the access token cookie and the session's refresh token cookie.
+// Returns the access token.
+const setAuthCookies = (res, user, session, refreshToken) => {
+  const token = user.getSignedJwtToken(session._id)
 
-  const options = {
-    expires: new Date(Date.now() + process.env.JWT_EXPIRE.match(/\d+/)[0] * 24 * 60 * 60 * 1000),
+  res.cookie("token", token, {
+    expires: new Date(jwt.decode(token).exp * 1000),
+    httpOnly: true,
+  })
+  // Only the auth routes need to see the refresh token
+  res.cookie("refreshToken", refreshToken, {
+    expires: session.expiresAt,
     httpOnly: true,
+    path: "/api/auth",
+  })
+
+  return token
+}
+
+const sendTooManyAttempts = (res, seconds) => {
+  res.set("Retry-After", String(seconds))
+  return res.status(429).json({
+    success: false,
+    message: tooManyAttemptsMessage(seconds),
+    retryAfter: seconds,
+  })
+}
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token")
+  res.clearCookie("refreshToken", { path: "/api/auth" })
+}
+
+// The session a request was made with, from its access token (even an
+// expired one) or else its refresh token
+const findRequestSession = async (req) => {
+  let token = req.cookies.token
+  if (!token && req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+    token = req.headers.authorization.split(" ")[1]
+  }
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true })
+      if (decoded.sid) {
+        return await Session.findOne({ _id: decoded.sid, user: decoded.id })
+      }
+    } catch (error) {
+      // Fall back to the refresh token
+    }
   }
 
+  const parsed = parseRefreshToken(req.cookies.refreshToken)
+  return parsed && Session.findOne({ _id: parsed.sessionId, refreshTokenHash: parsed.hash })
+}
+
+// Helper function to start a session, set its cookies and send response
+const sendTokenResponse = async (user, statusCode, req, res, sessionOptions) => {
+  const { session, refreshToken } = await createSession(user, req, sessionOptions)
+  const token = setAuthCookies(res, user, session, refreshToken)
+
   // Remove password from output
   user.password = undefined
 
-  res.status(statusCode).cookie("token", token, options).json({
+  res.status(statusCode).json({
     success: true,
     token,
     data: user,
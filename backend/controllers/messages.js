@@ -2,9 +2,288 @@ const Conversation = require("../models/Conversation");
 const Message = require("../models/Message");
 const User = require("../models/User");
 const Post = require("../models/Post");
-const { emitNewMessage } = require("../socket");
+const {
+  emitNewMessage,
+  emitConversationEvent,
+  emitMessageStatus,
+  clearPendingEvents,
+} = require("../socket");
+const { applyTrendingScore } = require("../utils/trending");
+const {
+  unreadFilter,
+  countUnread,
+  recordReceipts,
+  addMemberReceipts,
+  removeMemberReceipts,
+  getMessageStatus,
+} = require("../utils/receipts");
+const { isBlockedBetween } = require("../utils/blocking");
 const mongoose = require("mongoose");
 
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Fields of participants needed to format conversations, read receipts and
+// whether a direct conversation is blocked
+const PARTICIPANT_FIELDS = "username profilePicture settings blockedUsers";
+
+// How long after sending a message its text can still be edited
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// An emoji, possibly with modifiers such as skin tones or joiners
+const EMOJI_PATTERN =
+  /^(?=.*\p{Extended_Pictographic})(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+
+// Format a message for the viewer (participants must be populated with
+// settings). Messages from others show as read once the viewer has read them,
+// the viewer's own messages once every recipient has.
+const formatMessage = (message, viewer, participants) => {
+  const senderId = idOf(message.senderId);
+  const { status, receipts } = getMessageStatus(message, viewer, participants);
+  const viewerReceipt = receipts.find((receipt) => receipt.userId === viewer.id);
+
+  return {
+    id: message._id,
+    senderId,
+    text: message.text,
+    timestamp: message.timestamp,
+    read:
+      senderId === viewer.id
+        ? status === "read"
+        : message.read || Boolean(viewerReceipt && viewerReceipt.readAt),
+    status,
+    receipts,
+    conversationId: message.conversationId,
+    image: message.image,
+    replyTo: message.replyTo,
+    sharedPost: message.sharedPost,
+    reactions: (message.reactions || []).map((reaction) => ({
+      userId: idOf(reaction.user),
+      emoji: reaction.emoji,
+    })),
+    editedAt: message.editedAt || null,
+  };
+};
+
+// Format a conversation's details (participants must be populated). Direct
+// conversations describe the other user, groups their name and members.
+const formatConversationInfo = (conversation, viewer) => {
+  const info = {
+    id: conversation._id,
+    isGroup: conversation.isGroup === true,
+    lastMessage: {
+      text: conversation.lastMessage.text,
+      timestamp: conversation.lastMessage.timestamp,
+    },
+  };
+
+  if (!info.isGroup) {
+    // Get the other participant (not the current user)
+    const otherParticipant = conversation.participants.find(
+      (participant) => participant._id.toString() !== viewer.id
+    );
+
+    return {
+      ...info,
+      user: {
+        id: otherParticipant._id,
+        username: otherParticipant.username,
+        profilePicture: otherParticipant.profilePicture,
+      },
+      // Either user blocked the other, so no new messages can be sent
+      isBlocked: isBlockedBetween(viewer, otherParticipant),
+    };
+  }
+
+  const adminIds = conversation.admins.map(idOf);
+
+  return {
+    ...info,
+    name: conversation.name,
+    avatar: conversation.avatar,
+    admins: adminIds,
+    members: conversation.participants.map((participant) => ({
+      id: participant._id,
+      username: participant.username,
+      profilePicture: participant.profilePicture,
+      isAdmin: adminIds.includes(participant._id.toString()),
+    })),
+  };
+};
+
+// Format a conversation with a page of its messages for the viewer
+const formatConversation = (conversation, viewer, page, unreadCount = 0) => ({
+  ...formatConversationInfo(conversation, viewer),
+  messages: page.messages.map((message) =>
+    formatMessage(message, viewer, conversation.participants)
+  ),
+  hasMoreMessages: page.hasMore,
+  unreadCount,
+});
+
+const MESSAGE_PAGE_SIZE = 30;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+// Load the page of a conversation's messages that comes right before or
+// after the given message, or the latest page. Messages are returned oldest
+// first, and hasMore tells whether more remain in the direction paged.
+const findMessagePage = async (
+  conversationId,
+  { before = null, after = null, limit = MESSAGE_PAGE_SIZE } = {}
+) => {
+  const filter = { conversationId };
+  if (before) {
+    filter.$or = [
+      { timestamp: { $lt: before.timestamp } },
+      { timestamp: before.timestamp, _id: { $lt: before._id } },
+    ];
+  } else if (after) {
+    filter.$or = [
+      { timestamp: { $gt: after.timestamp } },
+      { timestamp: after.timestamp, _id: { $gt: after._id } },
+    ];
+  }
+
+  // Fetch one extra message to see if there are more
+  const direction = after ? 1 : -1;
+  const messages = await Message.find(filter)
+    .sort({ timestamp: direction, _id: direction })
+    .limit(limit + 1);
+
+  const page = messages.slice(0, limit);
+  return {
+    messages: after ? page : page.reverse(),
+    hasMore: messages.length > limit,
+  };
+};
+
+// Send every member the conversation's latest details
+// (this also populates its participants for formatting the response)
+const emitConversationUpdate = async (req, conversation) => {
+  await conversation.populate({
+    path: "participants",
+    select: PARTICIPANT_FIELDS,
+  });
+
+  const io = req.app.get("io");
+  if (!io) return;
+
+  for (const participant of conversation.participants) {
+    emitConversationEvent(
+      io,
+      participant._id,
+      "conversationUpdated",
+      formatConversationInfo(conversation, { id: participant._id.toString() })
+    );
+  }
+};
+
+// Load a group the current user belongs to, or send the error response.
+// Pass requireAdmin to also require the user to be one of its admins.
+const findGroupForMember = async (req, res, requireAdmin = false) => {
+  const conversation = await Conversation.findById(req.params.conversationId);
+
+  if (!conversation || !conversation.isGroup) {
+    res.status(404).json({
+      success: false,
+      message: "Group not found",
+    });
+    return null;
+  }
+
+  if (!conversation.participants.some((id) => id.toString() === req.user.id)) {
+    res.status(401).json({
+      success: false,
+      message: "Not authorized to access this group",
+    });
+    return null;
+  }
+
+  if (
+    requireAdmin &&
+    !conversation.admins.some((id) => id.toString() === req.user.id)
+  ) {
+    res.status(403).json({
+      success: false,
+      message: "Only group admins can do this",
+    });
+    return null;
+  }
+
+  return conversation;
+};
+
+// Check that every id belongs to an existing user who hasn't blocked, or
+// been blocked by, the current user.
+// Returns the de-duplicated ids, or null if any are invalid.
+const findExistingUserIds = async (userIds, viewer) => {
+  if (!Array.isArray(userIds)) return null;
+
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) return null;
+
+  const users = await User.find({ _id: { $in: ids } }).select("blockedUsers");
+  if (users.some((user) => isBlockedBetween(user, viewer))) return null;
+
+  return users.length === ids.length ? ids : null;
+};
+
+// Send an event to every participant except the current user
+// (each socket of a user joins a room named after their id)
+const emitToOtherParticipants = (req, conversation, event, payload) => {
+  const io = req.app.get("io");
+  if (!io) return;
+
+  conversation.participants
+    .map(idOf)
+    .filter((participantId) => participantId !== req.user.id)
+    .forEach((participantId) => io.to(participantId).emit(event, payload));
+};
+
+// Load the message named in the route for a participant of its conversation.
+// Sends the error response and returns null when either can't be used.
+const findConversationMessage = async (req, res) => {
+  const { conversationId, messageId } = req.params;
+
+  if (
+    !mongoose.Types.ObjectId.isValid(conversationId) ||
+    !mongoose.Types.ObjectId.isValid(messageId)
+  ) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid conversation or message ID",
+    });
+    return null;
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      message: "Conversation not found",
+    });
+    return null;
+  }
+
+  if (!conversation.participants.some((id) => id.toString() === req.user.id)) {
+    res.status(401).json({
+      success: false,
+      message: "Not authorized to access messages in this conversation",
+    });
+    return null;
+  }
+
+  const message = await Message.findOne({ _id: messageId, conversationId });
+  if (!message) {
+    res.status(404).json({
+      success: false,
+      message: "Message not found",
+    });
+    return null;
+  }
+
+  return { conversation, message };
+};
+
 // @desc    Get all conversations for the current user
 // @route   GET /api/messages/conversations
 // @access  Private
@@ -17,51 +296,25 @@ exports.getConversations = async (req, res) => {
       .sort({ "lastMessage.timestamp": -1 })
       .populate({
         path: "participants",
-        select: "username profilePicture",
+        select: PARTICIPANT_FIELDS,
       });
 
-    // Format the conversations for the frontend
-    const formattedConversations = await Promise.all(
-      conversations.map(async (conversation) => {
-        // Get the other participant (not the current user)
-        const otherParticipant = conversation.participants.find(
-          (participant) => participant._id.toString() !== req.user.id
-        );
-
-        // Get messages for this conversation
-        const messages = await Message.find({
-          conversationId: conversation._id,
-        })
-          .sort({ timestamp: 1 })
-          .populate({
-            path: "senderId",
-            select: "username profilePicture",
-          });
+    const unreadCounts = await countUnread(
+      req.user.id,
+      conversations.map((conversation) => conversation._id)
+    );
 
-        return {
-          id: conversation._id,
-          user: {
-            id: otherParticipant._id,
-            username: otherParticipant.username,
-            profilePicture: otherParticipant.profilePicture,
-          },
-          messages: messages.map((message) => ({
-            id: message._id,
-            senderId: message.senderId._id,
-            text: message.text,
-            timestamp: message.timestamp,
-            read: message.read,
-            conversationId: message.conversationId,
-            image: message.image,
-            replyTo: message.replyTo,
-            sharedPost: message.sharedPost,
-          })),
-          lastMessage: {
-            text: conversation.lastMessage.text,
-            timestamp: conversation.lastMessage.timestamp,
-          },
-        };
-      })
+    // Format the conversations for the frontend with their latest messages;
+    // older ones are loaded as the user scrolls back
+    const formattedConversations = await Promise.all(
+      conversations.map(async (conversation) =>
+        formatConversation(
+          conversation,
+          req.user,
+          await findMessagePage(conversation._id),
+          unreadCounts.get(conversation._id.toString())
+        )
+      )
     );
 
     res.status(200).json({
@@ -95,13 +348,22 @@ exports.getOrCreateConversation = async (req, res) => {
 
     // Check if a conversation already exists between the two users
     let conversation = await Conversation.findOne({
+      isGroup: { $ne: true },
       participants: { $all: [req.user.id, userId] },
     }).populate({
       path: "participants",
-      select: "username profilePicture",
+      select: PARTICIPANT_FIELDS,
     });
 
-    // If no conversation exists, create a new one
+    // If no conversation exists, create a new one, unless either user has
+    // blocked the other
+    if (!conversation && isBlockedBetween(req.user, otherUser)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't message this user",
+      });
+    }
+
     if (!conversation) {
       conversation = await Conversation.create({
         participants: [req.user.id, userId],
@@ -115,51 +377,140 @@ exports.getOrCreateConversation = async (req, res) => {
       // Populate the participants
       await conversation.populate({
         path: "participants",
-        select: "username profilePicture",
+        select: PARTICIPANT_FIELDS,
       });
     }
 
-    // Get messages for this conversation
-    const messages = await Message.find({ conversationId: conversation._id })
-      .sort({ timestamp: 1 })
-      .populate({
-        path: "senderId",
-        select: "username profilePicture",
+    // Get the latest messages for this conversation
+    const [page, unreadCounts] = await Promise.all([
+      findMessagePage(conversation._id),
+      countUnread(req.user.id, [conversation._id]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: formatConversation(
+        conversation,
+        req.user,
+        page,
+        unreadCounts.get(conversation._id.toString())
+      ),
+    });
+  } catch (error) {
+    console.error("Error in getOrCreateConversation:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a page of a conversation's messages: older than `before`,
+//          newer than `after`, or centered on `around` to jump to a message
+// @route   GET /api/messages/:conversationId/messages?before=&after=&around=&limit=
+// @access  Private
+exports.getMessages = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid conversation ID",
       });
+    }
 
-    // Get the other participant (not the current user)
-    const otherParticipant = conversation.participants.find(
-      (participant) => participant._id.toString() !== req.user.id
+    const conversation = await Conversation.findById(conversationId).populate({
+      path: "participants",
+      select: PARTICIPANT_FIELDS,
+    });
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
+    // Check if the user is a participant in the conversation
+    if (
+      !conversation.participants.some(
+        (participant) => participant._id.toString() === req.user.id
+      )
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized to view messages in this conversation",
+      });
+    }
+
+    // Pages start from a message of this conversation
+    const cursorName = ["before", "after", "around"].find(
+      (name) => req.query[name]
+    );
+    let cursor = null;
+    if (cursorName) {
+      const cursorId = req.query[cursorName];
+      cursor = mongoose.Types.ObjectId.isValid(cursorId)
+        ? await Message.findOne({ _id: cursorId, conversationId })
+        : null;
+
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${cursorName} message ID`,
+        });
+      }
+    }
+
+    const limit = Math.min(
+      Math.max(
+        Number.parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE,
+        1
+      ),
+      MAX_MESSAGE_PAGE_SIZE
     );
 
+    // hasMore tells whether older messages remain, hasNewer whether newer ones
+    // do (only for after and around, since other pages end at the latest)
+    let messages;
+    const pageInfo = {};
+    if (cursorName === "around") {
+      const half = Math.max(Math.floor(limit / 2), 1);
+      const [older, newer] = await Promise.all([
+        findMessagePage(conversation._id, { before: cursor, limit: half }),
+        findMessagePage(conversation._id, { after: cursor, limit: half }),
+      ]);
+
+      messages = [...older.messages, cursor, ...newer.messages];
+      pageInfo.hasMore = older.hasMore;
+      pageInfo.hasNewer = newer.hasMore;
+    } else if (cursorName === "after") {
+      const page = await findMessagePage(conversation._id, {
+        after: cursor,
+        limit,
+      });
+
+      messages = page.messages;
+      pageInfo.hasNewer = page.hasMore;
+    } else {
+      const page = await findMessagePage(conversation._id, {
+        before: cursor,
+        limit,
+      });
+
+      messages = page.messages;
+      pageInfo.hasMore = page.hasMore;
+    }
+
     res.status(200).json({
       success: true,
-      data: {
-        id: conversation._id,
-        user: {
-          id: otherParticipant._id,
-          username: otherParticipant.username,
-          profilePicture: otherParticipant.profilePicture,
-        },
-        messages: messages.map((message) => ({
-          id: message._id,
-          senderId: message.senderId._id,
-          text: message.text,
-          timestamp: message.timestamp,
-          read: message.read,
-          conversationId: message.conversationId,
-          sharedPost: message.sharedPost,
-          image: message.image,
-          replyTo: message.replyTo,
-        })),
-        lastMessage: {
-          text: conversation.lastMessage.text,
-          timestamp: conversation.lastMessage.timestamp,
-        },
-      },
+      data: messages.map((message) =>
+        formatMessage(message, req.user, conversation.participants)
+      ),
+      ...pageInfo,
     });
   } catch (error) {
-    console.error("Error in getOrCreateConversation:", error);
+    console.error("Error fetching messages:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -198,11 +549,28 @@ exports.sendMessage = async (req, res) => {
       });
     }
 
-    // Create the message
+    // Direct conversations close once either user blocks the other
+    if (!conversation.isGroup) {
+      const otherUser = await User.findOne({
+        _id: { $in: conversation.participants, $ne: req.user._id },
+      }).select("blockedUsers");
+
+      if (otherUser && isBlockedBetween(req.user, otherUser)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can't message this user",
+        });
+      }
+    }
+
+    // Create the message, with a receipt for every other participant
     const messageData = {
       conversationId,
       senderId: req.user.id,
       replyTo: replyToId,
+      receipts: conversation.participants
+        .filter((participant) => participant.toString() !== req.user.id)
+        .map((participant) => ({ user: participant })),
     };
 
     // Handle text and image
@@ -230,39 +598,36 @@ exports.sendMessage = async (req, res) => {
     };
     await conversation.save();
 
-    // Get the other participant to emit the message to
-    const otherParticipantId = conversation.participants.find(
-      (participant) => participant.toString() !== req.user.id
-    );
+    const formattedMessage = {
+      id: message._id,
+      senderId: req.user.id,
+      text: message.text,
+      timestamp: message.timestamp,
+      read: message.read,
+      status: "sent",
+      receipts: message.receipts.map((receipt) => ({
+        userId: receipt.user.toString(),
+        deliveredAt: null,
+        readAt: null,
+      })),
+      conversationId: message.conversationId,
+      image: message.image,
+      replyTo: message.replyTo,
+    };
 
-    // Emit the new message to the other participant
+    // Emit the new message to every other participant
     const io = req.app.get("io");
     if (io) {
-      const formattedMessage = {
-        id: message._id,
-        senderId: req.user.id,
-        text: message.text,
-        timestamp: message.timestamp,
-        read: message.read,
-        conversationId: message.conversationId,
-        image: message.image,
-        replyTo: message.replyTo,
-      };
-      emitNewMessage(io, otherParticipantId, formattedMessage);
+      conversation.participants
+        .filter((participant) => participant.toString() !== req.user.id)
+        .forEach((participantId) =>
+          emitNewMessage(io, participantId, formattedMessage)
+        );
     }
 
     res.status(201).json({
       success: true,
-      data: {
-        id: message._id,
-        senderId: req.user.id,
-        text: message.text,
-        timestamp: message.timestamp,
-        read: message.read,
-        conversationId: message.conversationId,
-        image: message.image,
-        replyTo: message.replyTo,
-      },
+      data: formattedMessage,
     });
   } catch (error) {
     console.error("Error sending message:", error);
@@ -299,50 +664,31 @@ exports.markMessagesAsRead = async (req, res) => {
       });
     }
 
-    // Find all unread messages sent by the other user
-    const unreadMessages = await Message.find({
-      conversationId,
-      senderId: { $ne: req.user.id },
-      read: false,
-    });
+    // Find all messages from other participants this user hasn't read
+    const unreadMessageIds = await Message.find(
+      unreadFilter(req.user.id, { conversationId })
+    ).distinct("_id");
 
-    // Mark all unread messages sent by the other user as read
-    await Message.updateMany(
-      {
-        conversationId,
-        senderId: { $ne: req.user.id },
-        read: false,
-      },
-      { read: true }
-    );
+    // Record the read time on this user's receipts
+    const changedIds = await recordReceipts(unreadMessageIds, req.user.id, {
+      read: true,
+    });
 
-    // Get the other participant to notify them that their messages were read
-    const otherParticipantId = conversation.participants.find(
-      (participant) => participant.toString() !== req.user.id
-    );
+    // Nothing in the conversation needs replaying once it has been read
+    await clearPendingEvents(req.user._id, "newMessage", {
+      "payload.conversationId": conversationId,
+    });
 
-    // Emit socket event for each message that was marked as read
+    // Send the senders their messages' new status
     const io = req.app.get("io");
-    if (io && unreadMessages.length > 0) {
-      const { isUserOnline } = require("../socket");
-
-      // Only send read receipts if the other user is online
-      if (isUserOnline(otherParticipantId)) {
-        unreadMessages.forEach((message) => {
-          io.to(otherParticipantId.toString()).emit("messageRead", {
-            conversationId,
-            messageId: message._id,
-            readBy: req.user.id,
-            timestamp: new Date(),
-          });
-        });
-      }
+    if (io) {
+      await emitMessageStatus(io, changedIds);
     }
 
     res.status(200).json({
       success: true,
       data: {
-        markedAsRead: unreadMessages.length,
+        markedAsRead: changedIds.length,
       },
     });
   } catch (error) {
@@ -419,25 +765,11 @@ exports.deleteMessage = async (req, res) => {
     }
     await conversation.save();
 
-    // Notify the other participant about the message deletion
-    const io = req.app.get("io");
-    if (io) {
-      const otherParticipantId = conversation.participants.find(
-        (participant) => participant.toString() !== req.user.id
-      );
-
-      if (otherParticipantId) {
-        const socketId = io.sockets.adapter.rooms.get(
-          otherParticipantId.toString()
-        );
-        if (socketId) {
-          io.to(socketId).emit("messageDeleted", {
-            messageId,
-            conversationId,
-          });
-        }
-      }
-    }
+    // Notify the other participants about the message deletion
+    emitToOtherParticipants(req, conversation, "messageDeleted", {
+      messageId,
+      conversationId,
+    });
 
     res.status(200).json({
       success: true,
@@ -454,83 +786,260 @@ exports.deleteMessage = async (req, res) => {
   }
 };
 
-// @desc    Share a post with multiple users
-// @route   POST /api/messages/share
-// @access  Private
-exports.sharePost = async (req, res) => {
+// @desc    Edit the text of a message
+// @route   PUT /api/messages/:conversationId/:messageId
+// @access  Private (sender only)
+exports.editMessage = async (req, res) => {
   try {
-    console.log("Share request received:", req.body);
-    const { postId, recipients } = req.body;
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: "Message text is required",
+      });
+    }
 
-    // Validate required fields
-    if (
-      !postId ||
-      !recipients ||
-      !Array.isArray(recipients) ||
-      recipients.length === 0
-    ) {
+    const found = await findConversationMessage(req, res);
+    if (!found) return;
+    const { conversation, message } = found;
+
+    if (message.senderId.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized to edit this message",
+      });
+    }
+
+    if (message.sharedPost) {
       return res.status(400).json({
         success: false,
-        message: "Please provide a post ID and at least one recipient",
+        message: "Shared posts can't be edited",
       });
     }
 
-    // Check if the post exists
-    const post = await Post.findById(postId);
-    if (!post) {
-      return res.status(404).json({
+    if (Date.now() - message.timestamp.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+      return res.status(400).json({
         success: false,
-        message: "Post not found",
+        message: "Messages can only be edited for 15 minutes after sending",
       });
     }
 
-    // Get post details for sharing
-    const postUser = await User.findById(post.user);
-    if (!postUser) {
-      return res.status(404).json({
+    if (text === message.text) {
+      return res.status(400).json({
         success: false,
-        message: "Post creator not found",
+        message: "The message text hasn't changed",
       });
     }
 
-    const postDetails = {
-      id: post._id,
-      text: post.text,
-      image: post.image,
-      user: {
-        id: post.user,
-        username: postUser.username,
-      },
+    // Keep the previous version
+    message.editHistory.push({
+      text: message.text,
+      editedAt: message.editedAt || message.timestamp,
+    });
+    message.text = text;
+    message.editedAt = new Date();
+    await message.save();
+
+    // Update the conversation preview if this is the latest message
+    const lastMessage = await Message.findOne({
+      conversationId: conversation._id,
+    }).sort({ timestamp: -1 });
+    if (lastMessage && lastMessage._id.equals(message._id)) {
+      conversation.lastMessage.text = text;
+      await conversation.save();
+    }
+
+    const payload = {
+      conversationId: conversation._id,
+      messageId: message._id,
+      text: message.text,
+      editedAt: message.editedAt,
     };
 
-    const results = [];
+    emitToOtherParticipants(req, conversation, "messageEdited", payload);
 
-    // Share with each recipient
-    for (const recipientId of recipients) {
-      try {
-        // Find or create conversation with this recipient
-        let conversation = await Conversation.findOne({
-          participants: { $all: [req.user.id, recipientId] },
-        });
+    res.status(200).json({
+      success: true,
+      data: payload,
+    });
+  } catch (error) {
+    console.error("Error editing message:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
 
-        if (!conversation) {
-          conversation = await Conversation.create({
-            participants: [req.user.id, recipientId],
-            lastMessage: {
-              text: "Shared a meme with you",
-              sender: req.user.id,
-              timestamp: Date.now(),
-            },
-          });
-        }
+// @desc    Get the earlier versions of an edited message
+// @route   GET /api/messages/:conversationId/:messageId/history
+// @access  Private
+exports.getMessageHistory = async (req, res) => {
+  try {
+    const found = await findConversationMessage(req, res);
+    if (!found) return;
+    const { message } = found;
 
-        // Create a message with the shared post
+    res.status(200).json({
+      success: true,
+      data: {
+        messageId: message._id,
+        text: message.text,
+        editedAt: message.editedAt,
+        history: message.editHistory.map((revision) => ({
+          text: revision.text,
+          editedAt: revision.editedAt,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching message history:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    React to a message, or remove the reaction by sending the same
+//          emoji again
+// @route   POST /api/messages/:conversationId/:messageId/reactions
+// @access  Private
+exports.reactToMessage = async (req, res) => {
+  try {
+    const emoji = typeof req.body.emoji === "string" ? req.body.emoji : "";
+    if (!emoji || emoji.length > 16 || !EMOJI_PATTERN.test(emoji)) {
+      return res.status(400).json({
+        success: false,
+        message: "A single emoji is required",
+      });
+    }
+
+    const found = await findConversationMessage(req, res);
+    if (!found) return;
+    const { conversation, message } = found;
+
+    // Each user has at most one reaction; a different emoji replaces it
+    const existing = message.reactions.find(
+      (reaction) => reaction.user.toString() === req.user.id
+    );
+    message.reactions = message.reactions.filter(
+      (reaction) => reaction.user.toString() !== req.user.id
+    );
+    if (!existing || existing.emoji !== emoji) {
+      message.reactions.push({ user: req.user.id, emoji });
+    }
+    await message.save();
+
+    const payload = {
+      conversationId: conversation._id,
+      messageId: message._id,
+      reactions: message.reactions.map((reaction) => ({
+        userId: reaction.user.toString(),
+        emoji: reaction.emoji,
+      })),
+    };
+
+    emitToOtherParticipants(req, conversation, "messageReacted", payload);
+
+    res.status(200).json({
+      success: true,
+      data: payload,
+    });
+  } catch (error) {
+    console.error("Error reacting to message:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Share a post with multiple users
+// @route   POST /api/messages/share
+// @access  Private
+exports.sharePost = async (req, res) => {
+  try {
+    console.log("Share request received:", req.body);
+    const { postId, recipients } = req.body;
+
+    // Validate required fields
+    if (
+      !postId ||
+      !recipients ||
+      !Array.isArray(recipients) ||
+      recipients.length === 0
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a post ID and at least one recipient",
+      });
+    }
+
+    // Check if the post exists
+    const post = await Post.findById(postId);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    // Get post details for sharing
+    const postUser = await User.findById(post.user);
+    if (!postUser) {
+      return res.status(404).json({
+        success: false,
+        message: "Post creator not found",
+      });
+    }
+
+    const postDetails = {
+      id: post._id,
+      text: post.text,
+      image: post.image,
+      user: {
+        id: post.user,
+        username: postUser.username,
+      },
+    };
+
+    const results = [];
+
+    // Share with each recipient
+    for (const recipientId of recipients) {
+      try {
+        // Skip recipients who don't exist or are blocked either way
+        const recipient = mongoose.isValidObjectId(recipientId)
+          ? await User.findById(recipientId).select("blockedUsers")
+          : null;
+        if (!recipient || isBlockedBetween(req.user, recipient)) continue;
+
+        // Find or create conversation with this recipient
+        let conversation = await Conversation.findOne({
+          isGroup: { $ne: true },
+          participants: { $all: [req.user.id, recipientId] },
+        });
+
+        if (!conversation) {
+          conversation = await Conversation.create({
+            participants: [req.user.id, recipientId],
+            lastMessage: {
+              text: "Shared a meme with you",
+              sender: req.user.id,
+              timestamp: Date.now(),
+            },
+          });
+        }
+
+        // Create a message with the shared post
         const message = await Message.create({
           conversationId: conversation._id,
           senderId: req.user.id,
           text: "Shared a meme with you",
           sharedPost: postDetails,
           timestamp: Date.now(),
+          receipts: [{ user: recipientId }],
         });
 
         // Update conversation's last message
@@ -556,6 +1065,10 @@ exports.sharePost = async (req, res) => {
             text: "Shared a meme with you",
             timestamp: message.timestamp,
             read: false,
+            status: "sent",
+            receipts: [
+              { userId: recipientId, deliveredAt: null, readAt: null },
+            ],
             conversationId: conversation._id,
             sharedPost: postDetails,
           };
@@ -567,6 +1080,13 @@ exports.sharePost = async (req, res) => {
       }
     }
 
+    // Count the shares towards the post's trending score
+    if (results.length > 0) {
+      post.shareCount = (post.shareCount || 0) + results.length;
+      applyTrendingScore(post);
+      await post.save();
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -583,42 +1103,495 @@ exports.sharePost = async (req, res) => {
   }
 };
 
+const SEARCH_RESULT_LIMIT = 20;
+const MAX_SEARCH_RESULT_LIMIT = 50;
+// Messages shown on each side of a search hit
+const SEARCH_CONTEXT_SIZE = 1;
+
+// @desc    Search the text of messages in the user's conversations
+// @route   GET /api/messages/search?q=&conversationId=&limit=
+// @access  Private
+exports.searchMessages = async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const { conversationId } = req.query;
+
+    if (q.length < 2) {
+      return res.status(200).json({
+        success: true,
+        data: [],
+      });
+    }
+
+    // Only search conversations the user takes part in
+    const conversationFilter = { participants: req.user.id };
+    if (conversationId) {
+      if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid conversation ID",
+        });
+      }
+      conversationFilter._id = conversationId;
+    }
+
+    const conversations = await Conversation.find(conversationFilter).populate({
+      path: "participants",
+      select: PARTICIPANT_FIELDS,
+    });
+
+    if (conversationId && conversations.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(
+        Number.parseInt(req.query.limit, 10) || SEARCH_RESULT_LIMIT,
+        1
+      ),
+      MAX_SEARCH_RESULT_LIMIT
+    );
+
+    // Best matches first, then the most recent. Shared posts only carry
+    // placeholder text, so they're left out.
+    const hits = await Message.find(
+      {
+        $text: { $search: q },
+        conversationId: {
+          $in: conversations.map((conversation) => conversation._id),
+        },
+        sharedPost: null,
+      },
+      { score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" }, timestamp: -1 })
+      .limit(limit);
+
+    const results = await Promise.all(
+      hits.map(async (hit) => {
+        const conversation = conversations.find((conv) =>
+          conv._id.equals(hit.conversationId)
+        );
+        const [before, after] = await Promise.all([
+          findMessagePage(conversation._id, {
+            before: hit,
+            limit: SEARCH_CONTEXT_SIZE,
+          }),
+          findMessagePage(conversation._id, {
+            after: hit,
+            limit: SEARCH_CONTEXT_SIZE,
+          }),
+        ]);
+        const format = (message) =>
+          formatMessage(message, req.user, conversation.participants);
+
+        return {
+          message: format(hit),
+          context: {
+            before: before.messages.map(format),
+            after: after.messages.map(format),
+          },
+          conversation: formatConversationInfo(conversation, req.user),
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: results,
+    });
+  } catch (error) {
+    console.error("Error searching messages:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Get unread messages count
 // @route   GET /api/messages/unread-count
 // @access  Private
 exports.getUnreadMessagesCount = async (req, res) => {
   try {
     // Find all conversations where the current user is a participant
-    const conversations = await Conversation.find({
+    const conversationIds = await Conversation.find({
       participants: req.user.id,
-    });
+    }).distinct("_id");
 
     // Count conversations with unread messages
-    let conversationsWithUnread = 0;
+    const unreadCounts = await countUnread(req.user.id, conversationIds);
+
     let totalUnreadMessages = 0;
+    unreadCounts.forEach((count) => {
+      totalUnreadMessages += count;
+    });
+    const conversationsWithUnread = unreadCounts.size;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        count: totalUnreadMessages,
+        conversationsWithUnread: conversationsWithUnread,
+      },
+    });
+  } catch (error) {
+    console.error("Error counting unread messages:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a group conversation
+// @route   POST /api/messages/groups
+// @access  Private
+exports.createGroup = async (req, res) => {
+  try {
+    const { name, memberIds, avatar } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a group name",
+      });
+    }
+
+    const ids = await findExistingUserIds(memberIds, req.user);
+    if (!ids) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide valid members",
+      });
+    }
 
-    for (const conversation of conversations) {
-      const count = await Message.countDocuments({
-        conversationId: conversation._id,
-        senderId: { $ne: req.user.id },
-        read: false,
+    // The creator is always a member and the first admin
+    const participants = [
+      req.user.id,
+      ...ids.filter((id) => id !== req.user.id),
+    ];
+    if (participants.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "A group needs at least one other member",
       });
+    }
+
+    const conversation = await Conversation.create({
+      isGroup: true,
+      name: name.trim(),
+      avatar: avatar || null,
+      participants,
+      admins: [req.user.id],
+      createdBy: req.user.id,
+      lastMessage: {
+        text: "",
+        sender: req.user.id,
+        timestamp: Date.now(),
+      },
+    });
+
+    await emitConversationUpdate(req, conversation);
+
+    res.status(201).json({
+      success: true,
+      data: formatConversation(conversation, req.user, {
+        messages: [],
+        hasMore: false,
+      }),
+    });
+  } catch (error) {
+    console.error("Error creating group:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a group conversation with its messages
+// @route   GET /api/messages/groups/:conversationId
+// @access  Private
+exports.getGroup = async (req, res) => {
+  try {
+    const conversation = await findGroupForMember(req, res);
+    if (!conversation) return;
+
+    await conversation.populate({
+      path: "participants",
+      select: PARTICIPANT_FIELDS,
+    });
+
+    const [page, unreadCounts] = await Promise.all([
+      findMessagePage(conversation._id),
+      countUnread(req.user.id, [conversation._id]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: formatConversation(
+        conversation,
+        req.user,
+        page,
+        unreadCounts.get(conversation._id.toString())
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching group:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Rename a group or change its avatar
+// @route   PUT /api/messages/groups/:conversationId
+// @access  Private (group admins)
+exports.updateGroup = async (req, res) => {
+  try {
+    const conversation = await findGroupForMember(req, res, true);
+    if (!conversation) return;
 
-      if (count > 0) {
-        conversationsWithUnread++;
-        totalUnreadMessages += count;
+    const { name, avatar } = req.body;
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide a group name",
+        });
       }
+      conversation.name = name.trim();
+    }
+
+    if (avatar !== undefined) {
+      conversation.avatar = avatar || null;
+    }
+
+    await conversation.save();
+    await emitConversationUpdate(req, conversation);
+
+    res.status(200).json({
+      success: true,
+      data: formatConversationInfo(conversation, req.user),
+    });
+  } catch (error) {
+    console.error("Error updating group:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Add members to a group
+// @route   POST /api/messages/groups/:conversationId/members
+// @access  Private (group admins)
+exports.addGroupMembers = async (req, res) => {
+  try {
+    const conversation = await findGroupForMember(req, res, true);
+    if (!conversation) return;
+
+    const ids = await findExistingUserIds(req.body.memberIds, req.user);
+    if (!ids || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide valid members",
+      });
+    }
+
+    for (const id of ids) {
+      conversation.participants.addToSet(id);
     }
+    await conversation.save();
+    await addMemberReceipts(conversation._id, ids);
+    await emitConversationUpdate(req, conversation);
+
+    res.status(200).json({
+      success: true,
+      data: formatConversationInfo(conversation, req.user),
+    });
+  } catch (error) {
+    console.error("Error adding group members:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Take a member out of a group, keeping at least one admin while anyone is
+// left. Deletes the group and its messages once it's empty.
+const removeFromGroup = async (req, conversation, userId) => {
+  conversation.participants.pull(userId);
+  conversation.admins.pull(userId);
+
+  if (conversation.participants.length === 0) {
+    await Message.deleteMany({ conversationId: conversation._id });
+    await conversation.deleteOne();
+  } else {
+    // Hand the group over to the longest-standing member
+    if (conversation.admins.length === 0) {
+      conversation.admins.push(conversation.participants[0]);
+    }
+    await conversation.save();
+    await emitConversationUpdate(req, conversation);
+  }
+
+  const io = req.app.get("io");
+
+  // Messages only the removed member hadn't read are now read by everyone
+  if (conversation.participants.length > 0) {
+    const nowReadIds = await removeMemberReceipts(conversation._id, userId);
+    if (io) {
+      await emitMessageStatus(io, nowReadIds);
+    }
+  }
+
+  if (io) {
+    emitConversationEvent(io, userId, "removedFromConversation", {
+      conversationId: conversation._id.toString(),
+    });
+  }
+};
+
+// @desc    Remove a member from a group
+// @route   DELETE /api/messages/groups/:conversationId/members/:userId
+// @access  Private (group admins)
+exports.removeGroupMember = async (req, res) => {
+  try {
+    const conversation = await findGroupForMember(req, res, true);
+    if (!conversation) return;
+
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Use leave group to remove yourself",
+      });
+    }
+
+    if (!conversation.participants.some((id) => id.toString() === userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this group",
+      });
+    }
+
+    await removeFromGroup(req, conversation, userId);
+
+    res.status(200).json({
+      success: true,
+      data: formatConversationInfo(conversation, req.user),
+    });
+  } catch (error) {
+    console.error("Error removing group member:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Leave a group
+// @route   POST /api/messages/groups/:conversationId/leave
+// @access  Private
+exports.leaveGroup = async (req, res) => {
+  try {
+    const conversation = await findGroupForMember(req, res);
+    if (!conversation) return;
+
+    await removeFromGroup(req, conversation, req.user.id);
 
     res.status(200).json({
       success: true,
       data: {
-        count: totalUnreadMessages,
-        conversationsWithUnread: conversationsWithUnread,
+        id: conversation._id,
       },
     });
   } catch (error) {
-    console.error("Error counting unread messages:", error);
+    console.error("Error leaving group:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Make a member a group admin
+// @route   PUT /api/messages/groups/:conversationId/admins/:userId
+// @access  Private (group admins)
+exports.addGroupAdmin = async (req, res) => {
+  try {
+    const conversation = await findGroupForMember(req, res, true);
+    if (!conversation) return;
+
+    const { userId } = req.params;
+
+    if (!conversation.participants.some((id) => id.toString() === userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this group",
+      });
+    }
+
+    conversation.admins.addToSet(userId);
+    await conversation.save();
+    await emitConversationUpdate(req, conversation);
+
+    res.status(200).json({
+      success: true,
+      data: formatConversationInfo(conversation, req.user),
+    });
+  } catch (error) {
+    console.error("Error adding group admin:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove a member's admin rights
+// @route   DELETE /api/messages/groups/:conversationId/admins/:userId
+// @access  Private (group admins)
+exports.removeGroupAdmin = async (req, res) => {
+  try {
+    const conversation = await findGroupForMember(req, res, true);
+    if (!conversation) return;
+
+    const { userId } = req.params;
+
+    if (!conversation.admins.some((id) => id.toString() === userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not an admin of this group",
+      });
+    }
+
+    if (conversation.admins.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "A group needs at least one admin",
+      });
+    }
+
+    conversation.admins.pull(userId);
+    await conversation.save();
+    await emitConversationUpdate(req, conversation);
+
+    res.status(200).json({
+      success: true,
+      data: formatConversationInfo(conversation, req.user),
+    });
+  } catch (error) {
+    console.error("Error removing group admin:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -1,6 +1,15 @@
 const Notification = require("../models/Notification");
 const User = require("../models/User");
 const Post = require("../models/Post");
+const { getSilencedUserIds } = require("../utils/blocking");
+const { clearPendingEvents } = require("../socket");
+
+// Notifications for the user, leaving out ones from blocked and muted users
+const notificationsFilter = async (user, filter = {}) => ({
+  ...filter,
+  recipient: user._id,
+  sender: { $nin: await getSilencedUserIds(user) },
+});
 
 // @desc    Get all notifications for the current user
 // @route   GET /api/notifications
@@ -19,12 +28,11 @@ exports.getNotifications = async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Count total notifications for debugging
-    const totalCount = await Notification.countDocuments({
-      recipient: req.user.id,
-    });
+    const filter = await notificationsFilter(req.user);
+    const totalCount = await Notification.countDocuments(filter);
     console.log(`Total notifications for user: ${totalCount}`);
 
-    const notifications = await Notification.find({ recipient: req.user.id })
+    const notifications = await Notification.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -119,6 +127,9 @@ exports.markAsRead = async (req, res) => {
 
     notification.read = true;
     await notification.save();
+    await clearPendingEvents(req.user._id, "newNotification", {
+      eventId: notification._id.toString(),
+    });
 
     res.status(200).json({
       success: true,
@@ -144,6 +155,7 @@ exports.markAllAsRead = async (req, res) => {
       { recipient: req.user.id, read: false },
       { read: true }
     );
+    await clearPendingEvents(req.user._id, "newNotification");
 
     res.status(200).json({
       success: true,
@@ -180,6 +192,9 @@ exports.deleteNotification = async (req, res) => {
     }
 
     await notification.deleteOne();
+    await clearPendingEvents(req.user._id, "newNotification", {
+      eventId: notification._id.toString(),
+    });
 
     res.status(200).json({
       success: true,
@@ -198,10 +213,9 @@ exports.deleteNotification = async (req, res) => {
 // @access  Private
 exports.getUnreadCount = async (req, res) => {
   try {
-    const count = await Notification.countDocuments({
-      recipient: req.user.id,
-      read: false,
-    });
+    const count = await Notification.countDocuments(
+      await notificationsFilter(req.user, { read: false })
+    );
 
     res.status(200).json({
       success: true,
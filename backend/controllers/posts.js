@@ -1,14 +1,120 @@
+const mongoose = require("mongoose");
 const Post = require("../models/Post");
 const User = require("../models/User");
 const Notification = require("../models/Notification");
+const PlatformSettings = require("../models/PlatformSettings");
+const Report = require("../models/Report");
+const { containsProfanity, censorProfanity } = require("../utils/moderation");
+const {
+  FEED_SORT,
+  parsePageParams,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+const { getEngagement, applyTrendingScore } = require("../utils/trending");
+const {
+  visiblePostsFilter,
+  canViewPost,
+  canViewProfile,
+} = require("../utils/visibility");
+const {
+  CONTENT_RATINGS,
+  applyContentFilter,
+  getContentPreview,
+} = require("../utils/contentFilter");
+const { emitPostEvent } = require("../socket");
+
+// Apply the platform moderation settings to user-submitted text.
+// Returns the text to store and whether it should be flagged for review.
+const moderateText = async (text) => {
+  const { moderation } = await PlatformSettings.getSettings();
+  const hasProfanity = containsProfanity(text);
+
+  return {
+    text: moderation.profanityFilter ? censorProfanity(text) : text,
+    flagged: moderation.autoModeration && hasProfanity,
+  };
+};
+
+// Narrow a feed query to posts the viewer can see and hasn't filtered out
+const feedFilter = async (viewer, filter) =>
+  applyContentFilter(viewer, await visiblePostsFilter(viewer, filter));
+
+// Check the users a post tags against their allowTagging setting and
+// visibility. Returns { ids, users } or { error } naming who can't be tagged.
+const validateTaggedUsers = async (taggedUsers, tagger) => {
+  if (!taggedUsers) return { ids: [], users: [] };
+
+  if (!Array.isArray(taggedUsers)) {
+    return { error: "Tagged users must be a list of user IDs" };
+  }
+
+  const ids = [...new Set(taggedUsers.map((id) => String(id)))];
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+    return { error: "Invalid tagged user ID" };
+  }
+
+  const users = await User.find({ _id: { $in: ids } }).select(
+    "username settings followers blockedUsers"
+  );
+  if (users.length !== ids.length) {
+    return { error: "Some tagged users do not exist" };
+  }
+
+  const disallowed = users.filter(
+    (user) =>
+      user._id.toString() !== tagger.id &&
+      (user.settings.allowTagging === false || !canViewProfile(user, tagger))
+  );
+  if (disallowed.length > 0) {
+    return {
+      error: `You can't tag ${disallowed
+        .map((user) => `@${user.username}`)
+        .join(", ")}`,
+    };
+  }
+
+  return { ids, users };
+};
+
+// Push a live engagement update to everyone viewing the post
+const emitPostUpdate = (req, postId, event, payload) => {
+  const io = req.app.get("io");
+  if (io) {
+    emitPostEvent(io, postId, event, payload);
+  }
+};
+
+// Notify tagged users, skipping the author
+const notifyTaggedUsers = async (userIds, post, taggerId) => {
+  for (const userId of userIds) {
+    // Don't notify yourself
+    if (userId === taggerId) continue;
+
+    await Notification.create({
+      recipient: userId,
+      sender: taggerId,
+      type: "tag",
+      post: post._id,
+      content: post.text,
+    });
+  }
+};
 
 // @desc    Create a new post
 // @route   POST /api/posts
 // @access  Private
 exports.createPost = async (req, res) => {
   try {
-    const { text, image, category, memeTexts, captionPlacement, taggedUsers } =
-      req.body;
+    const {
+      text,
+      image,
+      category,
+      memeTexts,
+      captionPlacement,
+      taggedUsers,
+      contentRating,
+    } = req.body;
 
     // Validate required fields
     if (!text || !image) {
@@ -18,20 +124,41 @@ exports.createPost = async (req, res) => {
       });
     }
 
+    if (contentRating && !CONTENT_RATINGS.includes(contentRating)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid content rating. Must be one of: ${CONTENT_RATINGS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const tags = await validateTaggedUsers(taggedUsers, req.user);
+    if (tags.error) {
+      return res.status(400).json({
+        success: false,
+        message: tags.error,
+      });
+    }
+
+    const moderated = await moderateText(text);
+
     // Create post
     const post = await Post.create({
       user: req.user.id,
-      text,
+      text: moderated.text,
       image,
       category,
       memeTexts,
       captionPlacement,
-      taggedUsers,
+      taggedUsers: tags.ids,
+      contentRating,
+      flagged: moderated.flagged,
     });
 
     // Extract hashtags from text
     const hashtagRegex = /#(\w+)/g;
-    const hashtags = text.match(hashtagRegex);
+    const hashtags = post.text.match(hashtagRegex);
 
     if (hashtags) {
       post.hashtags = hashtags.map((tag) => tag.substring(1));
@@ -39,20 +166,7 @@ exports.createPost = async (req, res) => {
     }
 
     // Create notifications for tagged users
-    if (taggedUsers && taggedUsers.length > 0) {
-      for (const userId of taggedUsers) {
-        // Don't notify yourself
-        if (userId === req.user.id) continue;
-
-        await Notification.create({
-          recipient: userId,
-          sender: req.user.id,
-          type: "tag",
-          post: post._id,
-          content: text,
-        });
-      }
-    }
+    await notifyTaggedUsers(tags.ids, post, req.user.id);
 
     // Update user streak
     const { updateUserStreak } = require("./users");
@@ -64,15 +178,11 @@ exports.createPost = async (req, res) => {
       select: "username profilePicture",
     });
 
-    // Populate tagged users data
-    let formattedTaggedUsers = [];
-    if (taggedUsers && taggedUsers.length > 0) {
-      const taggedUsersData = await User.find({ _id: { $in: taggedUsers } });
-      formattedTaggedUsers = taggedUsersData.map((user) => ({
-        id: user._id,
-        username: user.username,
-      }));
-    }
+    // Format tagged users data
+    const formattedTaggedUsers = tags.users.map((user) => ({
+      id: user._id,
+      username: user.username,
+    }));
 
     res.status(201).json({
       success: true,
@@ -87,6 +197,7 @@ exports.createPost = async (req, res) => {
         category: post.category,
         memeTexts: post.memeTexts,
         captionPlacement: post.captionPlacement,
+        ...getContentPreview(post, req.user),
         taggedUsers: formattedTaggedUsers,
         user: {
           id: post.user._id,
@@ -108,13 +219,28 @@ exports.createPost = async (req, res) => {
 // @access  Private
 exports.getPosts = async (req, res) => {
   try {
-    // Get posts from users the current user follows + own posts
+    const { limit, position, error } = parsePageParams(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Get posts from users the current user follows + own posts, leaving
+    // out muted and blocked users
     const user = await User.findById(req.user.id);
     const following = user.following;
     following.push(req.user.id); // Include own posts
 
-    const posts = await Post.find({ user: { $in: following } })
-      .sort({ createdAt: -1 })
+    const docs = await Post.find(
+      applyCursor(
+        await feedFilter(req.user, { user: { $in: following } }),
+        position
+      )
+    )
+      .sort(FEED_SORT)
+      .limit(limit + 1)
       .populate({
         path: "user",
         select: "username profilePicture",
@@ -127,9 +253,11 @@ exports.getPosts = async (req, res) => {
         path: "taggedUsers",
         select: "_id username",
       });
+    const { items: posts, nextCursor } = buildPage(docs, limit);
 
     res.status(200).json({
       success: true,
+      nextCursor,
       data: posts.map((post) => {
         // Format tagged users
         const formattedTaggedUsers = post.taggedUsers
@@ -161,6 +289,7 @@ exports.getPosts = async (req, res) => {
           category: post.category,
           memeTexts: post.memeTexts,
           captionPlacement: post.captionPlacement,
+          ...getContentPreview(post, req.user),
           taggedUsers: formattedTaggedUsers,
           user: {
             id: post.user._id,
@@ -179,12 +308,17 @@ exports.getPosts = async (req, res) => {
 };
 
 // @desc    Get trending posts
-// @route   GET /api/posts/trending
+// @route   GET /api/posts/trending?timeFrame=&category=&limit=
 // @access  Private
 exports.getTrendingPosts = async (req, res) => {
   try {
     // Get time frame from query params (default to 7 days)
     const timeFrame = req.query.timeFrame || "week";
+    const { category } = req.query;
+    const limit = Math.min(
+      Math.max(Number.parseInt(req.query.limit, 10) || 10, 1),
+      50
+    );
 
     // Calculate the date range based on the timeFrame
     const now = new Date();
@@ -201,14 +335,27 @@ exports.getTrendingPosts = async (req, res) => {
         startDate = new Date(now.setMonth(now.getMonth() - 1));
         break;
       default:
-        startDate = new Date(now.setDate(now.getDate() - 7));
+        return res.status(400).json({
+          success: false,
+          message: "Invalid timeFrame. Must be 'day', 'week', or 'month'",
+        });
     }
 
-    // Get posts with most likes in the specified time frame
-    // If no posts in that time frame, get all posts sorted by likes
-    let posts = await Post.find({ createdAt: { $gte: startDate } })
-      .sort({ likes: -1 })
-      .limit(10)
+    const filter = {
+      createdAt: { $gte: startDate },
+      // Only posts with some engagement can be trending
+      $or: [
+        { "likes.0": { $exists: true } },
+        { "comments.0": { $exists: true } },
+        { shareCount: { $gt: 0 } },
+      ],
+    };
+    if (category) filter.category = category;
+
+    // Get the highest scoring posts in the time frame
+    const posts = await Post.find(await feedFilter(req.user, filter))
+      .sort({ trendingScore: -1, createdAt: -1 })
+      .limit(limit)
       .populate({
         path: "user",
         select: "username profilePicture",
@@ -218,21 +365,6 @@ exports.getTrendingPosts = async (req, res) => {
         select: "username profilePicture",
       });
 
-    // If no posts found in the time frame, get all posts
-    if (posts.length === 0) {
-      posts = await Post.find()
-        .sort({ likes: -1 })
-        .limit(10)
-        .populate({
-          path: "user",
-          select: "username profilePicture",
-        })
-        .populate({
-          path: "comments.user",
-          select: "username profilePicture",
-        });
-    }
-
     res.status(200).json({
       success: true,
       data: posts.map((post) => ({
@@ -255,6 +387,12 @@ exports.getTrendingPosts = async (req, res) => {
         category: post.category,
         memeTexts: post.memeTexts,
         captionPlacement: post.captionPlacement,
+        ...getContentPreview(post, req.user),
+        // Why this post is trending
+        trending: {
+          score: post.trendingScore,
+          ...getEngagement(post),
+        },
         user: {
           id: post.user._id,
           username: post.user.username,
@@ -275,10 +413,19 @@ exports.getTrendingPosts = async (req, res) => {
 // @access  Private
 exports.getFreshPosts = async (req, res) => {
   try {
-    // Get most recent posts
-    const posts = await Post.find()
-      .sort({ createdAt: -1 })
-      .limit(20)
+    const { limit, position, error } = parsePageParams(req.query, 20);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Get most recent posts the user can see and hasn't filtered out
+    const visible = await feedFilter(req.user, {});
+    const docs = await Post.find(applyCursor(visible, position))
+      .sort(FEED_SORT)
+      .limit(limit + 1)
       .populate({
         path: "user",
         select: "username profilePicture",
@@ -287,9 +434,11 @@ exports.getFreshPosts = async (req, res) => {
         path: "comments.user",
         select: "username profilePicture",
       });
+    const { items: posts, nextCursor } = buildPage(docs, limit);
 
     res.status(200).json({
       success: true,
+      nextCursor,
       data: posts.map((post) => ({
         id: post._id,
         text: post.text,
@@ -310,6 +459,7 @@ exports.getFreshPosts = async (req, res) => {
         category: post.category,
         memeTexts: post.memeTexts,
         captionPlacement: post.captionPlacement,
+        ...getContentPreview(post, req.user),
         user: {
           id: post.user._id,
           username: post.user.username,
@@ -331,9 +481,19 @@ exports.getFreshPosts = async (req, res) => {
 exports.getCategoryPosts = async (req, res) => {
   try {
     const { category } = req.params;
+    const { limit, position, error } = parsePageParams(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
-    const posts = await Post.find({ category })
-      .sort({ createdAt: -1 })
+    // Skip posts the user can't see or has filtered out
+    const visible = await feedFilter(req.user, { category });
+    const docs = await Post.find(applyCursor(visible, position))
+      .sort(FEED_SORT)
+      .limit(limit + 1)
       .populate({
         path: "user",
         select: "username profilePicture",
@@ -342,9 +502,11 @@ exports.getCategoryPosts = async (req, res) => {
         path: "comments.user",
         select: "username profilePicture",
       });
+    const { items: posts, nextCursor } = buildPage(docs, limit);
 
     res.status(200).json({
       success: true,
+      nextCursor,
       data: posts.map((post) => ({
         id: post._id,
         text: post.text,
@@ -365,6 +527,7 @@ exports.getCategoryPosts = async (req, res) => {
         category: post.category,
         memeTexts: post.memeTexts,
         captionPlacement: post.captionPlacement,
+        ...getContentPreview(post, req.user),
         user: {
           id: post.user._id,
           username: post.user.username,
@@ -386,9 +549,19 @@ exports.getCategoryPosts = async (req, res) => {
 exports.getHashtagPosts = async (req, res) => {
   try {
     const { tag } = req.params;
+    const { limit, position, error } = parsePageParams(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
-    const posts = await Post.find({ hashtags: tag })
-      .sort({ createdAt: -1 })
+    // Skip posts the user can't see or has filtered out
+    const visible = await feedFilter(req.user, { hashtags: tag });
+    const docs = await Post.find(applyCursor(visible, position))
+      .sort(FEED_SORT)
+      .limit(limit + 1)
       .populate({
         path: "user",
         select: "username profilePicture",
@@ -397,9 +570,11 @@ exports.getHashtagPosts = async (req, res) => {
         path: "comments.user",
         select: "username profilePicture",
       });
+    const { items: posts, nextCursor } = buildPage(docs, limit);
 
     res.status(200).json({
       success: true,
+      nextCursor,
       data: posts.map((post) => ({
         id: post._id,
         text: post.text,
@@ -420,6 +595,7 @@ exports.getHashtagPosts = async (req, res) => {
         category: post.category,
         memeTexts: post.memeTexts,
         captionPlacement: post.captionPlacement,
+        ...getContentPreview(post, req.user),
         user: {
           id: post.user._id,
           username: post.user.username,
@@ -454,7 +630,7 @@ exports.getPost = async (req, res) => {
         select: "_id username",
       });
 
-    if (!post) {
+    if (!post || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
@@ -491,6 +667,7 @@ exports.getPost = async (req, res) => {
         category: post.category,
         memeTexts: post.memeTexts,
         captionPlacement: post.captionPlacement,
+        ...getContentPreview(post, req.user),
         taggedUsers: formattedTaggedUsers,
         user: {
           id: post.user._id,
@@ -529,16 +706,63 @@ exports.updatePost = async (req, res) => {
       });
     }
 
-    const { text, category, memeTexts, captionPlacement } = req.body;
+    const {
+      text,
+      category,
+      memeTexts,
+      captionPlacement,
+      taggedUsers,
+      contentRating,
+    } = req.body;
+
+    if (contentRating !== undefined) {
+      if (!CONTENT_RATINGS.includes(contentRating)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid content rating. Must be one of: ${CONTENT_RATINGS.join(
+            ", "
+          )}`,
+        });
+      }
+
+      // A moderator's rating takes precedence over the author's
+      if (post.contentRatingLocked && contentRating !== post.contentRating) {
+        return res.status(403).json({
+          success: false,
+          message: "This post's content rating was set by a moderator",
+        });
+      }
+    }
 
     // Build update object
     const updateFields = {};
+    if (contentRating !== undefined) updateFields.contentRating = contentRating;
+    let newlyTagged = [];
+    if (taggedUsers !== undefined) {
+      const tags = await validateTaggedUsers(taggedUsers, req.user);
+      if (tags.error) {
+        return res.status(400).json({
+          success: false,
+          message: tags.error,
+        });
+      }
+
+      updateFields.taggedUsers = tags.ids;
+
+      // Only people who weren't tagged before get a notification
+      const previouslyTagged = post.taggedUsers.map((id) => id.toString());
+      newlyTagged = tags.ids.filter((id) => !previouslyTagged.includes(id));
+    }
     if (text !== undefined) {
-      updateFields.text = text;
+      const moderated = await moderateText(text);
+      updateFields.text = moderated.text;
+
+      // Only auto-flag here; clearing a flag is left to admins
+      if (moderated.flagged) updateFields.flagged = true;
 
       // Update hashtags if text changed
       const hashtagRegex = /#(\w+)/g;
-      const hashtags = text.match(hashtagRegex);
+      const hashtags = moderated.text.match(hashtagRegex);
 
       if (hashtags) {
         updateFields.hashtags = hashtags.map((tag) => tag.substring(1));
@@ -563,8 +787,14 @@ exports.updatePost = async (req, res) => {
       .populate({
         path: "comments.user",
         select: "username profilePicture",
+      })
+      .populate({
+        path: "taggedUsers",
+        select: "_id username",
       });
 
+    await notifyTaggedUsers(newlyTagged, post, req.user.id);
+
     // Format the response to match the expected structure
     const formattedPost = {
       id: post._id,
@@ -586,6 +816,11 @@ exports.updatePost = async (req, res) => {
       category: post.category,
       memeTexts: post.memeTexts,
       captionPlacement: post.captionPlacement,
+      ...getContentPreview(post, req.user),
+      taggedUsers: post.taggedUsers.map((user) => ({
+        id: user._id,
+        username: user.username,
+      })),
       user: {
         id: post.user._id,
         username: post.user.username,
@@ -606,6 +841,54 @@ exports.updatePost = async (req, res) => {
   }
 };
 
+// @desc    Remove the current user's tag from a post
+// @route   DELETE /api/posts/:id/tags/me
+// @access  Private
+exports.removeMyTag = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    const isTagged = post.taggedUsers.some(
+      (id) => id.toString() === req.user.id
+    );
+    if (!isTagged) {
+      return res.status(400).json({
+        success: false,
+        message: "You are not tagged in this post",
+      });
+    }
+
+    await Post.findByIdAndUpdate(post._id, {
+      $pull: { taggedUsers: req.user._id },
+    });
+
+    // The tag notification no longer points at anything
+    await Notification.deleteMany({
+      recipient: req.user.id,
+      post: post._id,
+      type: "tag",
+      comment: { $exists: false },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Delete a post
 // @route   DELETE /api/posts/:id
 // @access  Private
@@ -628,8 +911,9 @@ exports.deletePost = async (req, res) => {
       });
     }
 
-    // Delete all notifications related to this post
+    // Delete all notifications and reports related to this post
     await Notification.deleteMany({ post: post._id });
+    await Report.deleteMany({ post: post._id });
 
     await post.deleteOne();
 
@@ -652,7 +936,7 @@ exports.likePost = async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
@@ -680,8 +964,16 @@ exports.likePost = async (req, res) => {
       }
     }
 
+    // Keep the trending score in step with engagement
+    applyTrendingScore(post);
     await post.save();
 
+    emitPostUpdate(req, post._id, "postLiked", {
+      userId: req.user.id,
+      isLiked: !isLiked,
+      likeCount: post.likes.length,
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -703,7 +995,7 @@ exports.addComment = async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
@@ -719,14 +1011,18 @@ exports.addComment = async (req, res) => {
       });
     }
 
+    // Comments are censored by the profanity filter but never flagged
+    const { text: commentText } = await moderateText(text);
+
     const comment = {
       user: req.user.id,
-      text,
+      text: commentText,
       createdAt: new Date(),
       likes: [],
     };
 
     post.comments.push(comment);
+    applyTrendingScore(post);
     await post.save();
 
     // Get the newly added comment
@@ -740,7 +1036,7 @@ exports.addComment = async (req, res) => {
         type: "comment",
         post: post._id,
         comment: newComment._id,
-        content: text,
+        content: commentText,
       });
     }
 
@@ -775,7 +1071,7 @@ exports.addComment = async (req, res) => {
           type: "tag",
           post: post._id,
           comment: newComment._id, // Include the comment ID to differentiate from post tags
-          content: text,
+          content: commentText,
         });
       }
     }
@@ -789,17 +1085,24 @@ exports.addComment = async (req, res) => {
     // Find the populated comment
     const populatedComment = post.comments.id(newComment._id);
 
+    const formattedComment = {
+      id: populatedComment._id,
+      user: populatedComment.user.username,
+      profilePicture: populatedComment.user.profilePicture,
+      text: populatedComment.text,
+      timestamp: populatedComment.createdAt,
+      likeCount: 0,
+      isLiked: false,
+    };
+
+    emitPostUpdate(req, post._id, "commentAdded", {
+      userId: req.user.id,
+      comment: formattedComment,
+    });
+
     res.status(200).json({
       success: true,
-      data: {
-        id: populatedComment._id,
-        user: populatedComment.user.username,
-        profilePicture: populatedComment.user.profilePicture,
-        text: populatedComment.text,
-        timestamp: populatedComment.createdAt,
-        likeCount: 0,
-        isLiked: false,
-      },
+      data: formattedComment,
     });
   } catch (error) {
     console.error("Error adding comment:", error);
@@ -817,7 +1120,7 @@ exports.likeComment = async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
@@ -862,8 +1165,16 @@ exports.likeComment = async (req, res) => {
       }
     }
 
+    applyTrendingScore(post);
     await post.save();
 
+    emitPostUpdate(req, post._id, "commentLiked", {
+      userId: req.user.id,
+      commentId: comment._id.toString(),
+      isLiked: !isLiked,
+      likeCount: comment.likes.length,
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -895,7 +1206,7 @@ exports.replyToComment = async (req, res) => {
 
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
@@ -922,9 +1233,11 @@ exports.replyToComment = async (req, res) => {
     }
 
     // Create the reply comment
+    const { text: replyText } = await moderateText(text);
+
     const reply = {
       user: req.user.id,
-      text,
+      text: replyText,
       replyTo: parentComment._id,
       createdAt: new Date(),
       likes: [],
@@ -932,6 +1245,7 @@ exports.replyToComment = async (req, res) => {
 
     // Add the reply to the post's comments array
     post.comments.push(reply);
+    applyTrendingScore(post);
     await post.save();
 
     // Get the newly added reply
@@ -960,7 +1274,7 @@ exports.replyToComment = async (req, res) => {
             type: "comment_reply",
             post: post._id,
             comment: newReply._id,
-            content: text,
+            content: replyText,
           });
         } catch (notifError) {
           console.error("Error creating notification:", notifError);
@@ -988,7 +1302,7 @@ exports.replyToComment = async (req, res) => {
             type: "tag",
             post: post._id,
             comment: newReply._id,
-            content: text,
+            content: replyText,
           });
         }
       }
@@ -1007,6 +1321,20 @@ exports.replyToComment = async (req, res) => {
         isLiked: false,
       };
 
+      emitPostUpdate(req, post._id, "commentAdded", {
+        userId: req.user.id,
+        comment: {
+          id: responseData.id,
+          user: responseData.user,
+          profilePicture: responseData.profilePicture,
+          text: responseData.text,
+          replyTo: responseData.replyTo,
+          timestamp: responseData.createdAt,
+          likeCount: 0,
+          isLiked: false,
+        },
+      });
+
       return res.status(200).json({
         success: true,
         data: responseData,
@@ -1021,7 +1349,7 @@ exports.replyToComment = async (req, res) => {
         data: {
           id: newReply._id.toString(),
           user: req.user.username || "Unknown",
-          text: text,
+          text: replyText,
           replyTo: parentComment._id.toString(),
           createdAt: new Date(),
           likeCount: 0,
@@ -1105,11 +1433,18 @@ exports.deleteComment = async (req, res) => {
           post.comments.pull(reply._id);
         }
 
+        applyTrendingScore(post);
         await post.save();
 
         // Delete any notifications related to this comment
         await Notification.deleteMany({ comment: mostRecentComment._id });
 
+        emitPostUpdate(req, post._id, "commentDeleted", {
+          commentIds: [mostRecentComment, ...repliesToRemove].map((c) =>
+            c._id.toString()
+          ),
+        });
+
         return res.status(200).json({
           success: true,
           data: {},
@@ -1148,6 +1483,7 @@ exports.deleteComment = async (req, res) => {
       post.comments.pull(reply._id);
     }
 
+    applyTrendingScore(post);
     await post.save();
 
     // Delete any notifications related to this comment
@@ -1160,6 +1496,13 @@ exports.deleteComment = async (req, res) => {
 
     console.log("Comment and related replies deleted successfully");
 
+    emitPostUpdate(req, post._id, "commentDeleted", {
+      commentIds: [
+        req.params.commentId,
+        ...repliesToRemove.map((reply) => reply._id.toString()),
+      ],
+    });
+
     res.status(200).json({
       success: true,
       data: {},
@@ -1173,3 +1516,114 @@ exports.deleteComment = async (req, res) => {
     });
   }
 };
+
+const sendAlreadyReported = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "You have already reported this post",
+  });
+
+// @desc    Report a post
+// @route   POST /api/posts/:id/report
+// @access  Private
+exports.reportPost = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post || !(await canViewPost(post, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    // Users can't report their own posts
+    if (post.user.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot report your own post",
+      });
+    }
+
+    const { reason, details } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a reason for the report",
+      });
+    }
+
+    if (
+      details !== undefined &&
+      details !== null &&
+      typeof details !== "string"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Report details must be text",
+      });
+    }
+
+    const alreadyReported = await Report.exists({
+      post: post._id,
+      reporter: req.user.id,
+    });
+
+    if (alreadyReported) {
+      return sendAlreadyReported(res);
+    }
+
+    let report;
+    try {
+      report = await Report.create({
+        post: post._id,
+        reporter: req.user.id,
+        reason,
+        details: details ? details.trim() : "",
+      });
+    } catch (error) {
+      // The same report sent twice at once trips the unique index
+      if (error.code === 11000) {
+        return sendAlreadyReported(res);
+      }
+      throw error;
+    }
+
+    // Flag the post for review once enough users have reported it
+    const { moderation } = await PlatformSettings.getSettings();
+    const pendingReports = await Report.countDocuments({
+      post: post._id,
+      status: "pending",
+    });
+
+    if (!post.flagged && pendingReports >= moderation.userReportThreshold) {
+      post.flagged = true;
+      await post.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: report._id,
+        reason: report.reason,
+        createdAt: report.createdAt,
+      },
+      message: "Thanks for your report. Our moderators will review this post.",
+    });
+  } catch (error) {
+    // Mongoose validation errors come from an invalid reason or details
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error reporting post:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "An error occurred while reporting the post",
+    });
+  }
+};
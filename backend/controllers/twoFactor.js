@@ -0,0 +1,220 @@
+const QRCode = require("qrcode");
+const User = require("../models/User");
+const { generateSecret, buildOtpauthUrl } = require("../utils/totp");
+const {
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.recoveryCodes"
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        recoveryCodesLeft: user.twoFactor.enabled
+          ? user.twoFactor.recoveryCodes.length
+          : 0,
+        required: user.role === "admin",
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Start setting up two-factor with a new secret
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already on",
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { "twoFactor.pendingSecret": secret } }
+    );
+
+    const otpauthUrl = buildOtpauthUrl(secret, req.user.username);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Turn two-factor on with a code from the new secret
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already on",
+      });
+    }
+
+    const isValid = await verifySecondFactor(
+      req.user._id,
+      { code: req.body.code },
+      { pending: true }
+    );
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "That code isn't right. Check your authenticator app and try again.",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.pendingSecret"
+    );
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.recoveryCodes": hashes,
+        },
+        $unset: { "twoFactor.pendingSecret": 1 },
+      }
+    );
+
+    // Entering the code proves this device has the second factor
+    req.authSession.twoFactorVerified = true;
+    await req.authSession.save();
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes: codes },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Turn two-factor off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (req.user.role === "admin") {
+      return res.status(400).json({
+        success: false,
+        message: "Admins must keep two-factor authentication on",
+      });
+    }
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already off",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+    const isMatch = password && (await user.matchPassword(password));
+
+    if (!isMatch || !(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: "Your password or code is incorrect",
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.secret": 1,
+          "twoFactor.recoveryCodes": 1,
+          "twoFactor.lastUsedStep": 1,
+        },
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { enabled: false },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is off",
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        message: "That code isn't right",
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { "twoFactor.recoveryCodes": hashes } }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes: codes },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,4 +1,5 @@
 const cloudinary = require("cloudinary").v2;
+const PlatformSettings = require("../models/PlatformSettings");
 
 // Configure Cloudinary
 cloudinary.config({
@@ -19,11 +20,41 @@ exports.uploadImage = async (req, res) => {
       });
     }
 
+    // Read the upload settings configured from the admin settings page
+    const { cloudinary: uploadSettings } = await PlatformSettings.getSettings();
+
+    // Reject data URIs that decode to more than the configured max size
+    const base64Match = /^data:[^;]+;base64,(.*)$/.exec(req.body.image);
+    if (base64Match) {
+      const base64 = base64Match[1];
+      const padding = base64.endsWith("==") ? 2 : base64.endsWith("=") ? 1 : 0;
+      const fileSize = (base64.length * 3) / 4 - padding;
+
+      if (fileSize > uploadSettings.maxFileSize) {
+        return res.status(413).json({
+          success: false,
+          message: `Image is too large. Maximum size is ${(
+            uploadSettings.maxFileSize / 1048576
+          ).toFixed(1)} MB`,
+        });
+      }
+    }
+
+    const baseFolder = uploadSettings.folder || "chucklechain";
+
     const uploadOptions = {
-      folder: "chucklechain",
-      resource_type: "auto",
+      folder: baseFolder,
+      resource_type: uploadSettings.resourceType || "auto",
     };
 
+    if (uploadSettings.uploadPreset) {
+      uploadOptions.upload_preset = uploadSettings.uploadPreset;
+    }
+
+    if (uploadSettings.cloudName) {
+      uploadOptions.cloud_name = uploadSettings.cloudName;
+    }
+
     // If this is a profile picture upload
     if (req.body.isProfilePicture) {
       // Use crop and face detection for profile pictures to maintain quality
@@ -32,7 +63,7 @@ exports.uploadImage = async (req, res) => {
         { quality: "auto:good" }, // Maintain good quality
       ];
       // Add a specific folder for profile pictures
-      uploadOptions.folder = "chucklechain/profiles";
+      uploadOptions.folder = `${baseFolder}/profiles`;
     } else if (req.body.isMessageImage) {
       // For message images, preserve aspect ratio but optimize for messaging
       uploadOptions.transformation = [
@@ -40,7 +71,7 @@ exports.uploadImage = async (req, res) => {
         { quality: "auto:good" }, // Maintain good quality
       ];
       // Add a specific folder for message images
-      uploadOptions.folder = "chucklechain/messages";
+      uploadOptions.folder = `${baseFolder}/messages`;
       console.log("Uploading message image to Cloudinary");
     } else if (req.body.preserveAspectRatio) {
       // For other images that need to preserve aspect ratio
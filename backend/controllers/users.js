@@ -3,35 +3,81 @@ const Post = require("../models/Post");
 const Notification = require("../models/Notification");
 const Message = require("../models/Message");
 const Conversation = require("../models/Conversation");
-const { emitNewNotification } = require("../socket");
+const FollowRequest = require("../models/FollowRequest");
+const Session = require("../models/Session");
+const {
+  emitNewNotification,
+  emitFollowRequest,
+  syncBlockedUsers,
+  getLastSeen,
+  isUserOnline,
+} = require("../socket");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { disconnectSessions, revokeSessions } = require("../utils/sessions");
+const {
+  FEED_SORT,
+  parsePageParams,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+const {
+  getVisibility,
+  requiresFollowApproval,
+  canViewProfile,
+  visiblePostsFilter,
+} = require("../utils/visibility");
+const { canSeeOnlineStatus } = require("../utils/privacy");
+const {
+  applyContentFilter,
+  getContentPreview,
+} = require("../utils/contentFilter");
+const {
+  hasBlocked,
+  hasMuted,
+  isBlockedBetween,
+  getBlockedUserIds,
+} = require("../utils/blocking");
+const {
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  nextUsernameChangeAt,
+  checkUsernameAvailability,
+  findUserByPreviousUsername,
+  rewriteMentions,
+} = require("../utils/usernames");
+const { createActionToken } = require("../utils/tokens");
+const { sendEmailChangeEmail, sendEmailChangedNotice } = require("../utils/mailer");
 
 // @desc    Get user profile
 // @route   GET /api/users/:username
 // @access  Public
 exports.getUserProfile = async (req, res) => {
   try {
-    const user = await User.findOne({ username: req.params.username });
+    const { limit, position, error } = parsePageParams(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
-    if (!user) {
+    // Old links to a user who changed their username keep working for a
+    // while; the client sees the new username and updates the URL
+    const user =
+      (await User.findOne({ username: req.params.username })) ||
+      (await findUserByPreviousUsername(req.params.username));
+
+    // Users who blocked the viewer look like they don't exist
+    if (!user || (req.user && hasBlocked(user, req.user))) {
       return res.status(404).json({
         success: false,
         message: "User not found",
       });
     }
 
-    // Get user's posts
-    const posts = await Post.find({ user: user._id })
-      .sort({ createdAt: -1 })
-      .populate({
-        path: "user",
-        select: "username profilePicture",
-      })
-      .populate({
-        path: "comments.user",
-        select: "username profilePicture",
-      });
+    const postCount = await Post.countDocuments({ user: user._id });
+    const isBlocked = !!req.user && hasBlocked(req.user, user);
+    const isMuted = !!req.user && hasMuted(req.user, user);
 
     // Check if the logged-in user is following this user
     let isFollowing = false;
@@ -41,8 +87,59 @@ exports.getUserProfile = async (req, res) => {
       );
     }
 
+    // Non-followers of a restricted profile only get the header
+    if (!canViewProfile(user, req.user)) {
+      const followRequested =
+        req.user &&
+        (await FollowRequest.exists({
+          requester: req.user._id,
+          recipient: user._id,
+          status: "pending",
+        }));
+
+      return res.status(200).json({
+        success: true,
+        nextCursor: null,
+        data: {
+          user: {
+            id: user._id,
+            username: user.username,
+            profilePicture: user.profilePicture,
+            fullName: user.fullName,
+            followers: user.followers.length,
+            following: user.following.length,
+            postCount,
+            isFollowing,
+            visibility: getVisibility(user),
+            canView: false,
+            followRequested: !!followRequested,
+            isBlocked,
+            isMuted,
+          },
+          posts: [],
+        },
+      });
+    }
+
+    // Get a page of the user's posts the viewer's content filter allows
+    const docs = await Post.find(
+      applyCursor(applyContentFilter(req.user, { user: user._id }), position)
+    )
+      .sort(FEED_SORT)
+      .limit(limit + 1)
+      .populate({
+        path: "user",
+        select: "username profilePicture",
+      })
+      .populate({
+        path: "comments.user",
+        select: "username profilePicture",
+      });
+    const { items: posts, nextCursor } = buildPage(docs, limit);
+
     res.status(200).json({
       success: true,
+      nextCursor,
       data: {
         user: {
           id: user._id,
@@ -53,7 +150,13 @@ exports.getUserProfile = async (req, res) => {
           website: user.website,
           followers: user.followers.length,
           following: user.following.length,
+          postCount,
           isFollowing,
+          visibility: getVisibility(user),
+          canView: true,
+          followRequested: false,
+          isBlocked,
+          isMuted,
         },
         posts: posts.map((post) => ({
           id: post._id,
@@ -71,6 +174,7 @@ exports.getUserProfile = async (req, res) => {
           category: post.category,
           memeTexts: post.memeTexts,
           captionPlacement: post.captionPlacement,
+          ...getContentPreview(post, req.user),
           user: {
             id: post.user._id,
             username: post.user.username,
@@ -93,11 +197,22 @@ exports.getUserProfile = async (req, res) => {
 // @access  Private
 exports.getMyProfile = async (req, res) => {
   try {
+    const { limit, position, error } = parsePageParams(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
     const user = await User.findById(req.user.id);
 
-    // Get user's posts
-    const posts = await Post.find({ user: user._id })
-      .sort({ createdAt: -1 })
+    // Get a page of the user's posts (own posts always pass the filter)
+    const docs = await Post.find(
+      applyCursor(applyContentFilter(user, { user: user._id }), position)
+    )
+      .sort(FEED_SORT)
+      .limit(limit + 1)
       .populate({
         path: "user",
         select: "username profilePicture",
@@ -106,10 +221,31 @@ exports.getMyProfile = async (req, res) => {
         path: "comments.user",
         select: "username profilePicture",
       });
+    const { items: posts, nextCursor } = buildPage(docs, limit);
+
+    // Totals over all the user's posts, not just this page
+    const [stats] = await Post.aggregate([
+      { $match: { user: user._id } },
+      {
+        $group: {
+          _id: null,
+          postCount: { $sum: 1 },
+          totalLikes: { $sum: { $size: "$likes" } },
+          totalComments: { $sum: { $size: "$comments" } },
+          lastPostAt: { $max: "$createdAt" },
+        },
+      },
+    ]);
 
     res.status(200).json({
       success: true,
+      nextCursor,
       data: {
+        stats: {
+          totalLikes: stats ? stats.totalLikes : 0,
+          totalComments: stats ? stats.totalComments : 0,
+          lastPostAt: stats ? stats.lastPostAt : null,
+        },
         user: {
           id: user._id,
           username: user.username,
@@ -119,6 +255,7 @@ exports.getMyProfile = async (req, res) => {
           website: user.website,
           followers: user.followers.length,
           following: user.following.length,
+          postCount: stats ? stats.postCount : 0,
           isFollowing: false, // Always false for own profile
           currentStreak: user.currentStreak || 0,
           maxStreak: user.maxStreak || 0,
@@ -141,6 +278,7 @@ exports.getMyProfile = async (req, res) => {
           category: post.category,
           memeTexts: post.memeTexts,
           captionPlacement: post.captionPlacement,
+          ...getContentPreview(post, user),
           user: {
             id: post.user._id,
             username: post.user.username,
@@ -158,6 +296,81 @@ exports.getMyProfile = async (req, res) => {
   }
 };
 
+// @desc    Get posts the current user is tagged in
+// @route   GET /api/users/me/tagged
+// @access  Private
+exports.getTaggedPosts = async (req, res) => {
+  try {
+    const { limit, position, error } = parsePageParams(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Skip tags on posts the user can no longer see or has filtered out
+    const visible = applyContentFilter(
+      req.user,
+      await visiblePostsFilter(req.user, { taggedUsers: req.user._id })
+    );
+    const docs = await Post.find(applyCursor(visible, position))
+      .sort(FEED_SORT)
+      .limit(limit + 1)
+      .populate({
+        path: "user",
+        select: "username profilePicture",
+      })
+      .populate({
+        path: "comments.user",
+        select: "username profilePicture",
+      })
+      .populate({
+        path: "taggedUsers",
+        select: "_id username",
+      });
+    const { items: posts, nextCursor } = buildPage(docs, limit);
+
+    res.status(200).json({
+      success: true,
+      nextCursor,
+      data: posts.map((post) => ({
+        id: post._id,
+        text: post.text,
+        image: post.image,
+        createdAt: post.createdAt,
+        likes: post.likeCount,
+        isLiked: post.likes.includes(req.user._id),
+        comments: post.comments.map((comment) => ({
+          id: comment._id,
+          user: comment.user.username,
+          profilePicture: comment.user.profilePicture,
+          text: comment.text,
+        })),
+        category: post.category,
+        memeTexts: post.memeTexts,
+        captionPlacement: post.captionPlacement,
+        ...getContentPreview(post, req.user),
+        taggedUsers: post.taggedUsers.map((user) => ({
+          id: user._id,
+          username: user.username,
+        })),
+        user: {
+          id: post.user._id,
+          username: post.user.username,
+          profilePicture: post.user.profilePicture,
+        },
+      })),
+    });
+  } catch (error) {
+    console.error("Error in getTaggedPosts:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Update user profile
 // @route   PUT /api/users/me
 // @access  Private
@@ -191,6 +404,187 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Check whether a username can be taken
+// @route   GET /api/users/username-available?username=
+// @access  Private
+exports.checkUsername = async (req, res) => {
+  try {
+    const { available, reason } = await checkUsernameAvailability(
+      req.query.username,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { available, message: reason },
+    });
+  } catch (error) {
+    console.error("Error checking username:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Change the current user's username
+// @route   PUT /api/users/me/username
+// @access  Private
+exports.changeUsername = async (req, res) => {
+  try {
+    const username =
+      typeof req.body.username === "string" ? req.body.username.trim() : "";
+
+    const nextChangeAt = nextUsernameChangeAt(req.user);
+    if (nextChangeAt) {
+      return res.status(429).json({
+        success: false,
+        message: `You can only change your username once every ${USERNAME_CHANGE_COOLDOWN_DAYS} days`,
+        data: { nextChangeAt },
+      });
+    }
+
+    const { available, reason } = await checkUsernameAvailability(
+      username,
+      req.user
+    );
+    if (!available) {
+      return res.status(400).json({
+        success: false,
+        message: reason,
+      });
+    }
+
+    const oldUsername = req.user.username;
+    const changedAt = new Date();
+
+    // Matching on the old username makes a second change sent at the same
+    // time fail instead of both going through
+    let user;
+    try {
+      user = await User.findOneAndUpdate(
+        { _id: req.user._id, username: oldUsername },
+        {
+          $set: { username, usernameChangedAt: changedAt },
+          $push: {
+            previousUsernames: { username: oldUsername, changedAt },
+          },
+        },
+        { new: true }
+      );
+    } catch (error) {
+      // Someone else took the name since the check
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "That username is taken",
+        });
+      }
+      throw error;
+    }
+
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        message: "Your username was changed by another request",
+      });
+    }
+
+    // Taking back a name you had before drops it from the list
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { previousUsernames: { username } } }
+    );
+
+    await rewriteMentions(user._id, oldUsername, username);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        username: user.username,
+        nextChangeAt: nextUsernameChangeAt(user),
+      },
+    });
+  } catch (error) {
+    console.error("Error changing username:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Start changing the current user's email
+// @route   PUT /api/users/me/email
+// @access  Private
+exports.changeEmail = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the new email and your password",
+      });
+    }
+
+    const newEmail = email.trim();
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "That's already your email",
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({
+        success: false,
+        message: "That email is already in use",
+      });
+    }
+
+    // The address only changes once the link sent to it is opened
+    user.pendingEmail = newEmail;
+    await user.save();
+
+    try {
+      const token = await createActionToken(user, "email-change");
+      await sendEmailChangeEmail(user, token);
+    } catch (error) {
+      // Without the link the change could never be confirmed
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { pendingEmail: 1, emailChangeToken: 1 } }
+      );
+      throw error;
+    }
+    sendEmailChangedNotice(user).catch((error) =>
+      console.error("Error sending email change notice:", error)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `We sent a link to ${newEmail}. Open it to confirm the change.`,
+      data: { pendingEmail: newEmail },
+    });
+  } catch (error) {
+    console.error("Error changing email:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Change user password
 // @route   PUT /api/users/change-password
 // @access  Private
@@ -230,9 +624,15 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    const revoked = await revokeSessions(req.app.get("io"), user._id, {
+      except: req.sessionId,
+    });
+
     res.status(200).json({
       success: true,
       message: "Password updated successfully",
+      data: { revokedSessions: revoked.length },
     });
   } catch (error) {
     console.error("Error changing password:", error);
@@ -289,8 +689,28 @@ exports.deleteAccount = async (req, res) => {
         { session }
       );
 
-      // Delete all conversations where the user is a participant
-      await Conversation.deleteMany({ participants: userId }, { session });
+      // Delete the user's direct conversations
+      await Conversation.deleteMany(
+        { isGroup: { $ne: true }, participants: userId },
+        { session }
+      );
+
+      // Leave group conversations, deleting groups left empty and handing
+      // groups left without an admin to their longest-standing member
+      await Conversation.updateMany(
+        { isGroup: true, participants: userId },
+        { $pull: { participants: userId, admins: userId } },
+        { session }
+      );
+      await Conversation.deleteMany(
+        { isGroup: true, participants: { $size: 0 } },
+        { session }
+      );
+      await Conversation.updateMany(
+        { isGroup: true, admins: { $size: 0 } },
+        [{ $set: { admins: [{ $arrayElemAt: ["$participants", 0] }] } }],
+        { session }
+      );
 
       // 7. Remove user from followers/following lists AND update follower/following counts
       // Find users who this user follows
@@ -314,163 +734,650 @@ exports.deleteAccount = async (req, res) => {
         { session }
       );
 
-      // Remove the user from their following list
-      await User.updateMany(
-        { following: userId },
-        { $pull: { following: userId } },
-        { session }
-      );
+      // Remove the user from their following list
+      await User.updateMany(
+        { following: userId },
+        { $pull: { following: userId } },
+        { session }
+      );
+
+      // Remove the user from everyone's block and mute lists
+      await User.updateMany(
+        { $or: [{ blockedUsers: userId }, { mutedUsers: userId }] },
+        { $pull: { blockedUsers: userId, mutedUsers: userId } },
+        { session }
+      );
+
+      // 8. Remove user from tagged posts
+      await Post.updateMany(
+        { taggedUsers: userId },
+        { $pull: { taggedUsers: userId } },
+        { session }
+      );
+
+      // 9. Delete follow requests sent or received by the user
+      await FollowRequest.deleteMany(
+        { $or: [{ requester: userId }, { recipient: userId }] },
+        { session }
+      );
+
+      // 10. End all of the user's sessions
+      const sessionIds = await Session.find({ user: userId }, null, {
+        session,
+      }).distinct("_id");
+      await Session.deleteMany({ user: userId }, { session });
+
+      // 11. Finally, delete the user
+      await User.findByIdAndDelete(userId, { session });
+
+      // Commit the transaction
+      await session.commitTransaction();
+      session.endSession();
+
+      await disconnectSessions(req.app.get("io"), userId, sessionIds);
+      res.clearCookie("token");
+      res.clearCookie("refreshToken", { path: "/api/auth" });
+
+      res.status(200).json({
+        success: true,
+        message: "Account deleted successfully",
+      });
+    } catch (error) {
+      // If an error occurs, abort the transaction
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "An error occurred while deleting account",
+    });
+  }
+};
+
+// Populate the sender of a follow related notification and push it live
+const emitFollowNotification = async (req, notification) => {
+  await notification.populate({
+    path: "sender",
+    select: "username profilePicture",
+  });
+
+  // Muted users' notifications are only hidden from the recipient
+  const recipient = await User.findById(notification.recipient).select(
+    "mutedUsers"
+  );
+  if (recipient && hasMuted(recipient, notification.sender)) return;
+
+  const io = req.app.get("io");
+  if (io) {
+    emitNewNotification(io, notification.recipient.toString(), {
+      id: notification._id,
+      type: notification.type,
+      user: {
+        id: notification.sender._id,
+        username: notification.sender.username,
+        profilePicture: notification.sender.profilePicture,
+      },
+      read: notification.read,
+      timestamp: notification.createdAt,
+    });
+  }
+};
+
+// @desc    Follow/Unfollow a user
+// @route   PUT /api/users/:username/follow
+// @access  Private
+exports.followUser = async (req, res) => {
+  try {
+    // Check if user exists
+    const userToFollow = await User.findOne({ username: req.params.username });
+
+    if (!userToFollow) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Check if user is trying to follow themselves
+    if (userToFollow._id.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot follow yourself",
+      });
+    }
+
+    if (isBlockedBetween(req.user, userToFollow)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't follow this user",
+      });
+    }
+
+    // Check if already following
+    const isFollowing = req.user.following.some(
+      (id) => id.toString() === userToFollow._id.toString()
+    );
+
+    // Private accounts have to approve new followers
+    if (!isFollowing && requiresFollowApproval(userToFollow)) {
+      const existingRequest = await FollowRequest.findOne({
+        requester: req.user.id,
+        recipient: userToFollow._id,
+        status: "pending",
+      });
+
+      // Following again while a request is pending withdraws it
+      if (existingRequest) {
+        await cancelPendingRequest(req, existingRequest);
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            isFollowing: false,
+            followRequested: false,
+          },
+        });
+      }
+
+      const followRequest = await FollowRequest.create({
+        requester: req.user.id,
+        recipient: userToFollow._id,
+      });
+
+      const notification = await Notification.create({
+        recipient: userToFollow._id,
+        sender: req.user.id,
+        type: "follow_request",
+      });
+      await emitFollowNotification(req, notification);
+
+      // Let the owner's request list update live
+      const io = req.app.get("io");
+      if (io) {
+        emitFollowRequest(
+          io,
+          userToFollow._id,
+          "followRequest",
+          formatFollowRequest(followRequest, req.user)
+        );
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          isFollowing: false,
+          followRequested: true,
+        },
+      });
+    }
+
+    // Start a session for transaction
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      // If already following, unfollow
+      if (isFollowing) {
+        await User.findByIdAndUpdate(
+          userToFollow._id,
+          { $pull: { followers: req.user.id } },
+          { session }
+        );
+
+        await User.findByIdAndUpdate(
+          req.user.id,
+          { $pull: { following: userToFollow._id } },
+          { session }
+        );
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            isFollowing: false,
+          },
+        });
+      }
+
+      // If not following, follow
+      await User.findByIdAndUpdate(
+        userToFollow._id,
+        { $addToSet: { followers: req.user.id } },
+        { session }
+      );
+
+      await User.findByIdAndUpdate(
+        req.user.id,
+        { $addToSet: { following: userToFollow._id } },
+        { session }
+      );
+
+      // Create a notification for the user being followed
+      const notification = new Notification({
+        recipient: userToFollow._id,
+        sender: req.user.id,
+        type: "follow",
+      });
+
+      await notification.save({ session });
+      await session.commitTransaction();
+      session.endSession();
+
+      // Emit the notification to the user being followed
+      await emitFollowNotification(req, notification);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          isFollowing: true,
+        },
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  } catch (error) {
+    console.error("Follow error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Shape a follow request and the other user for responses and socket events
+const formatFollowRequest = (followRequest, user) => ({
+  id: followRequest._id,
+  user: {
+    id: user._id,
+    username: user.username,
+    profilePicture: user.profilePicture,
+  },
+  createdAt: followRequest.createdAt,
+});
+
+// Load a pending follow request addressed to the current user
+const findIncomingRequest = (req) =>
+  FollowRequest.findOne({
+    _id: req.params.id,
+    recipient: req.user.id,
+    status: "pending",
+  });
+
+// Withdraw a pending request together with its notification
+const cancelPendingRequest = async (req, followRequest) => {
+  await followRequest.deleteOne();
+  await Notification.deleteMany({
+    recipient: followRequest.recipient,
+    sender: followRequest.requester,
+    type: "follow_request",
+  });
+
+  const io = req.app.get("io");
+  if (io) {
+    emitFollowRequest(io, followRequest.recipient, "followRequestCancelled", {
+      id: followRequest._id,
+    });
+  }
+};
+
+// Turn a pending request into a follow and tell the requester
+const approveFollowRequest = async (req, followRequest) => {
+  await User.findByIdAndUpdate(followRequest.recipient, {
+    $addToSet: { followers: followRequest.requester },
+  });
+  await User.findByIdAndUpdate(followRequest.requester, {
+    $addToSet: { following: followRequest.recipient },
+  });
+
+  followRequest.status = "accepted";
+  followRequest.respondedAt = Date.now();
+  await followRequest.save();
+
+  const notification = await Notification.create({
+    recipient: followRequest.requester,
+    sender: followRequest.recipient,
+    type: "follow_accept",
+  });
+  await emitFollowNotification(req, notification);
+};
+
+// @desc    Get pending follow requests sent to the current user
+// @route   GET /api/users/follow-requests
+// @access  Private
+exports.getFollowRequests = async (req, res) => {
+  try {
+    const followRequests = await FollowRequest.find({
+      recipient: req.user.id,
+      status: "pending",
+    })
+      .sort({ createdAt: -1 })
+      .populate("requester", "_id username profilePicture");
+
+    res.status(200).json({
+      success: true,
+      data: followRequests
+        // Skip requests from deleted accounts
+        .filter((followRequest) => followRequest.requester)
+        .map((followRequest) =>
+          formatFollowRequest(followRequest, followRequest.requester)
+        ),
+    });
+  } catch (error) {
+    console.error("Error fetching follow requests:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get pending follow requests sent by the current user
+// @route   GET /api/users/follow-requests/sent
+// @access  Private
+exports.getSentFollowRequests = async (req, res) => {
+  try {
+    const followRequests = await FollowRequest.find({
+      requester: req.user.id,
+      status: "pending",
+    })
+      .sort({ createdAt: -1 })
+      .populate("recipient", "_id username profilePicture");
+
+    res.status(200).json({
+      success: true,
+      data: followRequests
+        .filter((followRequest) => followRequest.recipient)
+        .map((followRequest) =>
+          formatFollowRequest(followRequest, followRequest.recipient)
+        ),
+    });
+  } catch (error) {
+    console.error("Error fetching sent follow requests:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a follow request sent by the current user
+// @route   DELETE /api/users/follow-requests/:id
+// @access  Private
+exports.cancelFollowRequest = async (req, res) => {
+  try {
+    const followRequest = await FollowRequest.findOne({
+      _id: req.params.id,
+      requester: req.user.id,
+      status: "pending",
+    });
+
+    if (!followRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Follow request not found",
+      });
+    }
+
+    await cancelPendingRequest(req, followRequest);
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error cancelling follow request:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Accept a follow request
+// @route   PUT /api/users/follow-requests/:id/accept
+// @access  Private
+exports.acceptFollowRequest = async (req, res) => {
+  try {
+    const followRequest = await findIncomingRequest(req);
 
-      // 8. Remove user from tagged posts
-      await Post.updateMany(
-        { taggedUsers: userId },
-        { $pull: { taggedUsers: userId } },
-        { session }
-      );
+    if (!followRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Follow request not found",
+      });
+    }
 
-      // 9. Finally, delete the user
-      await User.findByIdAndDelete(userId, { session });
+    await approveFollowRequest(req, followRequest);
 
-      // Commit the transaction
-      await session.commitTransaction();
-      session.endSession();
+    res.status(200).json({
+      success: true,
+      data: {
+        id: followRequest._id,
+        status: followRequest.status,
+      },
+    });
+  } catch (error) {
+    console.error("Error accepting follow request:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
 
-      res.status(200).json({
-        success: true,
-        message: "Account deleted successfully",
+// @desc    Decline a follow request
+// @route   PUT /api/users/follow-requests/:id/decline
+// @access  Private
+exports.declineFollowRequest = async (req, res) => {
+  try {
+    const followRequest = await findIncomingRequest(req);
+
+    if (!followRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Follow request not found",
       });
-    } catch (error) {
-      // If an error occurs, abort the transaction
-      await session.abortTransaction();
-      session.endSession();
-      throw error;
     }
+
+    // The requester is not told about declined requests
+    followRequest.status = "declined";
+    followRequest.respondedAt = Date.now();
+    await followRequest.save();
+
+    // Remove the request notification from the owner's list
+    await Notification.deleteMany({
+      recipient: req.user.id,
+      sender: followRequest.requester,
+      type: "follow_request",
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: followRequest._id,
+        status: followRequest.status,
+      },
+    });
   } catch (error) {
-    console.error("Error deleting account:", error);
+    console.error("Error declining follow request:", error);
     res.status(500).json({
       success: false,
-      message: error.message || "An error occurred while deleting account",
+      message: error.message,
     });
   }
 };
 
-// @desc    Follow/Unfollow a user
-// @route   PUT /api/users/:username/follow
+// Shape the users in a block or mute list for responses
+const formatUserList = (users) =>
+  users.map((user) => ({
+    id: user._id,
+    username: user.username,
+    profilePicture: user.profilePicture,
+    fullName: user.fullName || "",
+  }));
+
+// @desc    Block/Unblock a user
+// @route   PUT /api/users/:username/block
 // @access  Private
-exports.followUser = async (req, res) => {
+exports.blockUser = async (req, res) => {
   try {
-    // Check if user exists
-    const userToFollow = await User.findOne({ username: req.params.username });
+    const userToBlock = await User.findOne({ username: req.params.username });
 
-    if (!userToFollow) {
+    if (!userToBlock) {
       return res.status(404).json({
         success: false,
         message: "User not found",
       });
     }
 
-    // Check if user is trying to follow themselves
-    if (userToFollow._id.toString() === req.user.id) {
+    if (userToBlock._id.toString() === req.user.id) {
       return res.status(400).json({
         success: false,
-        message: "You cannot follow yourself",
+        message: "You cannot block yourself",
       });
     }
 
-    // Check if already following
-    const isFollowing = req.user.following.some(
-      (id) => id.toString() === userToFollow._id.toString()
-    );
+    // Blocking again unblocks
+    if (hasBlocked(req.user, userToBlock)) {
+      await User.findByIdAndUpdate(req.user.id, {
+        $pull: { blockedUsers: userToBlock._id },
+      });
+      await syncBlockedUsers(req.app.get("io"), req.user._id);
 
-    // Start a session for transaction
-    const session = await mongoose.startSession();
-    session.startTransaction();
+      return res.status(200).json({
+        success: true,
+        data: {
+          isBlocked: false,
+        },
+      });
+    }
 
-    try {
-      // If already following, unfollow
-      if (isFollowing) {
-        await User.findByIdAndUpdate(
-          userToFollow._id,
-          { $pull: { followers: req.user.id } },
-          { session }
-        );
+    // Blocking ends follows both ways and any pending follow requests
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { blockedUsers: userToBlock._id },
+      $pull: { followers: userToBlock._id, following: userToBlock._id },
+    });
+    await User.findByIdAndUpdate(userToBlock._id, {
+      $pull: { followers: req.user._id, following: req.user._id },
+    });
 
-        await User.findByIdAndUpdate(
-          req.user.id,
-          { $pull: { following: userToFollow._id } },
-          { session }
-        );
+    const followRequests = await FollowRequest.find({
+      status: "pending",
+      $or: [
+        { requester: req.user.id, recipient: userToBlock._id },
+        { requester: userToBlock._id, recipient: req.user.id },
+      ],
+    });
+    for (const followRequest of followRequests) {
+      await cancelPendingRequest(req, followRequest);
+    }
 
-        await session.commitTransaction();
-        session.endSession();
+    // Stop sharing online status with the blocked user right away
+    await syncBlockedUsers(req.app.get("io"), req.user._id);
 
-        return res.status(200).json({
-          success: true,
-          data: {
-            isFollowing: false,
-          },
-        });
-      }
+    res.status(200).json({
+      success: true,
+      data: {
+        isBlocked: true,
+      },
+    });
+  } catch (error) {
+    console.error("Block error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
 
-      // If not following, follow
-      await User.findByIdAndUpdate(
-        userToFollow._id,
-        { $addToSet: { followers: req.user.id } },
-        { session }
-      );
+// @desc    Mute/Unmute a user
+// @route   PUT /api/users/:username/mute
+// @access  Private
+exports.muteUser = async (req, res) => {
+  try {
+    const userToMute = await User.findOne({ username: req.params.username });
 
-      await User.findByIdAndUpdate(
-        req.user.id,
-        { $addToSet: { following: userToFollow._id } },
-        { session }
-      );
+    if (!userToMute || hasBlocked(userToMute, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
 
-      // Create a notification for the user being followed
-      const notification = new Notification({
-        recipient: userToFollow._id,
-        sender: req.user.id,
-        type: "follow",
+    if (userToMute._id.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot mute yourself",
       });
+    }
 
-      await notification.save({ session });
-      await session.commitTransaction();
-      session.endSession();
+    // Muting again unmutes
+    const isMuted = !hasMuted(req.user, userToMute);
+    await User.findByIdAndUpdate(req.user.id, {
+      [isMuted ? "$addToSet" : "$pull"]: { mutedUsers: userToMute._id },
+    });
 
-      // Populate the sender information for the notification
-      await notification.populate({
-        path: "sender",
-        select: "username profilePicture",
-      });
+    res.status(200).json({
+      success: true,
+      data: {
+        isMuted,
+      },
+    });
+  } catch (error) {
+    console.error("Mute error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
 
-      // Emit the notification to the user being followed
-      const io = req.app.get("io");
-      if (io) {
-        emitNewNotification(io, userToFollow._id.toString(), {
-          id: notification._id,
-          type: notification.type,
-          user: {
-            id: notification.sender._id,
-            username: notification.sender.username,
-            profilePicture: notification.sender.profilePicture,
-          },
-          read: notification.read,
-          timestamp: notification.createdAt,
-        });
-      }
+// @desc    Get the users the current user has blocked
+// @route   GET /api/users/blocked
+// @access  Private
+exports.getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).populate({
+      path: "blockedUsers",
+      select: "username profilePicture fullName",
+    });
 
-      res.status(200).json({
-        success: true,
-        data: {
-          isFollowing: true,
-        },
-      });
-    } catch (error) {
-      await session.abortTransaction();
-      session.endSession();
-      throw error;
-    }
+    res.status(200).json({
+      success: true,
+      data: formatUserList(user.blockedUsers),
+    });
   } catch (error) {
-    console.error("Follow error:", error);
+    console.error("Error fetching blocked users:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get the users the current user has muted
+// @route   GET /api/users/muted
+// @access  Private
+exports.getMutedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).populate({
+      path: "mutedUsers",
+      select: "username profilePicture fullName",
+    });
+
+    res.status(200).json({
+      success: true,
+      data: formatUserList(user.mutedUsers),
+    });
+  } catch (error) {
+    console.error("Error fetching muted users:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -594,6 +1501,13 @@ exports.getUserFollowers = async (req, res) => {
       });
     }
 
+    if (!canViewProfile(user, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "This account is only visible to its followers",
+      });
+    }
+
     // Check if the current user is following each follower
     const followersWithStatus = user.followers.map((follower) => {
       const isFollowing = req.user.following.some(
@@ -637,6 +1551,13 @@ exports.getUserFollowing = async (req, res) => {
       });
     }
 
+    if (!canViewProfile(user, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "This account is only visible to its followers",
+      });
+    }
+
     // Check if the current user is following each user
     const followingWithStatus = user.following.map((followedUser) => {
       const isFollowing = req.user.following.some(
@@ -663,6 +1584,56 @@ exports.getUserFollowing = async (req, res) => {
   }
 };
 
+// @desc    Get a user's online status and last seen time
+// @route   GET /api/users/:username/last-seen
+// @access  Private
+exports.getUserLastSeen = async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username }).select(
+      "username presence lastActive settings blockedUsers"
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Hidden statuses look the same as a user who was never seen, so the
+    // response doesn't reveal that the status is hidden
+    if (!canSeeOnlineStatus(user, req.user)) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          userId: user._id,
+          status: "offline",
+          lastSeen: null,
+        },
+      });
+    }
+
+    const online = isUserOnline(user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        status: online ? user.presence : "offline",
+        lastSeen: online
+          ? null
+          : getLastSeen(user._id) || user.lastActive || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching last seen:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // Add this function to track user streaks
 exports.updateUserStreak = async (userId) => {
   try {
@@ -788,12 +1759,25 @@ exports.searchUsers = async (req, res) => {
     }
 
     // Search for users by username or fullName
+    const blockedUserIds = await getBlockedUserIds(req.user);
     const users = await User.find({
-      $or: [
-        { username: { $regex: q, $options: "i" } },
-        { fullName: { $regex: q, $options: "i" } },
+      $and: [
+        {
+          $or: [
+            { username: { $regex: q, $options: "i" } },
+            { fullName: { $regex: q, $options: "i" } },
+          ],
+        },
+        // Private accounts only show up for their followers
+        {
+          $or: [
+            { "settings.profileVisibility": { $ne: "private" } },
+            { _id: { $in: req.user.following } },
+          ],
+        },
       ],
-      _id: { $ne: req.user.id }, // Exclude the current user
+      // Exclude the current user and blocked users
+      _id: { $nin: [req.user._id, ...blockedUserIds] },
     })
       .select("_id username profilePicture fullName")
       .limit(10);
@@ -886,6 +1870,18 @@ exports.updateUserSettings = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Anyone can follow a non-private account, so approve what's waiting
+    if (profileVisibility && !requiresFollowApproval(user)) {
+      const pendingRequests = await FollowRequest.find({
+        recipient: user._id,
+        status: "pending",
+      });
+
+      for (const followRequest of pendingRequests) {
+        await approveFollowRequest(req, followRequest);
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: {
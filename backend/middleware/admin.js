@@ -1,5 +1,17 @@
 // Admin middleware to check if user has admin role
+const crypto = require("crypto")
 const User = require("../models/User")
+const PlatformSettings = require("../models/PlatformSettings")
+const { ipRetryAfter, recordIpFailure, tooManyAttemptsMessage } = require("../utils/loginThrottle")
+
+// Compare secrets in constant time. Hashing first makes the lengths equal
+// without giving away the expected length.
+const secretsMatch = (provided, expected) => {
+  if (typeof provided !== "string" || typeof expected !== "string" || !expected) return false
+
+  const digest = (value) => crypto.createHash("sha256").update(value).digest()
+  return crypto.timingSafeEqual(digest(provided), digest(expected))
+}
 
 exports.isAdmin = async (req, res, next) => {
   try {
@@ -13,6 +25,23 @@ exports.isAdmin = async (req, res, next) => {
       })
     }
 
+    // Admins have to use two-factor, and sign in with it
+    if (!user.twoFactor.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied: Turn on two-factor authentication to use admin tools",
+        twoFactorSetupRequired: true,
+      })
+    }
+
+    if (!req.authSession || !req.authSession.twoFactorVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied: Log in again with your two-factor code to use admin tools",
+        twoFactorRequired: true,
+      })
+    }
+
     next()
   } catch (err) {
     return res.status(500).json({
@@ -23,7 +52,7 @@ exports.isAdmin = async (req, res, next) => {
 }
 
 // Middleware to verify admin registration token
-exports.verifyAdminToken = (req, res, next) => {
+exports.verifyAdminToken = async (req, res, next) => {
   const { adminToken } = req.body
 
   if (!adminToken) {
@@ -33,15 +62,44 @@ exports.verifyAdminToken = (req, res, next) => {
     })
   }
 
-  // Check if the provided token matches the environment variable
-  if (adminToken !== process.env.ADMIN_REGISTRATION_TOKEN) {
-    console.log("Invalid token provided:", adminToken)
-    return res.status(403).json({
+  try {
+    // Guessing the token counts as failed sign-ins for the client
+    const wait = await ipRetryAfter(req.ip)
+    if (wait) {
+      res.set("Retry-After", String(wait))
+      return res.status(429).json({
+        success: false,
+        message: tooManyAttemptsMessage(wait),
+        retryAfter: wait,
+      })
+    }
+
+    const { admin } = await PlatformSettings.getSettings()
+
+    if (!admin.adminRegistrationEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: "Admin registration is currently disabled",
+      })
+    }
+
+    // A token set from the admin settings page takes precedence over the environment
+    const expectedToken = admin.adminToken || process.env.ADMIN_REGISTRATION_TOKEN
+
+    // Check if the provided token matches the configured token
+    if (!secretsMatch(adminToken, expectedToken)) {
+      await recordIpFailure(req.ip)
+      return res.status(403).json({
+        success: false,
+        message: "Invalid admin registration token",
+      })
+    }
+
+    next()
+  } catch (err) {
+    return res.status(500).json({
       success: false,
-      message: "Invalid admin registration token",
+      message: "Server error while verifying admin token",
     })
   }
-
-  next()
 }
-
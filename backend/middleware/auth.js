@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const { findActiveSession } = require("../utils/sessions")
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -24,8 +25,19 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
+    // The token's session must not have been revoked
+    const session = await findActiveSession(decoded.sid, decoded.id)
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized to access this route",
+      })
+    }
+
     // Get user from the token
     req.user = await User.findById(decoded.id)
+    req.sessionId = session._id.toString()
+    req.authSession = session
 
     next()
   } catch (err) {
@@ -36,3 +48,14 @@ exports.protect = async (req, res, next) => {
   }
 }
 
+// Keep accounts that haven't verified their email from posting
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email before posting",
+    })
+  }
+
+  next()
+}
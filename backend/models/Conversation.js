@@ -7,6 +7,30 @@ const ConversationSchema = new mongoose.Schema({
       ref: "User",
     },
   ],
+  // Group chats have a name, an optional avatar and admins who manage members
+  isGroup: {
+    type: Boolean,
+    default: false,
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  avatar: {
+    type: String,
+    default: null,
+  },
+  admins: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
   lastMessage: {
     text: String,
     sender: {
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const FollowRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined"],
+    default: "pending",
+  },
+  respondedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Only one pending request between the same two users
+FollowRequestSchema.index(
+  { requester: 1, recipient: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+FollowRequestSchema.index({ recipient: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("FollowRequest", FollowRequestSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Failed sign-in attempts from one client, e.g. "ip:203.0.113.7", used to
+// slow down password guessing. Per-account failures live on the user.
+const LoginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  // No more attempts are accepted before this time
+  retryAfter: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Forget clients that have stopped failing
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", LoginThrottleSchema);
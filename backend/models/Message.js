@@ -19,6 +19,56 @@ const SharedPostSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const ReceiptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const ReactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    emoji: {
+      type: String,
+      required: true,
+      maxlength: 16,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const RevisionSchema = new mongoose.Schema(
+  {
+    text: String,
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const MessageSchema = new mongoose.Schema({
   conversationId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -44,14 +94,33 @@ const MessageSchema = new mongoose.Schema({
     ref: "Message",
     default: null,
   },
+  // True once every recipient has read the message
   read: {
     type: Boolean,
     default: false,
   },
+  // When the message reached and was read by each recipient
+  receipts: [ReceiptSchema],
+  // One reaction per user
+  reactions: [ReactionSchema],
+  // Set when the sender edits the text; earlier versions are kept in
+  // editHistory, oldest first
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  editHistory: [RevisionSchema],
   timestamp: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Paging through a conversation's history, newest first
+MessageSchema.index({ conversationId: 1, timestamp: -1, _id: -1 });
+// Counting unread messages
+MessageSchema.index({ conversationId: 1, read: 1 });
+// Searching message text
+MessageSchema.index({ text: "text" });
+
 module.exports = mongoose.model("Message", MessageSchema);
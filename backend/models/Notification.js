@@ -13,7 +13,18 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["like", "comment", "follow", "tag", "comment_like", "comment_reply"],
+    enum: [
+      "like",
+      "comment",
+      "follow",
+      "follow_request",
+      "follow_accept",
+      "tag",
+      "comment_like",
+      "comment_reply",
+      "report_resolved",
+      "report_dismissed",
+    ],
     required: true,
   },
   post: {
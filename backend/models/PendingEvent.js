@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Socket events waiting for the recipient to acknowledge them.
+// Events are stored when the user is offline or none of their devices acks
+// the live emit, and removed once a replay is acked, so anything the user
+// missed is replayed on their next connect.
+const PendingEventSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  event: {
+    type: String,
+    enum: ["newMessage", "newNotification"],
+    required: true,
+  },
+  // Id of the message or notification, used to deduplicate and acknowledge
+  eventId: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The same event is only queued once per recipient
+PendingEventSchema.index(
+  { recipient: 1, event: 1, eventId: 1 },
+  { unique: true }
+);
+PendingEventSchema.index({ recipient: 1, createdAt: 1 });
+// Drop events nobody came back for after 30 days
+PendingEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("PendingEvent", PendingEventSchema);
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose")
+
+// Platform-wide settings managed from the admin settings page.
+// There is only ever one document in this collection.
+const PlatformSettingsSchema = new mongoose.Schema(
+  {
+    cloudinary: {
+      cloudName: {
+        type: String,
+        default: "",
+      },
+      uploadPreset: {
+        type: String,
+        default: "",
+      },
+      folder: {
+        type: String,
+        default: "chucklechain",
+      },
+      resourceType: {
+        type: String,
+        enum: ["image", "video", "raw", "auto"],
+        default: "auto",
+      },
+      maxFileSize: {
+        type: Number,
+        min: [1, "Max file size must be a positive number of bytes"],
+        default: 10485760, // 10MB
+      },
+    },
+    moderation: {
+      autoModeration: {
+        type: Boolean,
+        default: true,
+      },
+      profanityFilter: {
+        type: Boolean,
+        default: true,
+      },
+      userReportThreshold: {
+        type: Number,
+        min: [1, "Report threshold must be at least 1"],
+        default: 3,
+      },
+    },
+    admin: {
+      adminRegistrationEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Empty means fall back to ADMIN_REGISTRATION_TOKEN from the environment
+      adminToken: {
+        type: String,
+        default: "",
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Get the settings document, creating it with defaults on first use
+PlatformSettingsSchema.statics.getSettings = async function () {
+  let settings = await this.findOne()
+
+  if (!settings) {
+    settings = await this.create({})
+  }
+
+  return settings
+}
+
+module.exports = mongoose.model("PlatformSettings", PlatformSettingsSchema)
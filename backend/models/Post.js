@@ -103,6 +103,35 @@ const PostSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Number of times the post was shared in direct messages
+    shareCount: {
+      type: Number,
+      default: 0,
+    },
+    // Time-decayed engagement score, kept up to date by utils/trending.js
+    trendingScore: {
+      type: Number,
+      default: 0,
+    },
+    trendingUpdatedAt: {
+      type: Date,
+    },
+    // Content rating set by the author; moderators can override it
+    contentRating: {
+      type: String,
+      enum: ["general", "sensitive", "mature"],
+      default: "general",
+    },
+    // Set when a moderator chose the rating, so the author can't change it
+    contentRatingLocked: {
+      type: Boolean,
+      default: false,
+    },
+    // Set by admins or automatically by content moderation
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -124,6 +153,10 @@ PostSchema.virtual("commentCount").get(function () {
   return this.comments.length;
 });
 
+// Indexes for the trending queries, overall and per category
+PostSchema.index({ trendingScore: -1, createdAt: -1 });
+PostSchema.index({ category: 1, trendingScore: -1 });
+
 // Add a pre-save hook to ensure all comments have valid user references
 // Add this near the end of the file, before the model export
 PostSchema.pre("save", async function (next) {
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const ReportSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: [
+      "spam",
+      "harassment",
+      "hate_speech",
+      "nudity",
+      "violence",
+      "misinformation",
+      "copyright",
+      "other",
+    ],
+    required: [true, "Please provide a reason for the report"],
+  },
+  details: {
+    type: String,
+    default: "",
+    maxlength: [500, "Report details cannot be more than 500 characters"],
+  },
+  status: {
+    type: String,
+    enum: ["pending", "resolved", "dismissed"],
+    default: "pending",
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A user can only report the same post once
+ReportSchema.index({ post: 1, reporter: 1 }, { unique: true });
+ReportSchema.index({ post: 1, status: 1 });
+
+module.exports = mongoose.model("Report", ReportSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// A signed-in device. Access tokens name the session they were issued for
+// and stop working as soon as it is deleted, and the session's refresh
+// token is replaced every time it is used to get a new access token.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Hash of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Hash of the refresh token it replaced, to tell a stolen token being
+  // reused from two tabs refreshing at the same time
+  previousTokenHash: {
+    type: String,
+  },
+  rotatedAt: {
+    type: Date,
+  },
+  // Whether the sign-in passed a two-factor check
+  twoFactorVerified: {
+    type: Boolean,
+    default: false,
+  },
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+SessionSchema.index({ user: 1, lastUsedAt: -1 });
+// Drop sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -24,6 +24,85 @@ const UserSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters long"],
       select: false,
     },
+    // Names the user went by before, which redirect to them for a while
+    previousUsernames: [
+      {
+        username: String,
+        changedAt: Date,
+        _id: false,
+      },
+    ],
+    usernameChangedAt: {
+      type: Date,
+    },
+    // New address waiting to be confirmed from its verification link
+    pendingEmail: {
+      type: String,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please provide a valid email"],
+    },
+    // Accounts created before email verification existed have no flag and
+    // count as verified
+    emailVerified: {
+      type: Boolean,
+    },
+    // Hashes of the nonces in the latest password reset, email verification
+    // and email change links, see utils/tokens.js
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailChangeToken: {
+      type: String,
+      select: false,
+    },
+    // Failed sign-ins since the last successful one, see utils/loginThrottle.js
+    loginFailures: {
+      count: {
+        type: Number,
+        default: 0,
+      },
+      lastFailedAt: {
+        type: Date,
+      },
+      // Backoff: no more attempts are accepted before this time
+      retryAfter: {
+        type: Date,
+      },
+      // Set when there were so many failures the account was locked
+      lockedUntil: {
+        type: Date,
+      },
+    },
+    // TOTP two-factor authentication, required for admins
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret being set up, until the first code from it is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so codes can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
     profilePicture: {
       type: String,
       default: "https://res.cloudinary.com/dqjqukdwn/image/upload/v1616432214/default-profile_vbp5fj.png",
@@ -57,6 +136,20 @@ const UserSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Users this user has blocked; blocking works both ways
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Users whose posts and notifications this user doesn't want to see
+    mutedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     // New fields for streak tracking
     currentStreak: {
       type: Number,
@@ -76,9 +169,16 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // "away" while every open tab/device is in the background
+    presence: {
+      type: String,
+      enum: ["online", "away", "offline"],
+      default: "offline",
+    },
+    // Unset until the user first connects, so users never seen have no
+    // last active time, just like users whose online status is hidden
     lastActive: {
       type: Date,
-      default: Date.now,
     },
     // User settings
     settings: {
@@ -138,6 +238,8 @@ const UserSchema = new mongoose.Schema(
   },
 )
 
+UserSchema.index({ "previousUsernames.username": 1 })
+
 // Virtual for follower count
 UserSchema.virtual("followerCount").get(function () {
   return this.followers.length
@@ -151,17 +253,17 @@ UserSchema.virtual("followingCount").get(function () {
 // Hash password before saving
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next()
+    return next()
   }
 
   const salt = await bcrypt.genSalt(10)
   this.password = await bcrypt.hash(this.password, salt)
 })
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id, role: this.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Sign a short-lived access token for one of the user's sessions and return it
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, role: this.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || "15m",
   })
 }
 
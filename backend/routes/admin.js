@@ -5,12 +5,20 @@ const {
   getUser,
   updateUser,
   deleteUser,
+  getLockedUsers,
+  unlockUser,
   getPosts,
   getFlaggedPosts,
   moderatePost,
+  resolveReports,
+  dismissReports,
   getCloudinaryStats,
   downloadPosts,
   downloadMemes,
+  getSettings,
+  updateCloudinarySettings,
+  updateModerationSettings,
+  updateAdminSettings,
 } = require("../controllers/admin")
 const { protect } = require("../middleware/auth")
 const { isAdmin } = require("../middleware/admin")
@@ -27,16 +35,26 @@ router.get("/cloudinary/stats", getCloudinaryStats)
 
 // User routes
 router.get("/users", getUsers)
+router.get("/users/locked", getLockedUsers)
 router.get("/users/:id", getUser)
 router.put("/users/:id", updateUser)
 router.delete("/users/:id", deleteUser)
+router.put("/users/:id/unlock", unlockUser)
 
 // Post routes
 router.get("/posts", getPosts)
 router.get("/posts/flagged", getFlaggedPosts)
 router.put("/posts/:id/moderate", moderatePost)
+router.put("/posts/:id/reports/resolve", resolveReports)
+router.put("/posts/:id/reports/dismiss", dismissReports)
 router.get("/posts/download", downloadPosts)
 
+// Platform settings routes
+router.get("/settings", getSettings)
+router.put("/settings/cloudinary", updateCloudinarySettings)
+router.put("/settings/moderation", updateModerationSettings)
+router.put("/settings/admin", updateAdminSettings)
+
 // New route for downloading memes
 router.get("/download-memes", downloadMemes)
 
@@ -1,5 +1,27 @@
 const express = require("express")
-const { signup, login, logout, getMe, adminSignup } = require("../controllers/auth")
+const {
+  signup,
+  login,
+  logout,
+  getMe,
+  adminSignup,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+} = require("../controllers/auth")
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactor")
 const { protect } = require("../middleware/auth")
 const { verifyAdminToken } = require("../middleware/admin")
 
@@ -9,7 +31,25 @@ router.post("/signup", signup)
 router.post("/admin-signup", verifyAdminToken, adminSignup)
 router.post("/login", login)
 router.get("/logout", logout)
+router.post("/refresh", refresh)
 router.get("/me", protect, getMe)
+router.post("/forgot-password", forgotPassword)
+router.post("/reset-password", resetPassword)
+router.post("/verify-email", verifyEmail)
+router.post("/verify-email/resend", protect, resendVerification)
+
+// Signed-in devices
+router.get("/sessions", protect, getSessions)
+router.delete("/sessions", protect, revokeOtherSessions)
+router.delete("/sessions/:id", protect, revokeSession)
+
+// Two-factor authentication
+router.post("/2fa/verify", verifyTwoFactorLogin)
+router.get("/2fa", protect, getTwoFactorStatus)
+router.post("/2fa/setup", protect, setupTwoFactor)
+router.post("/2fa/enable", protect, enableTwoFactor)
+router.post("/2fa/disable", protect, disableTwoFactor)
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes)
 
 module.exports = router
 
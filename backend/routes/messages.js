@@ -2,11 +2,24 @@ const express = require("express");
 const {
   getConversations,
   getOrCreateConversation,
+  getMessages,
+  searchMessages,
   sendMessage,
   markMessagesAsRead,
   sharePost,
   getUnreadMessagesCount,
   deleteMessage,
+  editMessage,
+  getMessageHistory,
+  reactToMessage,
+  createGroup,
+  getGroup,
+  updateGroup,
+  addGroupMembers,
+  removeGroupMember,
+  leaveGroup,
+  addGroupAdmin,
+  removeGroupAdmin,
 } = require("../controllers/messages");
 const { protect } = require("../middleware/auth");
 
@@ -17,10 +30,28 @@ router.use(protect);
 
 router.get("/conversations", getConversations);
 router.get("/conversations/:userId", getOrCreateConversation);
+router.get("/search", searchMessages);
+// (registered before /:conversationId so "share" and "unread-count" aren't
+// read as conversation ids)
+router.post("/share", sharePost);
+router.get("/unread-count", getUnreadMessagesCount);
+
+// Group conversations (registered before /:conversationId)
+router.post("/groups", createGroup);
+router.get("/groups/:conversationId", getGroup);
+router.put("/groups/:conversationId", updateGroup);
+router.post("/groups/:conversationId/members", addGroupMembers);
+router.delete("/groups/:conversationId/members/:userId", removeGroupMember);
+router.post("/groups/:conversationId/leave", leaveGroup);
+router.put("/groups/:conversationId/admins/:userId", addGroupAdmin);
+router.delete("/groups/:conversationId/admins/:userId", removeGroupAdmin);
+
+router.get("/:conversationId/messages", getMessages);
 router.post("/:conversationId", sendMessage);
 router.put("/:conversationId/read", markMessagesAsRead);
-router.post("/share", protect, sharePost); // New route for sharing posts
-router.get("/unread-count", protect, getUnreadMessagesCount);
 router.delete("/:conversationId/:messageId", deleteMessage); // Add route for deleting messages
+router.put("/:conversationId/:messageId", editMessage);
+router.get("/:conversationId/:messageId/history", getMessageHistory);
+router.post("/:conversationId/:messageId/reactions", reactToMessage);
 
 module.exports = router;
@@ -9,20 +9,22 @@ const {
   getPost,
   updatePost,
   deletePost,
+  removeMyTag,
   likePost,
   addComment,
   deleteComment,
   likeComment,
   replyToComment,
+  reportPost,
 } = require("../controllers/posts");
-const { protect } = require("../middleware/auth");
+const { protect, requireVerifiedEmail } = require("../middleware/auth");
 
 const router = express.Router();
 
 // Protect all routes
 router.use(protect);
 
-router.route("/").get(getPosts).post(createPost);
+router.route("/").get(getPosts).post(requireVerifiedEmail, createPost);
 
 router.get("/trending", getTrendingPosts);
 router.get("/fresh", getFreshPosts);
@@ -32,6 +34,8 @@ router.get("/hashtag/:tag", getHashtagPosts);
 router.route("/:id").get(getPost).put(updatePost).delete(deletePost);
 
 router.put("/:id/like", likePost);
+router.post("/:id/report", reportPost);
+router.delete("/:id/tags/me", removeMyTag);
 
 router.route("/:id/comments").post(addComment);
 
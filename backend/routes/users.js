@@ -2,11 +2,22 @@ const express = require("express");
 const {
   getUserProfile,
   getMyProfile,
+  getTaggedPosts,
   updateProfile,
   followUser,
+  blockUser,
+  muteUser,
+  getBlockedUsers,
+  getMutedUsers,
+  getFollowRequests,
+  getSentFollowRequests,
+  cancelFollowRequest,
+  acceptFollowRequest,
+  declineFollowRequest,
   getTopUsers,
   getUserFollowers,
   getUserFollowing,
+  getUserLastSeen,
   resetRelationships,
   debugRelationships,
   searchUsers,
@@ -14,26 +25,49 @@ const {
   updateUserSettings,
   changePassword,
   deleteAccount,
+  checkUsername,
+  changeUsername,
+  changeEmail,
 } = require("../controllers/users");
 const { protect } = require("../middleware/auth");
 
 const router = express.Router();
 
 router.get("/me", protect, getMyProfile);
+router.get("/me/tagged", protect, getTaggedPosts);
 router.put("/me", protect, updateProfile);
+router.put("/me/username", protect, changeUsername);
+router.put("/me/email", protect, changeEmail);
 router.delete("/me", protect, deleteAccount);
 router.put("/change-password", protect, changePassword);
 router.get("/top", protect, getTopUsers);
 router.get("/debug-relationships", protect, debugRelationships);
 router.post("/reset-relationships", protect, resetRelationships);
 router.get("/search", protect, searchUsers);
-router.get("/:username", protect, getUserProfile);
-router.put("/:username/follow", protect, followUser);
-router.get("/:username/followers", protect, getUserFollowers);
-router.get("/:username/following", protect, getUserFollowing);
+router.get("/username-available", protect, checkUsername);
 
 // Add routes for user settings
+// (registered before /:username so "settings" isn't read as a username)
 router.get("/settings", protect, getUserSettings);
 router.put("/settings", protect, updateUserSettings);
 
+// Block and mute lists
+router.get("/blocked", protect, getBlockedUsers);
+router.get("/muted", protect, getMutedUsers);
+
+// Follow requests for private accounts
+router.get("/follow-requests", protect, getFollowRequests);
+router.get("/follow-requests/sent", protect, getSentFollowRequests);
+router.delete("/follow-requests/:id", protect, cancelFollowRequest);
+router.put("/follow-requests/:id/accept", protect, acceptFollowRequest);
+router.put("/follow-requests/:id/decline", protect, declineFollowRequest);
+
+router.get("/:username", protect, getUserProfile);
+router.put("/:username/follow", protect, followUser);
+router.put("/:username/block", protect, blockUser);
+router.put("/:username/mute", protect, muteUser);
+router.get("/:username/followers", protect, getUserFollowers);
+router.get("/:username/following", protect, getUserFollowing);
+router.get("/:username/last-seen", protect, getUserLastSeen);
+
 module.exports = router;
@@ -56,6 +56,31 @@ const setupNotificationCleanup = () => {
   }, 10000) // Wait 10 seconds after server start
 }
 
+// Rescore recent posts regularly so trending scores decay over time
+const setupTrendingScoreRefresh = () => {
+  const { refreshTrendingScores } = require("./utils/trending")
+
+  // Run every 15 minutes (900000 ms)
+  setInterval(async () => {
+    try {
+      const result = await refreshTrendingScores()
+      console.log("Trending score refresh result:", result)
+    } catch (error) {
+      console.error("Error during trending score refresh:", error)
+    }
+  }, 900000)
+
+  // Also run once at startup so existing posts get a score
+  setTimeout(async () => {
+    try {
+      const result = await refreshTrendingScores()
+      console.log("Initial trending score refresh result:", result)
+    } catch (error) {
+      console.error("Error during initial trending score refresh:", error)
+    }
+  }, 15000) // Wait 15 seconds after server start
+}
+
 // Initialize express app
 const app = express()
 const server = http.createServer(app)
@@ -68,6 +93,9 @@ app.set("io", io)
 // Setup the notification cleanup
 setupNotificationCleanup()
 
+// Setup the trending score refresh
+setupTrendingScoreRefresh()
+
 // Middleware
 app.use(express.json({ limit: "50mb" }))
 app.use(cookieParser())
@@ -1,11 +1,42 @@
 const socketIo = require("socket.io");
 const jwt = require("jsonwebtoken");
 const User = require("./models/User");
+const Conversation = require("./models/Conversation");
+const Post = require("./models/Post");
+const PendingEvent = require("./models/PendingEvent");
+const Message = require("./models/Message");
+const { canSeeOnlineStatus } = require("./utils/privacy");
+const { recordReceipts, getMessageStatus } = require("./utils/receipts");
+const { canViewPost } = require("./utils/visibility");
+const { findActiveSession } = require("./utils/sessions");
 
-// Map to store active user connections
+// Map of user id to the ids of all their connected sockets (tabs/devices).
+// Each socket also joins a room named after the user id, so events sent to
+// that room reach every device.
 const activeUsers = new Map();
 // Map to store last seen timestamps
 const lastSeenTimestamps = new Map();
+// Map of "conversationId:userId" to the typing state of a user in a
+// conversation: who to tell, when they were last told and the expiry timer
+const typingStates = new Map();
+
+// Typing is re-broadcast at most this often while the user keeps typing
+const TYPING_THROTTLE_MS = 2000;
+// Typing stops by itself when the client hasn't reported it for this long
+const TYPING_TIMEOUT_MS = 6000;
+// Messages and notifications nobody acknowledges within this long are queued
+// for the user's next connect
+const DELIVERY_ACK_TIMEOUT_MS = 10000;
+
+// Read one cookie from a Cookie header
+const getCookie = (header, name) => {
+  const cookie = (header || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : undefined;
+};
 
 const initializeSocket = (server) => {
   const io = socketIo(server, {
@@ -24,7 +55,7 @@ const initializeSocket = (server) => {
       console.log("Socket authentication attempt");
       const token =
         socket.handshake.auth.token ||
-        socket.handshake.headers.cookie?.split("token=")[1]?.split(";")[0];
+        getCookie(socket.handshake.headers.cookie, "token");
 
       if (!token) {
         console.log("No token found in socket connection");
@@ -32,6 +63,14 @@ const initializeSocket = (server) => {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Tokens of revoked sessions can't connect
+      const session = await findActiveSession(decoded.sid, decoded.id);
+      if (!session) {
+        console.log("Session revoked or expired for socket connection");
+        return next(new Error("Authentication error: Session expired"));
+      }
+
       const user = await User.findById(decoded.id);
 
       if (!user) {
@@ -41,6 +80,8 @@ const initializeSocket = (server) => {
 
       console.log(`User authenticated for socket: ${user.username}`);
       socket.user = user;
+      // Lets revoking the session drop this connection
+      socket.data.sessionId = session._id.toString();
       next();
     } catch (error) {
       console.error("Socket authentication error:", error);
@@ -52,103 +93,570 @@ const initializeSocket = (server) => {
     const userId = socket.user._id.toString();
     console.log(`User connected: ${socket.user.username} with ID: ${userId}`);
 
-    // Add user to active users map
-    activeUsers.set(userId, socket.id);
+    // Track this connection and join the user's room
+    const isFirstConnection = !activeUsers.has(userId);
+    if (isFirstConnection) activeUsers.set(userId, new Set());
+    activeUsers.get(userId).add(socket.id);
+    socket.join(userId);
+
+    // New connections start out in the foreground
+    socket.data.active = true;
+    updatePresence(io, userId);
 
     // Remove user from lastSeenTimestamps if they're now online
     lastSeenTimestamps.delete(userId);
 
-    // Broadcast to all clients that this user is now online
-    socket.broadcast.emit("userConnected", userId);
+    // Tell everyone allowed to see it that this user is now online, unless
+    // another tab or device already did
+    if (isFirstConnection) {
+      emitToViewers(io, socket.user, "userConnected", userId);
+    }
+
+    // Replay events that arrived while the user was offline
+    replayPendingEvents(socket, userId);
+
+    // Handle acknowledgements of delivered events
+    socket.on("ackEvents", async (eventIds) => {
+      if (!Array.isArray(eventIds) || eventIds.length === 0) return;
+
+      try {
+        await PendingEvent.deleteMany({
+          recipient: userId,
+          eventId: { $in: eventIds.map(String) },
+        });
+      } catch (error) {
+        console.error("Error acknowledging events:", error);
+      }
+    });
+
+    // Handle the tab/app moving to the foreground or background
+    socket.on("userActive", () => {
+      socket.data.active = true;
+      updatePresence(io, userId);
+    });
+
+    socket.on("userInactive", () => {
+      socket.data.active = false;
+      updatePresence(io, userId);
+    });
+
+    // Handle privacy settings changed from the settings dialog
+    socket.on("updateSettings", async (settings = {}) => {
+      try {
+        const update = {};
+        for (const key of ["showOnlineStatus", "showReadReceipts"]) {
+          if (typeof settings[key] === "boolean") {
+            update[`settings.${key}`] = settings[key];
+          }
+        }
+        if (Object.keys(update).length === 0) return;
+
+        const user = await User.findByIdAndUpdate(
+          userId,
+          { $set: update },
+          { new: true }
+        );
+        if (!user) return;
+
+        // Keep every connection of this user on the new settings
+        const sockets = await io.in(userId).fetchSockets();
+        for (const userSocket of sockets) {
+          userSocket.user.settings = user.settings;
+        }
+
+        // Show or hide this user's online status for everyone else, and
+        // resend the online list this user may now see
+        if (update["settings.showOnlineStatus"] !== undefined) {
+          syncOnlineStatus(io, user);
+          io.to(userId).emit("onlineUsers", getVisibleOnlineUsers(io, user));
+        }
+
+        // Let contacts know, and show or hide this user's presence
+        await emitToContacts(io, userId, "contactSettingsUpdated", {
+          userId,
+          showOnlineStatus: user.settings.showOnlineStatus,
+          showReadReceipts: user.settings.showReadReceipts,
+        });
+        await broadcastPresence(io, user, getPresence(io, userId));
+      } catch (error) {
+        console.error("Error updating settings over socket:", error);
+      }
+    });
+
+    // Handle a post coming on screen: its viewers share a room that gets
+    // live like and comment updates
+    socket.on("joinPost", async (postId) => {
+      try {
+        const post = await Post.findById(postId).select("user");
+        if (post && (await canViewPost(post, socket.user))) {
+          socket.join(postRoom(postId));
+        }
+      } catch (error) {
+        console.error("Error joining post room:", error);
+      }
+    });
+
+    socket.on("leavePost", (postId) => {
+      socket.leave(postRoom(postId));
+    });
+
+    // Handle typing in a conversation. Clients report it repeatedly while the
+    // user types; only participants hear about it.
+    socket.on("typing", async (conversationId) => {
+      try {
+        await startTyping(io, socket, String(conversationId));
+      } catch (error) {
+        console.error("Error handling typing:", error);
+      }
+    });
+
+    socket.on("stopTyping", (conversationId) => {
+      stopTyping(io, String(conversationId), userId);
+    });
 
     // Handle request for online users
     socket.on("getOnlineUsers", () => {
-      socket.emit("onlineUsers", Array.from(activeUsers.keys()));
+      socket.emit("onlineUsers", getVisibleOnlineUsers(io, socket.user));
     });
 
-    // Handle messagesRead event
-    socket.on("messagesRead", ({ conversationId, userId }) => {
-      // Emit an event to update the unread count in the navbar
-      socket.emit("updateUnreadCount");
+    // Handle a client receiving new messages
+    socket.on("messageDelivered", async (messageIds) => {
+      if (!Array.isArray(messageIds) || messageIds.length === 0) return;
 
-      // Notify the sender that their messages were read
-      const recipientSocketId = activeUsers.get(userId);
-      if (recipientSocketId) {
-        io.to(recipientSocketId).emit("messageRead", {
-          conversationId,
-          readBy: socket.user._id,
-        });
+      try {
+        const changedIds = await recordReceipts(
+          messageIds.map(String).filter((id) => /^[a-f\d]{24}$/i.test(id)),
+          userId
+        );
+        await emitMessageStatus(io, changedIds);
+      } catch (error) {
+        console.error("Error recording message delivery:", error);
       }
     });
 
+    // Handle messagesRead event (read receipts are sent by the read endpoint)
+    socket.on("messagesRead", () => {
+      // Emit an event to update the unread count in the navbar on every device
+      io.to(socket.user._id.toString()).emit("updateUnreadCount");
+    });
+
     // Handle disconnect
     socket.on("disconnect", () => {
       console.log(`User disconnected: ${socket.user.username}`);
 
+      // Anything this connection was typing is abandoned
+      for (const conversationId of socket.data.typingIn || []) {
+        stopTyping(io, conversationId, userId);
+      }
+
+      // Forget this connection; the user stays online while others remain
+      const sockets = activeUsers.get(userId);
+      if (sockets) {
+        sockets.delete(socket.id);
+        if (sockets.size > 0) {
+          // The remaining connections may all be in the background
+          updatePresence(io, userId);
+          return;
+        }
+      }
+
       // Store last seen timestamp
       const now = new Date();
       lastSeenTimestamps.set(userId, now);
 
       // Remove from active users
       activeUsers.delete(userId);
+      updatePresence(io, userId);
 
-      // Broadcast to all clients that this user is now offline
-      socket.broadcast.emit("userDisconnected", userId, now.toISOString());
+      // Tell everyone allowed to see it that this user is now offline
+      emitToViewers(
+        io,
+        socket.user,
+        "userDisconnected",
+        userId,
+        now.toISOString()
+      );
     });
 
     // Send a welcome message to confirm connection
     socket.emit("welcome", { message: "Socket connection established" });
 
-    // Send the current list of online users
-    socket.emit("onlineUsers", Array.from(activeUsers.keys()));
+    // Send the current list of online users this user may see
+    socket.emit("onlineUsers", getVisibleOnlineUsers(io, socket.user));
   });
 
   return io;
 };
 
-// Improve the emitNewMessage function to better handle message delivery
-const emitNewMessage = (io, userId, message) => {
-  console.log(`Attempting to emit message to user ${userId}`, message);
+// Work out a user's presence from their connections: "online" if any tab or
+// device is in the foreground, "away" if all are in the background
+const getPresence = (io, userId) => {
+  const sockets = activeUsers.get(userId.toString());
+  if (!sockets || sockets.size === 0) return "offline";
 
-  const socketId = activeUsers.get(userId.toString());
-  if (socketId) {
-    console.log(`Socket found for user ${userId}, emitting message`);
-    try {
-      io.to(socketId).emit("newMessage", message);
-      console.log("Message emitted successfully");
-    } catch (error) {
-      console.error("Error emitting message:", error);
+  for (const socketId of sockets) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && socket.data.active !== false) return "online";
+  }
+
+  return "away";
+};
+
+// The user document loaded for any of a user's connected sockets
+const getConnectedUser = (io, userId) => {
+  const sockets = activeUsers.get(userId.toString());
+  if (!sockets) return null;
+
+  for (const socketId of sockets) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) return socket.user;
+  }
+
+  return null;
+};
+
+// Ids of online users whose status the viewer is allowed to see
+const getVisibleOnlineUsers = (io, viewer) =>
+  Array.from(activeUsers.keys()).filter((onlineUserId) => {
+    const onlineUser = getConnectedUser(io, onlineUserId);
+    return onlineUser && canSeeOnlineStatus(onlineUser, viewer);
+  });
+
+// Emit a status event about the user to every other connected socket whose
+// user is allowed to see their online status
+const emitToViewers = (io, user, event, ...args) => {
+  const userId = user._id.toString();
+
+  for (const viewerSocket of io.sockets.sockets.values()) {
+    if (
+      viewerSocket.user._id.toString() !== userId &&
+      canSeeOnlineStatus(user, viewerSocket.user)
+    ) {
+      viewerSocket.emit(event, ...args);
     }
-  } else {
-    console.log(`No active socket found for user ${userId}`);
-    // Store the message for delivery when the user connects
-    // This would be implemented in a production system
   }
 };
 
-// Function to emit a new notification to a user
-const emitNewNotification = (io, userId, notification) => {
-  console.log(
-    `Attempting to emit notification to user ${userId}`,
-    notification
+// After the user changes showOnlineStatus, show them as online to everyone
+// who may now see it and as offline to everyone else
+const syncOnlineStatus = (io, user) => {
+  const userId = user._id.toString();
+  const online = isUserOnline(userId);
+
+  for (const viewerSocket of io.sockets.sockets.values()) {
+    if (viewerSocket.user._id.toString() === userId) continue;
+
+    if (online && canSeeOnlineStatus(user, viewerSocket.user)) {
+      viewerSocket.emit("userConnected", userId);
+    } else {
+      viewerSocket.emit("userDisconnected", userId, null);
+    }
+  }
+};
+
+// After the user blocks or unblocks someone, keep their connections on the
+// new block list and show or hide their online status to match
+const syncBlockedUsers = async (io, userId) => {
+  const userIdStr = userId.toString();
+
+  try {
+    const user = await User.findById(userIdStr);
+    if (!user) return;
+
+    const sockets = await io.in(userIdStr).fetchSockets();
+    for (const userSocket of sockets) {
+      userSocket.user.blockedUsers = user.blockedUsers;
+    }
+
+    if (isUserOnline(userIdStr)) {
+      syncOnlineStatus(io, user);
+      io.to(userIdStr).emit("onlineUsers", getVisibleOnlineUsers(io, user));
+    }
+  } catch (error) {
+    console.error("Error syncing blocked users:", error);
+  }
+};
+
+// Ids of everyone who shares a conversation with the user
+const getContactIds = async (userId) => {
+  const participantIds = await Conversation.find({
+    participants: userId,
+  }).distinct("participants");
+
+  return participantIds.filter((id) => id.toString() !== userId.toString());
+};
+
+// Emit an event to everyone who shares a conversation with the user
+const emitToContacts = async (io, userId, event, payload) => {
+  const contactIds = await getContactIds(userId);
+
+  for (const contactId of contactIds) {
+    io.to(contactId.toString()).emit(event, payload);
+  }
+};
+
+// Tell contacts about a presence change. Contacts who may not see the user's
+// online status always see them offline, without a last active time.
+const broadcastPresence = async (io, user, presence) => {
+  const contacts = await User.find({
+    _id: { $in: await getContactIds(user._id) },
+  }).select("settings blockedUsers");
+
+  for (const contact of contacts) {
+    const visible = canSeeOnlineStatus(user, contact);
+
+    io.to(contact._id.toString()).emit("userPresence", {
+      userId: user._id.toString(),
+      status: visible ? presence : "offline",
+      lastActive: visible ? user.lastActive : null,
+    });
+  }
+};
+
+// Persist the user's current presence and broadcast it if it changed
+const updatePresence = async (io, userId) => {
+  try {
+    const presence = getPresence(io, userId);
+    const user = await User.findById(userId).select(
+      "presence lastActive settings blockedUsers"
+    );
+    if (!user) return;
+
+    const changed = user.presence !== presence;
+    user.presence = presence;
+    user.onlineStatus = presence !== "offline";
+    user.lastActive = new Date();
+    await user.save();
+
+    if (changed) {
+      await broadcastPresence(io, user, presence);
+    }
+  } catch (error) {
+    console.error("Error updating presence:", error);
+  }
+};
+
+// Tell the other participants that the socket's user is typing, at most once
+// per TYPING_THROTTLE_MS, and push back when typing expires
+const startTyping = async (io, socket, conversationId) => {
+  if (!/^[a-f\d]{24}$/i.test(conversationId)) return;
+
+  const userId = socket.user._id.toString();
+  const key = `${conversationId}:${userId}`;
+  let state = typingStates.get(key);
+
+  if (!state) {
+    // Only participants may type in a conversation
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      participants: userId,
+    }).select("participants");
+    if (!conversation) return;
+
+    // Typing may have started elsewhere while the conversation loaded
+    state = typingStates.get(key) || {
+      recipientIds: conversation.participants
+        .map((id) => id.toString())
+        .filter((id) => id !== userId),
+      lastBroadcast: 0,
+      timer: null,
+    };
+    typingStates.set(key, state);
+  }
+
+  if (!socket.data.typingIn) socket.data.typingIn = new Set();
+  socket.data.typingIn.add(conversationId);
+
+  clearTimeout(state.timer);
+  state.timer = setTimeout(
+    () => stopTyping(io, conversationId, userId),
+    TYPING_TIMEOUT_MS
   );
 
-  // Make sure userId is a string
+  const now = Date.now();
+  if (now - state.lastBroadcast < TYPING_THROTTLE_MS) return;
+  state.lastBroadcast = now;
+
+  for (const recipientId of state.recipientIds) {
+    io.to(recipientId).emit("typing", {
+      conversationId,
+      userId,
+      username: socket.user.username,
+    });
+  }
+};
+
+// Tell the other participants the user stopped typing, if they were
+const stopTyping = (io, conversationId, userId) => {
+  const key = `${conversationId}:${userId}`;
+  const state = typingStates.get(key);
+  if (!state) return;
+
+  clearTimeout(state.timer);
+  typingStates.delete(key);
+
+  for (const recipientId of state.recipientIds) {
+    io.to(recipientId).emit("stopTyping", { conversationId, userId });
+  }
+};
+
+// Send every queued event to a newly connected socket, oldest first.
+// Each one is dropped from the queue once the client acknowledges it (or
+// acks it with "ackEvents"); clients ignore ids they have already seen.
+const replayPendingEvents = async (socket, userId) => {
+  try {
+    const pendingEvents = await PendingEvent.find({ recipient: userId }).sort({
+      createdAt: 1,
+      _id: 1,
+    });
+
+    if (pendingEvents.length > 0) {
+      console.log(
+        `Replaying ${pendingEvents.length} pending events to user ${userId}`
+      );
+    }
+
+    for (const pendingEvent of pendingEvents) {
+      socket.emit(pendingEvent.event, pendingEvent.payload, () => {
+        PendingEvent.deleteOne({ _id: pendingEvent._id }).catch((error) =>
+          console.error("Error acknowledging replayed event:", error)
+        );
+      });
+    }
+  } catch (error) {
+    console.error("Error replaying pending events:", error);
+  }
+};
+
+// Drop queued events the user has dealt with without acking them, such as
+// messages or notifications marked read from a page that wasn't listening
+// when they were replayed
+const clearPendingEvents = (userId, event, filter = {}) =>
+  PendingEvent.deleteMany({ recipient: userId.toString(), event, ...filter });
+
+// Store an event to replay when the user next connects
+const queueEvent = async (userIdStr, event, payload) => {
+  try {
+    // Store exactly what the client receives over the wire
+    await PendingEvent.updateOne(
+      { recipient: userIdStr, event, eventId: String(payload.id) },
+      {
+        $setOnInsert: {
+          payload: JSON.parse(JSON.stringify(payload)),
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Error queueing ${event} for user ${userIdStr}:`, error);
+  }
+};
+
+// Emit an event to the user, queueing it for their next connect when none of
+// their devices acknowledges it in time
+const deliverEvent = async (io, userId, event, payload) => {
   const userIdStr = userId.toString();
 
-  const socketId = activeUsers.get(userIdStr);
-  if (socketId) {
-    console.log(`Socket found for user ${userIdStr}, emitting notification`);
-    try {
-      io.to(socketId).emit("newNotification", notification);
-      console.log("Notification emitted successfully");
-    } catch (error) {
-      console.error("Error emitting notification:", error);
+  if (!isUserOnline(userIdStr)) {
+    console.log(
+      `No active socket found for user ${userIdStr}, ${event} queued for later`
+    );
+    return queueEvent(userIdStr, event, payload);
+  }
+
+  console.log(
+    `Emitting ${event} to ${getConnectionCount(userIdStr)} sockets of user ${userIdStr}`
+  );
+
+  try {
+    const responses = await io
+      .to(userIdStr)
+      .timeout(DELIVERY_ACK_TIMEOUT_MS)
+      .emitWithAck(event, payload);
+
+    if (responses.length === 0) {
+      await queueEvent(userIdStr, event, payload);
+    }
+  } catch (error) {
+    // Timed out: some devices didn't answer, but one that did has it
+    if (!error.responses || error.responses.length === 0) {
+      await queueEvent(userIdStr, event, payload);
+    }
+  }
+};
+
+// Function to emit a new message to a user
+const emitNewMessage = (io, userId, message) =>
+  deliverEvent(io, userId, "newMessage", message);
+
+// Function to emit a new notification to a user
+const emitNewNotification = (io, userId, notification) =>
+  deliverEvent(io, userId, "newNotification", notification);
+
+// Function to emit follow request changes to the owner of a private account
+const emitFollowRequest = (io, userId, event, followRequest) => {
+  try {
+    io.to(userId.toString()).emit(event, followRequest);
+  } catch (error) {
+    console.error("Error emitting follow request:", error);
+  }
+};
+
+// Function to send the senders of messages their updated status and receipts
+const emitMessageStatus = async (io, messageIds) => {
+  if (messageIds.length === 0) return;
+
+  try {
+    const messages = await Message.find({ _id: { $in: messageIds } });
+    const conversations = await Conversation.find({
+      _id: { $in: messages.map((message) => message.conversationId) },
+    }).populate({ path: "participants", select: "settings blockedUsers" });
+
+    for (const message of messages) {
+      const conversation = conversations.find(
+        (conv) => conv._id.toString() === message.conversationId.toString()
+      );
+      const sender = conversation?.participants.find(
+        (participant) =>
+          participant._id.toString() === message.senderId.toString()
+      );
+
+      // Senders who have left a group no longer get its receipts
+      if (!sender) continue;
+
+      io.to(sender._id.toString()).emit("messageStatus", {
+        conversationId: message.conversationId.toString(),
+        messageId: message._id.toString(),
+        ...getMessageStatus(message, sender, conversation.participants),
+      });
     }
-  } else {
-    console.log(`No active socket found for user ${userIdStr}`);
-    // Store notification for delivery when user connects
-    // This would require additional code to store pending notifications
+  } catch (error) {
+    console.error("Error emitting message status:", error);
+  }
+};
+
+// Function to emit group conversation changes to one of its members
+const emitConversationEvent = (io, userId, event, payload) => {
+  try {
+    io.to(userId.toString()).emit(event, payload);
+  } catch (error) {
+    console.error(`Error emitting ${event}:`, error);
+  }
+};
+
+// Name of the room shared by everyone viewing a post
+const postRoom = (postId) => `post:${postId}`;
+
+// Function to emit a live engagement update to everyone viewing a post
+const emitPostEvent = (io, postId, event, payload) => {
+  try {
+    io.to(postRoom(postId)).emit(event, {
+      postId: postId.toString(),
+      ...payload,
+    });
+  } catch (error) {
+    console.error(`Error emitting ${event}:`, error);
   }
 };
 
@@ -157,15 +665,28 @@ const getLastSeen = (userId) => {
   return lastSeenTimestamps.get(userId.toString()) || null;
 };
 
+// Function to get how many sockets (tabs/devices) a user has connected
+const getConnectionCount = (userId) => {
+  const sockets = activeUsers.get(userId.toString());
+  return sockets ? sockets.size : 0;
+};
+
 // Function to check if a user is online
 const isUserOnline = (userId) => {
-  return activeUsers.has(userId.toString());
+  return getConnectionCount(userId) > 0;
 };
 
 module.exports = {
   initializeSocket,
   emitNewMessage,
   emitNewNotification,
+  emitFollowRequest,
+  emitConversationEvent,
+  emitMessageStatus,
+  emitPostEvent,
+  clearPendingEvents,
+  syncBlockedUsers,
   getLastSeen,
+  getConnectionCount,
   isUserOnline,
 };
@@ -0,0 +1,43 @@
+// Block and mute helpers.
+// Blocking works both ways: once either user blocks the other, neither can
+// message, follow, tag or comment on the other, and they drop out of each
+// other's search results and feeds. Muting is one-sided and silent: the muted
+// user's posts and notifications are hidden from the muter only.
+
+const User = require("../models/User");
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const listIncludes = (list, other) =>
+  (list || []).some((id) => idOf(id) === idOf(other));
+
+// Whether the user has blocked the other user
+const hasBlocked = (user, other) => listIncludes(user.blockedUsers, other);
+
+// Whether the user has muted the other user
+const hasMuted = (user, other) => listIncludes(user.mutedUsers, other);
+
+// Whether either user has blocked the other (both need blockedUsers loaded)
+const isBlockedBetween = (user, other) =>
+  hasBlocked(user, other) || hasBlocked(other, user);
+
+// Ids of users the user has blocked or been blocked by
+const getBlockedUserIds = async (user) => {
+  const blockedBy = await User.find({ blockedUsers: user._id }).distinct("_id");
+
+  return [...(user.blockedUsers || []), ...blockedBy];
+};
+
+// Ids of users whose posts and notifications the user shouldn't see
+const getSilencedUserIds = async (user) => [
+  ...(await getBlockedUserIds(user)),
+  ...(user.mutedUsers || []),
+];
+
+module.exports = {
+  hasBlocked,
+  hasMuted,
+  isBlockedBetween,
+  getBlockedUserIds,
+  getSilencedUserIds,
+};
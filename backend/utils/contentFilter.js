@@ -0,0 +1,61 @@
+// Content filter helpers.
+// Posts carry a contentRating and viewers pick a settings.contentFilter:
+//   "strict"   - only general posts
+//   "standard" - general and sensitive posts, sensitive ones blurred
+//   "none"     - everything, nothing blurred
+// Viewers always see their own posts unfiltered.
+
+const CONTENT_RATINGS = ["general", "sensitive", "mature"];
+
+const FILTER_RULES = {
+  strict: { allowed: ["general"], blurred: [] },
+  standard: { allowed: ["general", "sensitive"], blurred: ["sensitive"] },
+  none: { allowed: CONTENT_RATINGS, blurred: [] },
+};
+
+const getRules = (viewer) =>
+  FILTER_RULES[viewer && viewer.settings && viewer.settings.contentFilter] ||
+  FILTER_RULES.standard;
+
+// Posts created before ratings existed count as general
+const getRating = (post) => post.contentRating || "general";
+
+const isOwnPost = (post, viewer) => {
+  const authorId = post.user && post.user._id ? post.user._id : post.user;
+  return !!viewer && String(authorId) === String(viewer._id);
+};
+
+// Restrict a post filter to the ratings the viewer's content filter allows
+const applyContentFilter = (viewer, filter = {}) => {
+  const { allowed } = getRules(viewer);
+  if (allowed.length === CONTENT_RATINGS.length) return filter;
+
+  const ratings = allowed.includes("general") ? [...allowed, null] : allowed;
+
+  return {
+    $and: [
+      filter,
+      { $or: [{ contentRating: { $in: ratings } }, { user: viewer._id }] },
+    ],
+  };
+};
+
+// Rating metadata for a post, telling the client whether to blur it.
+// Posts the filter doesn't allow (e.g. opened from a direct link) are blurred.
+const getContentPreview = (post, viewer) => {
+  const rating = getRating(post);
+  if (isOwnPost(post, viewer)) return { contentRating: rating, blurred: false };
+
+  const { allowed, blurred } = getRules(viewer);
+
+  return {
+    contentRating: rating,
+    blurred: blurred.includes(rating) || !allowed.includes(rating),
+  };
+};
+
+module.exports = {
+  CONTENT_RATINGS,
+  applyContentFilter,
+  getContentPreview,
+};
@@ -0,0 +1,159 @@
+// Sign-in throttling.
+// Failed attempts are counted per client IP and per account. After a few
+// free attempts each further failure doubles the wait before the next one is
+// accepted, and an account with too many failures is locked for a while and
+// its owner is told by email. Failures are forgotten an hour after the last.
+
+const User = require("../models/User");
+const LoginThrottle = require("../models/LoginThrottle");
+const { sendAccountLockedEmail } = require("./mailer");
+
+// Failures allowed before backoff starts
+const FREE_ATTEMPTS = 5;
+// The first backoff, doubling with every further failure up to the maximum
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+// Failures on one account before it is locked, and for how long
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_MS = 30 * 60 * 1000;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+const backoffUntil = (failures, now) => {
+  if (failures < FREE_ATTEMPTS) return null;
+
+  const delay = Math.min(
+    BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS),
+    MAX_DELAY_MS
+  );
+  return new Date(now.getTime() + delay);
+};
+
+// Whole seconds left until the time, or 0 once it has passed
+const secondsUntil = (date) =>
+  date ? Math.max(0, Math.ceil((new Date(date) - Date.now()) / 1000)) : 0;
+
+// Count one more failure in an update pipeline, starting over when the last
+// one was long enough ago
+const countFailure = (countPath, lastPath, now) => ({
+  $cond: [
+    { $gt: [`$${lastPath}`, new Date(now.getTime() - FAILURE_WINDOW_MS)] },
+    { $add: [{ $ifNull: [`$${countPath}`, 0] }, 1] },
+    1,
+  ],
+});
+
+const ipKey = (ip) => `ip:${ip}`;
+
+// Seconds the client has to wait before trying again, 0 if it may try now
+const ipRetryAfter = async (ip) => {
+  const throttle = await LoginThrottle.findOne({ key: ipKey(ip) });
+  return secondsUntil(throttle?.retryAfter);
+};
+
+const recordIpFailure = async (ip) => {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key: ipKey(ip) },
+    [
+      {
+        $set: {
+          failures: countFailure("failures", "lastFailureAt", now),
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS + MAX_DELAY_MS),
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+
+  const retryAfter = backoffUntil(throttle.failures, now);
+  if (retryAfter) {
+    await LoginThrottle.updateOne({ _id: throttle._id }, { retryAfter });
+  }
+};
+
+const isLocked = (user) =>
+  Boolean(user.loginFailures?.lockedUntil) &&
+  user.loginFailures.lockedUntil > new Date();
+
+// Seconds until the account accepts another attempt, 0 if it does now
+const accountRetryAfter = (user) =>
+  Math.max(
+    secondsUntil(user.loginFailures?.lockedUntil),
+    secondsUntil(user.loginFailures?.retryAfter)
+  );
+
+// Count a failed password or two-factor code against the account, locking
+// it once there have been too many
+const recordAccountFailure = async (user) => {
+  const now = new Date();
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    [
+      {
+        $set: {
+          "loginFailures.count": countFailure(
+            "loginFailures.count",
+            "loginFailures.lastFailedAt",
+            now
+          ),
+          "loginFailures.lastFailedAt": now,
+        },
+      },
+    ],
+    { new: true }
+  );
+  if (!updated) return;
+
+  // Once past the threshold, each failure after a lock ends locks it again
+  const { count } = updated.loginFailures;
+  const update = { "loginFailures.retryAfter": backoffUntil(count, now) };
+  const lockNow = count >= LOCKOUT_THRESHOLD && !isLocked(updated);
+  if (lockNow) {
+    update["loginFailures.lockedUntil"] = new Date(now.getTime() + LOCKOUT_MS);
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: update });
+
+  if (lockNow) {
+    try {
+      await sendAccountLockedEmail(updated, update["loginFailures.lockedUntil"]);
+    } catch (error) {
+      console.error("Error sending account locked email:", error);
+    }
+  }
+};
+
+// Forget the account's failures, after a successful sign-in or an unlock
+const clearAccountFailures = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { "loginFailures.count": 0 },
+      $unset: {
+        "loginFailures.lastFailedAt": 1,
+        "loginFailures.retryAfter": 1,
+        "loginFailures.lockedUntil": 1,
+      },
+    }
+  );
+
+const tooManyAttemptsMessage = (seconds) => {
+  const [amount, unit] =
+    seconds < 60 ? [seconds, "second"] : [Math.ceil(seconds / 60), "minute"];
+
+  return `Too many failed attempts. Try again in ${amount} ${unit}${
+    amount === 1 ? "" : "s"
+  }.`;
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  ipRetryAfter,
+  recordIpFailure,
+  isLocked,
+  accountRetryAfter,
+  recordAccountFailure,
+  clearAccountFailures,
+  tooManyAttemptsMessage,
+};
@@ -0,0 +1,199 @@
+// Outgoing mail.
+// The transport is picked with MAIL_TRANSPORT:
+//   smtp    - sends through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file    - writes each message as JSON to MAIL_DIR (default ./mail), for
+//             development and tests that need to read the links back
+//   console - logs each message (the default outside production)
+// A transport is any object with an async send(message) method, and another
+// can be plugged in with setTransport.
+
+const fs = require("fs");
+const path = require("path");
+
+const MAIL_FROM = () =>
+  process.env.MAIL_FROM || "ChuckleChain <no-reply@chucklechain.app>";
+const CLIENT_URL = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+const createSmtpTransport = () => {
+  // Only needed when mail is really sent
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return { send: (message) => transporter.sendMail(message) };
+};
+
+const createFileTransport = (dir = process.env.MAIL_DIR || "mail") => ({
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  },
+});
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(
+      `Mail to ${message.to}: ${message.subject}\n${message.text}`
+    );
+  },
+});
+
+const createTransport = (name) => {
+  switch (name) {
+    case "smtp":
+      return createSmtpTransport();
+    case "file":
+      return createFileTransport();
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport "${name}"`);
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(
+      process.env.MAIL_TRANSPORT ||
+        (process.env.NODE_ENV === "production" ? "smtp" : "console")
+    );
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with one that records messages in tests
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ]
+  );
+
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({ from: MAIL_FROM(), to, subject, text, html });
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${CLIENT_URL()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your ChuckleChain password",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password for your account. ` +
+      `Open this link within an hour to choose a new one:\n\n${link}\n\n` +
+      `If it wasn't you, you can ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Someone asked to reset the password for your account. ` +
+      `Open this link within an hour to choose a new one:</p>` +
+      `<p><a href="${link}">Reset your password</a></p>` +
+      `<p>If it wasn't you, you can ignore this email.</p>`,
+  });
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${CLIENT_URL()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your ChuckleChain email",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Confirm this is your email address to start posting memes:\n\n${link}\n\n` +
+      `The link works for 24 hours.`,
+    html:
+      `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Confirm this is your email address to start posting memes:</p>` +
+      `<p><a href="${link}">Verify your email</a></p>` +
+      `<p>The link works for 24 hours.</p>`,
+  });
+};
+
+// Sent to the new address; the change only happens once the link is opened
+const sendEmailChangeEmail = (user, token) => {
+  const link = `${CLIENT_URL()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.pendingEmail,
+    subject: "Confirm your new ChuckleChain email",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Open this link to start using ${user.pendingEmail} for your account:\n\n${link}\n\n` +
+      `The link works for 24 hours.`,
+    html:
+      `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Open this link to start using ${escapeHtml(user.pendingEmail)} for your account:</p>` +
+      `<p><a href="${link}">Confirm your new email</a></p>` +
+      `<p>The link works for 24 hours.</p>`,
+  });
+};
+
+// Sent to the old address, in case someone else asked for the change
+const sendEmailChangedNotice = (user) => {
+  const link = `${CLIENT_URL()}/forgot-password`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Your ChuckleChain email is being changed",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Someone asked to change the email on your account to ${user.pendingEmail}.\n\n` +
+      `If that wasn't you, you can choose a new password here:\n\n${link}`,
+    html:
+      `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Someone asked to change the email on your account to ${escapeHtml(user.pendingEmail)}.</p>` +
+      `<p>If that wasn't you, <a href="${link}">choose a new password</a>.</p>`,
+  });
+};
+
+const sendAccountLockedEmail = (user, lockedUntil) => {
+  const link = `${CLIENT_URL()}/forgot-password`;
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+
+  return sendMail({
+    to: user.email,
+    subject: "Your ChuckleChain account was locked",
+    text:
+      `Hi ${user.username},\n\n` +
+      `There were too many failed attempts to log in to your account, so ` +
+      `we've locked it for ${minutes} minutes.\n\n` +
+      `If that wasn't you, someone may be guessing your password. ` +
+      `You can choose a new one here:\n\n${link}`,
+    html:
+      `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>There were too many failed attempts to log in to your account, so ` +
+      `we've locked it for ${minutes} minutes.</p>` +
+      `<p>If that wasn't you, someone may be guessing your password. ` +
+      `<a href="${link}">Choose a new password</a>.</p>`,
+  });
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+  sendEmailChangedNotice,
+  sendAccountLockedEmail,
+};
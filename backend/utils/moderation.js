@@ -0,0 +1,44 @@
+// Text moderation helpers used by the posts controller
+// when the matching platform moderation settings are enabled
+
+// Kept deliberately short; extend as moderation needs grow
+const PROFANITY_LIST = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "bullshit",
+  "cunt",
+  "dick",
+  "fuck",
+  "fucker",
+  "fucking",
+  "motherfucker",
+  "nigger",
+  "prick",
+  "shit",
+  "slut",
+  "whore",
+];
+
+const profanityRegex = new RegExp(`\\b(${PROFANITY_LIST.join("|")})\\b`, "gi");
+
+// Check whether a piece of text contains any word from the profanity list
+const containsProfanity = (text) => {
+  if (!text) return false;
+  profanityRegex.lastIndex = 0;
+  return profanityRegex.test(text);
+};
+
+// Replace every profane word with asterisks, keeping the first letter
+const censorProfanity = (text) => {
+  if (!text) return text;
+  return text.replace(
+    profanityRegex,
+    (word) => word[0] + "*".repeat(word.length - 1)
+  );
+};
+
+module.exports = {
+  containsProfanity,
+  censorProfanity,
+};
@@ -0,0 +1,90 @@
+// Cursor pagination helpers shared by the feed endpoints.
+// Feeds are ordered newest first by createdAt, with _id as a tie-breaker,
+// and the cursor is an opaque base64url string encoding both values.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Encode the position of a post so the next page starts right after it
+const encodeCursor = (post) =>
+  Buffer.from(
+    JSON.stringify({
+      createdAt: new Date(post.createdAt).toISOString(),
+      id: post._id.toString(),
+    })
+  ).toString("base64url");
+
+// Decode a cursor back into its createdAt/_id position, or null if invalid
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const date = new Date(createdAt);
+
+    if (isNaN(date.getTime()) || !/^[a-f\d]{24}$/i.test(id)) return null;
+
+    return { createdAt: date, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read ?cursor=&limit= from a request.
+// Returns { error } when the cursor can't be decoded.
+const parsePageParams = (query, defaultLimit = DEFAULT_LIMIT) => {
+  const limit = Math.min(
+    Math.max(Number.parseInt(query.limit, 10) || defaultLimit, 1),
+    MAX_LIMIT
+  );
+
+  if (!query.cursor) {
+    return { limit, position: null };
+  }
+
+  const position = decodeCursor(query.cursor);
+  if (!position) {
+    return { error: "Invalid cursor" };
+  }
+
+  return { limit, position };
+};
+
+// Add the "older than the cursor" condition to a feed filter
+const applyCursor = (filter, position) => {
+  if (!position) return filter;
+
+  return {
+    $and: [
+      filter,
+      {
+        $or: [
+          { createdAt: { $lt: position.createdAt } },
+          { createdAt: position.createdAt, _id: { $lt: position.id } },
+        ],
+      },
+    ],
+  };
+};
+
+// The sort order every paginated feed must use for cursors to be stable
+const FEED_SORT = { createdAt: -1, _id: -1 };
+
+// Trim the extra document fetched to detect another page and build nextCursor.
+// Queries should fetch limit + 1 documents.
+const buildPage = (docs, limit) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+  };
+};
+
+module.exports = {
+  FEED_SORT,
+  parsePageParams,
+  applyCursor,
+  buildPage,
+};
@@ -0,0 +1,36 @@
+// Online status and read receipt privacy helpers.
+// Both settings are reciprocal: a user who hides their own online status
+// (or read receipts) doesn't see anyone else's either. Users who have blocked
+// each other see neither, so both users need blockedUsers loaded.
+
+const { isBlockedBetween } = require("./blocking");
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const sharesOnlineStatus = (user) => user.settings?.showOnlineStatus !== false;
+
+const sharesReadReceipts = (user) => user.settings?.showReadReceipts !== false;
+
+// Whether the viewer can see when the owner is online and when they were last seen
+const canSeeOnlineStatus = (owner, viewer) => {
+  if (idOf(owner) === idOf(viewer)) return true;
+
+  return (
+    !isBlockedBetween(owner, viewer) &&
+    sharesOnlineStatus(owner) &&
+    sharesOnlineStatus(viewer)
+  );
+};
+
+// Whether the sender of a message can see that the reader has read it
+const canSeeReadReceipts = (reader, sender) =>
+  !isBlockedBetween(reader, sender) &&
+  sharesReadReceipts(reader) &&
+  sharesReadReceipts(sender);
+
+module.exports = {
+  sharesOnlineStatus,
+  sharesReadReceipts,
+  canSeeOnlineStatus,
+  canSeeReadReceipts,
+};
@@ -0,0 +1,217 @@
+// Message receipt helpers.
+// Every message keeps a receipt per recipient recording when it was delivered
+// to one of their devices and when they read it. The message's `read` flag is
+// set once every recipient has read it.
+
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const { canSeeReadReceipts } = require("./privacy");
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Narrow a message filter to messages from others the user hasn't read yet
+const unreadFilter = (userId, filter = {}) => ({
+  ...filter,
+  senderId: { $ne: userId },
+  read: false,
+  receipts: {
+    $not: { $elemMatch: { user: userId, readAt: { $ne: null } } },
+  },
+});
+
+// Count the user's unread messages in each of the conversations with a single
+// aggregation. Returns a Map of conversation id to count, leaving out
+// conversations with nothing unread.
+const countUnread = async (userId, conversationIds) => {
+  const user = new mongoose.Types.ObjectId(userId.toString());
+  const counts = await Message.aggregate([
+    {
+      $match: unreadFilter(user, {
+        conversationId: {
+          $in: conversationIds.map(
+            (id) => new mongoose.Types.ObjectId(id.toString())
+          ),
+        },
+      }),
+    },
+    { $group: { _id: "$conversationId", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Record that the messages reached one of the user's devices, and with
+// read: true that the user read them. Only messages addressed to the user in
+// conversations they take part in are touched, since the ids come from the
+// client. Returns the ids of messages whose receipts changed.
+const recordReceipts = async (messageIds, userId, { read = false } = {}) => {
+  const user = new mongoose.Types.ObjectId(userId.toString());
+  const field = read ? "readAt" : "deliveredAt";
+
+  const conversationIds = await Conversation.find({
+    _id: {
+      $in: await Message.find({ _id: { $in: messageIds } }).distinct(
+        "conversationId"
+      ),
+    },
+    participants: user,
+  }).distinct("_id");
+
+  if (conversationIds.length === 0) return [];
+
+  const addressedToUser = {
+    _id: { $in: messageIds },
+    conversationId: { $in: conversationIds },
+    senderId: { $ne: user },
+  };
+
+  // Messages sent before receipts were tracked have none at all, so reading
+  // them only sets the read flag
+  let legacyIds = [];
+  if (read) {
+    legacyIds = await Message.find({
+      ...addressedToUser,
+      receipts: { $size: 0 },
+      read: false,
+    }).distinct("_id");
+
+    if (legacyIds.length > 0) {
+      await Message.updateMany({ _id: { $in: legacyIds } }, { read: true });
+    }
+  }
+
+  const changedIds = await Message.find({
+    ...addressedToUser,
+    "receipts.user": user,
+    receipts: { $not: { $elemMatch: { user, [field]: { $ne: null } } } },
+  }).distinct("_id");
+
+  if (changedIds.length === 0) return legacyIds;
+
+  const now = new Date();
+  const update = { "receipts.$[undelivered].deliveredAt": now };
+  const arrayFilters = [
+    { "undelivered.user": user, "undelivered.deliveredAt": null },
+  ];
+
+  if (read) {
+    update["receipts.$[unread].readAt"] = now;
+    arrayFilters.push({ "unread.user": user, "unread.readAt": null });
+  }
+
+  await Message.updateMany(
+    { _id: { $in: changedIds } },
+    { $set: update },
+    { arrayFilters }
+  );
+
+  if (read) {
+    await Message.updateMany(
+      {
+        _id: { $in: changedIds },
+        receipts: { $not: { $elemMatch: { readAt: null } } },
+      },
+      { read: true }
+    );
+  }
+
+  return [...legacyIds, ...changedIds];
+};
+
+// Give members joining a group receipts for the messages sent before they
+// joined, marked delivered and read so none of them count as unread.
+// Messages from before receipts were tracked are left alone.
+const addMemberReceipts = async (conversationId, userIds) => {
+  const now = new Date();
+
+  for (const userId of userIds) {
+    const user = new mongoose.Types.ObjectId(userId.toString());
+
+    await Message.updateMany(
+      {
+        conversationId,
+        senderId: { $ne: user },
+        "receipts.0": { $exists: true },
+        "receipts.user": { $ne: user },
+      },
+      { $push: { receipts: { user, deliveredAt: now, readAt: now } } }
+    );
+  }
+};
+
+// Drop the receipts of a member leaving a group, so messages they never read
+// don't stay unread for good. Returns the ids of messages that are now read
+// by everyone left.
+const removeMemberReceipts = async (conversationId, userId) => {
+  const user = new mongoose.Types.ObjectId(userId.toString());
+
+  await Message.updateMany(
+    { conversationId, "receipts.user": user },
+    { $pull: { receipts: { user } } }
+  );
+
+  const nowReadIds = await Message.find({
+    conversationId,
+    read: false,
+    "receipts.0": { $exists: true },
+    receipts: { $not: { $elemMatch: { readAt: null } } },
+  }).distinct("_id");
+
+  if (nowReadIds.length > 0) {
+    await Message.updateMany({ _id: { $in: nowReadIds } }, { read: true });
+  }
+
+  return nowReadIds;
+};
+
+// Work out a message's receipts and status as the viewer may see them.
+// Status is "read" once every recipient has read it, "delivered" once it
+// reached all of them and "sent" before that. Read times only show for
+// recipients who share read receipts both ways with the viewer, so
+// participants must be populated with their settings.
+const getMessageStatus = (message, viewer, participants) => {
+  const viewerId = idOf(viewer);
+  const senderId = idOf(message.senderId);
+  const receiptsByUser = new Map(
+    (message.receipts || []).map((receipt) => [idOf(receipt.user), receipt])
+  );
+
+  const recipients = participants.filter(
+    (participant) => idOf(participant) !== senderId
+  );
+  const showsReadTime = (participant) =>
+    idOf(participant) === viewerId ||
+    (participant.settings && canSeeReadReceipts(participant, viewer));
+
+  const receipts = recipients.map((participant) => {
+    const receipt = receiptsByUser.get(idOf(participant)) || {};
+
+    return {
+      userId: idOf(participant),
+      deliveredAt: receipt.deliveredAt || null,
+      readAt: showsReadTime(participant) ? receipt.readAt || null : null,
+    };
+  });
+
+  let status = "sent";
+  if (message.read && recipients.every(showsReadTime)) {
+    status = "read";
+  } else if (
+    message.read ||
+    (receipts.length > 0 && receipts.every((receipt) => receipt.deliveredAt))
+  ) {
+    status = "delivered";
+  }
+
+  return { status, receipts };
+};
+
+module.exports = {
+  unreadFilter,
+  countUnread,
+  recordReceipts,
+  addMemberReceipts,
+  removeMemberReceipts,
+  getMessageStatus,
+};
@@ -0,0 +1,145 @@
+// Session and refresh token helpers.
+// Signing in creates a Session. The client gets a short-lived access token
+// naming the session and a refresh token for it, which is swapped for a new
+// one on every refresh. Deleting the session revokes both.
+
+const crypto = require("crypto");
+const Session = require("../models/Session");
+
+// Refresh tokens last as long as the old long-lived tokens did
+const REFRESH_TOKEN_DAYS = () =>
+  Number(process.env.JWT_EXPIRE?.match(/\d+/)?.[0]) || 30;
+// How long the refresh token a session just replaced is still accepted, for
+// tabs that refreshed at the same time
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// Refresh tokens are "<session id>.<secret>"
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString("hex");
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+
+  return { sessionId, hash: hashToken(secret) };
+};
+
+const describeClient = (req) => ({
+  userAgent: (req.headers["user-agent"] || "").slice(0, 300),
+  ip: req.ip || "",
+});
+
+// Start a session for the user signing in. Returns the session and its
+// refresh token.
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const session = new Session({
+    user: user._id,
+    twoFactorVerified,
+    ...describeClient(req),
+    expiresAt: new Date(
+      Date.now() + REFRESH_TOKEN_DAYS() * 24 * 60 * 60 * 1000
+    ),
+  });
+  const { token, hash } = newRefreshToken(session._id);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return { session, refreshToken: token };
+};
+
+// Swap a refresh token for a new one. Returns the session and the new token,
+// or null when the token is unknown or expired. A replaced token showing up
+// again means it was copied, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!session) return null;
+
+  const isCurrent = session.refreshTokenHash === parsed.hash;
+  const isRecentlyReplaced =
+    session.previousTokenHash === parsed.hash &&
+    Date.now() - session.rotatedAt < REFRESH_REUSE_GRACE_MS;
+
+  if (!isCurrent && !isRecentlyReplaced) {
+    if (session.previousTokenHash === parsed.hash) {
+      await session.deleteOne();
+    }
+    return null;
+  }
+
+  const { token, hash } = newRefreshToken(session._id);
+  // Only rotate from the hash we read, so two refreshes can't both win
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+    {
+      refreshTokenHash: hash,
+      previousTokenHash: session.refreshTokenHash,
+      rotatedAt: new Date(),
+      lastUsedAt: new Date(),
+      ...describeClient(req),
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  return { session: updated, refreshToken: token };
+};
+
+// The session an access token was issued for, if it hasn't been revoked
+const findActiveSession = (sessionId, userId) => {
+  if (!sessionId) return null;
+
+  return Session.findOne({
+    _id: sessionId,
+    user: userId,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Drop the sockets that were opened with the sessions
+const disconnectSessions = async (io, userId, sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+
+  const revoked = new Set(sessionIds.map(String));
+  const sockets = await io.in(userId.toString()).fetchSockets();
+  sockets
+    .filter((socket) => revoked.has(String(socket.data.sessionId)))
+    .forEach((socket) => socket.disconnect(true));
+};
+
+// Revoke the user's sessions, all of them or only those given, optionally
+// keeping one (usually the current one). Returns the revoked session ids.
+const revokeSessions = async (io, userId, { only, except } = {}) => {
+  const filter = { user: userId };
+  if (only) filter._id = { $in: only };
+  if (except) filter._id = { ...filter._id, $ne: except };
+
+  const sessionIds = await Session.find(filter).distinct("_id");
+  if (sessionIds.length === 0) return [];
+
+  await Session.deleteMany({ _id: { $in: sessionIds } });
+  await disconnectSessions(io, userId, sessionIds);
+
+  return sessionIds;
+};
+
+module.exports = {
+  parseRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  disconnectSessions,
+  revokeSessions,
+};
@@ -0,0 +1,63 @@
+// Signed single-use tokens for links sent by email.
+// A token is a JWT naming the user, what it's for and a random nonce. Only a
+// hash of the nonce is stored on the user, so a token stops working once it
+// has been used or a newer one for the same purpose has been issued.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+const PURPOSES = {
+  "password-reset": { field: "passwordResetToken", expiresIn: "1h" },
+  "email-verification": { field: "emailVerificationToken", expiresIn: "24h" },
+  "email-change": { field: "emailChangeToken", expiresIn: "24h" },
+};
+
+const hashNonce = (nonce) =>
+  crypto.createHash("sha256").update(nonce).digest("hex");
+
+// Issue a token for the user, replacing any earlier one for the purpose
+const createActionToken = async (user, purpose) => {
+  const { field, expiresIn } = PURPOSES[purpose];
+  const nonce = crypto.randomBytes(32).toString("hex");
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { [field]: hashNonce(nonce) } }
+  );
+
+  return jwt.sign({ id: user._id, purpose, nonce }, process.env.JWT_SECRET, {
+    expiresIn,
+  });
+};
+
+// Check a token and use it up. Returns the user it was issued to, or null
+// when it is invalid, expired or already used.
+const consumeActionToken = async (token, purpose) => {
+  if (typeof token !== "string" || !PURPOSES[purpose]) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || typeof payload.nonce !== "string") {
+    return null;
+  }
+
+  // Matching and clearing the nonce in one update keeps it single-use even
+  // when the same link is opened twice at once
+  const { field } = PURPOSES[purpose];
+  return User.findOneAndUpdate(
+    { _id: payload.id, [field]: hashNonce(payload.nonce) },
+    { $unset: { [field]: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createActionToken,
+  consumeActionToken,
+};
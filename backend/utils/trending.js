@@ -0,0 +1,94 @@
+// Trending score helpers.
+// A post's score is its weighted engagement divided by a gravity term that
+// grows with age, so fresh engagement outweighs old engagement.
+
+const Post = require("../models/Post");
+
+// How much each kind of engagement counts towards the score
+const WEIGHTS = {
+  likes: 1,
+  comments: 2,
+  commentLikes: 0.5,
+  shares: 3,
+};
+
+// Higher gravity makes scores decay faster with age
+const GRAVITY = 1.5;
+
+// Only posts this recent are rescored by the scheduled job (longest timeFrame)
+const SCORING_WINDOW_DAYS = 31;
+
+// Count each kind of engagement on a post
+const getEngagement = (post) => {
+  const comments = Array.isArray(post.comments) ? post.comments : [];
+
+  return {
+    likes: Array.isArray(post.likes) ? post.likes.length : 0,
+    comments: comments.length,
+    commentLikes: comments.reduce(
+      (sum, comment) => sum + (comment.likes ? comment.likes.length : 0),
+      0
+    ),
+    shares: post.shareCount || 0,
+  };
+};
+
+// Compute the time-decayed trending score for a post
+const computeTrendingScore = (post, now = Date.now()) => {
+  const engagement = getEngagement(post);
+  const weighted = Object.keys(WEIGHTS).reduce(
+    (sum, key) => sum + engagement[key] * WEIGHTS[key],
+    0
+  );
+  const ageHours = Math.max(
+    (now - new Date(post.createdAt).getTime()) / 3600000,
+    0
+  );
+
+  // Kept unrounded: old posts have tiny scores that still need ordering
+  return weighted / Math.pow(ageHours + 2, GRAVITY);
+};
+
+// Update the stored score on a post document (caller saves it)
+const applyTrendingScore = (post) => {
+  post.trendingScore = computeTrendingScore(post);
+  post.trendingUpdatedAt = new Date();
+  return post;
+};
+
+// Rescore every post inside the scoring window so decay keeps up with time
+const refreshTrendingScores = async () => {
+  const since = new Date(Date.now() - SCORING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const now = Date.now();
+
+  const posts = await Post.find({ createdAt: { $gte: since } }).select(
+    "likes comments.likes shareCount createdAt"
+  );
+
+  if (posts.length === 0) {
+    return { success: true, updatedCount: 0 };
+  }
+
+  await Post.bulkWrite(
+    posts.map((post) => ({
+      updateOne: {
+        filter: { _id: post._id },
+        update: {
+          $set: {
+            trendingScore: computeTrendingScore(post, now),
+            trendingUpdatedAt: new Date(now),
+          },
+        },
+      },
+    }))
+  );
+
+  return { success: true, updatedCount: posts.length };
+};
+
+module.exports = {
+  getEngagement,
+  computeTrendingScore,
+  applyTrendingScore,
+  refreshTrendingScores,
+};
@@ -0,0 +1,81 @@
+// Two-factor checks on top of utils/totp.js: recovery codes and verifying
+// either kind of code for a user without letting it be used twice.
+
+const crypto = require("crypto");
+const User = require("../models/User");
+const { verifyTotp } = require("./totp");
+
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-f\d]/g, "");
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(normalizeRecoveryCode(code))
+    .digest("hex");
+
+// New single-use recovery codes, shown to the user once, and the hashes to
+// store in their place
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check an authenticator code or a recovery code for a user with two-factor
+// turned on, using it up. Codes can be checked against a secret still being
+// set up with { pending: true }.
+const verifySecondFactor = async (
+  userId,
+  { code, recoveryCode },
+  { pending = false } = {}
+) => {
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+  if (!user) return false;
+
+  const secret = pending ? user.twoFactor.pendingSecret : user.twoFactor.secret;
+
+  if (code) {
+    const step = verifyTotp(secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return false;
+
+    // Claim the step in the same update that checks it, so the same code
+    // can't get in twice at once
+    const claimed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $exists: false } },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return claimed.modifiedCount === 1;
+  }
+
+  if (recoveryCode && !pending) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const used = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return used.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
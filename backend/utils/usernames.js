@@ -0,0 +1,123 @@
+// Username change helpers.
+// A user can change their username once per cooldown period. The old name
+// stays reserved for them for a grace period, during which old profile links
+// redirect to the new name, and @mentions of it are rewritten so they keep
+// pointing at the same person.
+
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Message = require("../models/Message");
+
+// Letters, digits and underscores only, so @mentions can find the name
+const USERNAME_PATTERN = /^\w{3,20}$/;
+const USERNAME_CHANGE_COOLDOWN_DAYS = 30;
+const USERNAME_REDIRECT_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const graceStart = () => new Date(Date.now() - USERNAME_REDIRECT_DAYS * DAY_MS);
+
+// When the user may change their username again, or null if they may now
+const nextUsernameChangeAt = (user) => {
+  if (!user.usernameChangedAt) return null;
+
+  const next = new Date(
+    user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * DAY_MS
+  );
+  return next > new Date() ? next : null;
+};
+
+// Whether the username can be taken, by the user changing theirs or, without
+// a user, by a new account. Returns { available, reason }.
+const checkUsernameAvailability = async (username, user = null) => {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    return {
+      available: false,
+      reason:
+        "Usernames are 3 to 20 letters, numbers or underscores",
+    };
+  }
+
+  if (user && username === user.username) {
+    return { available: false, reason: "That's already your username" };
+  }
+
+  // Names others gave up recently still redirect to them
+  const taken = await User.exists({
+    ...(user && { _id: { $ne: user._id } }),
+    $or: [
+      { username },
+      {
+        previousUsernames: {
+          $elemMatch: { username, changedAt: { $gt: graceStart() } },
+        },
+      },
+    ],
+  });
+
+  return taken
+    ? { available: false, reason: "That username is taken" }
+    : { available: true };
+};
+
+// The user who went by the username until recently, if any
+const findUserByPreviousUsername = (username) =>
+  User.findOne({
+    previousUsernames: {
+      $elemMatch: { username, changedAt: { $gt: graceStart() } },
+    },
+  });
+
+const replaceMentions = (text, oldUsername, newUsername) =>
+  text.replace(
+    new RegExp(`@${escapeRegExp(oldUsername)}(?!\\w)`, "g"),
+    `@${newUsername}`
+  );
+
+// Point @mentions of the old username in captions and comments at the new
+// one, and update the name on posts shared into conversations
+const rewriteMentions = async (userId, oldUsername, newUsername) => {
+  const mention = new RegExp(`@${escapeRegExp(oldUsername)}(?!\\w)`);
+
+  const posts = await Post.find({
+    $or: [{ text: mention }, { "comments.text": mention }],
+  }).select("text comments._id comments.text");
+
+  for (const post of posts) {
+    const update = {};
+    if (mention.test(post.text)) {
+      update.text = replaceMentions(post.text, oldUsername, newUsername);
+    }
+
+    const arrayFilters = [];
+    post.comments.forEach((comment) => {
+      if (!mention.test(comment.text)) return;
+
+      const name = `c${arrayFilters.length}`;
+      update[`comments.$[${name}].text`] = replaceMentions(
+        comment.text,
+        oldUsername,
+        newUsername
+      );
+      arrayFilters.push({ [`${name}._id`]: comment._id });
+    });
+
+    await Post.updateOne({ _id: post._id }, { $set: update }, { arrayFilters });
+  }
+
+  await Message.updateMany(
+    { "sharedPost.user.id": userId },
+    { $set: { "sharedPost.user.username": newUsername } }
+  );
+};
+
+module.exports = {
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  USERNAME_REDIRECT_DAYS,
+  nextUsernameChangeAt,
+  checkUsernameAvailability,
+  findUserByPreviousUsername,
+  rewriteMentions,
+};
@@ -0,0 +1,78 @@
+// Profile visibility helpers.
+// settings.profileVisibility decides who can see a user's posts and lists:
+//   "public"    - everyone
+//   "followers" - only followers (anyone can follow)
+//   "private"   - only followers, and follows need the owner's approval
+// A private account is also left out of search for people who don't follow it.
+// Blocking hides a profile regardless of its visibility.
+
+const User = require("../models/User");
+const { isBlockedBetween, getSilencedUserIds } = require("./blocking");
+
+const RESTRICTED_VISIBILITIES = ["followers", "private"];
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const getVisibility = (user) =>
+  (user && user.settings && user.settings.profileVisibility) || "public";
+
+// Whether follows of this user go through a follow request
+const requiresFollowApproval = (user) => getVisibility(user) === "private";
+
+// Whether the viewer can see the owner's posts, followers and following
+const canViewProfile = (owner, viewer) => {
+  if (viewer && isBlockedBetween(owner, viewer)) return false;
+  if (!RESTRICTED_VISIBILITIES.includes(getVisibility(owner))) return true;
+  if (!viewer) return false;
+
+  const viewerId = idOf(viewer);
+  if (viewerId === idOf(owner) || viewer.role === "admin") return true;
+
+  return (owner.followers || []).some((id) => idOf(id) === viewerId);
+};
+
+// Ids of users whose posts are hidden from the viewer in feeds: restricted
+// profiles the viewer doesn't follow, and blocked or muted users
+const getHiddenUserIds = async (viewer) => {
+  const silencedUserIds = await getSilencedUserIds(viewer);
+  if (viewer.role === "admin") return silencedUserIds;
+
+  const restrictedUserIds = await User.find({
+    "settings.profileVisibility": { $in: RESTRICTED_VISIBILITIES },
+    _id: { $nin: [viewer._id, ...viewer.following] },
+  }).distinct("_id");
+
+  return [...restrictedUserIds, ...silencedUserIds];
+};
+
+// Restrict a post filter to authors the viewer is allowed to see
+const visiblePostsFilter = async (viewer, filter = {}) => {
+  const hiddenUserIds = await getHiddenUserIds(viewer);
+  if (hiddenUserIds.length === 0) return filter;
+
+  return { $and: [filter, { user: { $nin: hiddenUserIds } }] };
+};
+
+// Load a post's author and check the viewer can see the post
+const canViewPost = async (post, viewer) => {
+  const owner =
+    post.user && post.user.settings && post.user.blockedUsers
+      ? post.user
+      : await User.findById(idOf(post.user)).select(
+          "settings followers blockedUsers"
+        );
+
+  // Orphaned posts are treated as not found
+  if (!owner) return false;
+
+  return canViewProfile(owner, viewer);
+};
+
+module.exports = {
+  getVisibility,
+  requiresFollowApproval,
+  canViewProfile,
+  getHiddenUserIds,
+  visiblePostsFilter,
+  canViewPost,
+};
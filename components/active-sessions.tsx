@@ -0,0 +1,143 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Monitor, Smartphone } from "lucide-react";
+import type { AuthSession } from "@/lib/types";
+import { toast } from "@/hooks/use-toast";
+import axios from "axios";
+
+// A readable "Browser on OS" name for a session's user agent
+function describeDevice(userAgent: string) {
+  const browser = /Edg\//.test(userAgent)
+    ? "Edge"
+    : /Firefox\//.test(userAgent)
+    ? "Firefox"
+    : /Chrome\//.test(userAgent)
+    ? "Chrome"
+    : /Safari\//.test(userAgent)
+    ? "Safari"
+    : "Unknown browser";
+  const os = /Windows/.test(userAgent)
+    ? "Windows"
+    : /iPhone|iPad/.test(userAgent)
+    ? "iOS"
+    : /Android/.test(userAgent)
+    ? "Android"
+    : /Mac OS X/.test(userAgent)
+    ? "macOS"
+    : /Linux/.test(userAgent)
+    ? "Linux"
+    : "unknown device";
+
+  return `${browser} on ${os}`;
+}
+
+// The devices the user is signed in on, each of which can be signed out
+export function ActiveSessions() {
+  const [sessions, setSessions] = useState<AuthSession[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = async () => {
+    try {
+      const { data } = await axios.get("/api/auth/sessions");
+      setSessions(data.data);
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session: AuthSession) => {
+    try {
+      await axios.delete(`/api/auth/sessions/${session.id}`);
+      if (session.current) {
+        window.location.href = "/";
+        return;
+      }
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (error) {
+      console.error("Error signing out session:", error);
+      toast({
+        title: "Error",
+        description: "Failed to sign out that device. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const { data } = await axios.delete("/api/auth/sessions");
+      setSessions((prev) => prev.filter((s) => s.current));
+      toast({
+        title: "Success",
+        description: `Signed out of ${data.data.revoked} other ${
+          data.data.revoked === 1 ? "device" : "devices"
+        }`,
+      });
+    } catch (error) {
+      console.error("Error signing out other sessions:", error);
+      toast({
+        title: "Error",
+        description: "Failed to sign out other devices. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="space-y-4 border-b pb-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium">Where You're Signed In</h3>
+        {sessions.length > 1 && (
+          <Button variant="outline" size="sm" onClick={handleRevokeOthers}>
+            Sign out other devices
+          </Button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="text-sm text-muted-foreground">Loading...</div>
+      ) : (
+        sessions.map((session) => (
+          <div key={session.id} className="flex items-center gap-3">
+            {/Mobile|Android|iPhone/.test(session.userAgent) ? (
+              <Smartphone className="h-5 w-5 text-muted-foreground" />
+            ) : (
+              <Monitor className="h-5 w-5 text-muted-foreground" />
+            )}
+            <div className="flex-1">
+              <div className="flex items-center gap-2 text-sm font-medium">
+                {describeDevice(session.userAgent)}
+                {session.current && (
+                  <Badge variant="secondary">This device</Badge>
+                )}
+              </div>
+              <div className="text-xs text-muted-foreground">
+                {session.ip && `${session.ip} · `}Active{" "}
+                {formatDistanceToNow(new Date(session.lastUsedAt), {
+                  addSuffix: true,
+                })}
+              </div>
+            </div>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => handleRevoke(session)}
+            >
+              Sign out
+            </Button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
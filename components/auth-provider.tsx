@@ -2,7 +2,7 @@
 
 import type React from "react"
 
-import { createContext, useContext, useState, useEffect } from "react"
+import { createContext, useContext, useState, useEffect, useRef } from "react"
 import type { User } from "@/lib/types"
 import axios from "axios"
 
@@ -10,9 +10,65 @@ import axios from "axios"
 axios.defaults.baseURL = "http://localhost:5001"
 axios.defaults.withCredentials = true
 
+// Access tokens are short-lived. Refresh the session once any request is
+// turned away and retry it, sharing one refresh between parallel requests.
+let refreshRequest: Promise<unknown> | null = null
+
+const refreshSession = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post("/api/auth/refresh").finally(() => {
+      refreshRequest = null
+    })
+  }
+  return refreshRequest
+}
+
+axios.interceptors.response.use(undefined, async (error) => {
+  const request = error.config
+  const isAuthRequest = /\/api\/auth\/(refresh|login|signup|logout)/.test(request?.url || "")
+
+  if (error.response?.status !== 401 || !request || request._retried || isAuthRequest) {
+    throw error
+  }
+
+  request._retried = true
+  try {
+    await refreshSession()
+  } catch {
+    throw error
+  }
+  return axios(request)
+})
+
+// Refresh a little before the access token runs out, so sockets reconnecting
+// with the cookie find a valid token
+const SESSION_REFRESH_INTERVAL = 10 * 60 * 1000
+
+// The signed-in user as the API returns it
+const toUser = (data: any): User => ({
+  id: data._id,
+  username: data.username,
+  profilePicture: data.profilePicture,
+  email: data.email,
+  bio: data.bio,
+  role: data.role,
+  emailVerified: data.emailVerified,
+  pendingEmail: data.pendingEmail,
+  usernameChangedAt: data.usernameChangedAt,
+  twoFactorEnabled: data.twoFactor?.enabled,
+})
+
+// "twoFactorRequired" means the password was right and verifyTwoFactor has
+// to be called with a code to finish logging in. "throttled" means there were
+// too many failed attempts and the user has to wait.
+export type LoginResult = "success" | "twoFactorRequired" | "throttled" | "failed"
+
 type AuthContextType = {
   user: User | null
-  login: (username: string, password: string) => Promise<boolean>
+  // identifier is a username or an email address
+  login: (identifier: string, password: string) => Promise<LoginResult>
+  verifyTwoFactor: (code: { code?: string; recoveryCode?: string }) => Promise<boolean>
+  reloadUser: () => Promise<void>
   signup: (username: string, email: string, password: string) => Promise<boolean>
   adminSignup: (username: string, email: string, password: string, adminToken: string) => Promise<boolean>
   logout: () => void
@@ -25,6 +81,7 @@ const AuthContext = createContext<AuthContextType | undefined>(undefined)
 export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [user, setUser] = useState<User | null>(null)
   const [isLoading, setIsLoading] = useState(true)
+  const twoFactorChallenge = useRef<string | null>(null)
 
   useEffect(() => {
     // Check if user is logged in
@@ -38,14 +95,7 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       try {
         const { data } = await axios.get("/api/auth/me")
         if (data.success) {
-          setUser({
-            id: data.data._id,
-            username: data.data.username,
-            profilePicture: data.data.profilePicture,
-            email: data.data.email,
-            bio: data.data.bio,
-            role: data.data.role,
-          })
+          setUser(toUser(data.data))
         }
       } catch (error) {
         console.error("Authentication error:", error)
@@ -58,31 +108,70 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     checkAuth()
   }, [])
 
-  const login = async (username: string, password: string) => {
+  // Keep the access token fresh while signed in
+  useEffect(() => {
+    if (!user) return
+
+    const intervalId = setInterval(() => {
+      refreshSession().catch((error) => console.error("Session refresh error:", error))
+    }, SESSION_REFRESH_INTERVAL)
+
+    return () => clearInterval(intervalId)
+  }, [user?.id])
+
+  const login = async (identifier: string, password: string): Promise<LoginResult> => {
     setIsLoading(true)
     try {
       const { data } = await axios.post("/api/auth/login", {
-        username,
+        identifier,
         password,
       })
 
+      if (data.success && data.twoFactorRequired) {
+        twoFactorChallenge.current = data.challengeToken
+        return "twoFactorRequired"
+      }
       if (data.success) {
-        setUser({
-          id: data.data._id,
-          username: data.data.username,
-          profilePicture: data.data.profilePicture,
-          email: data.data.email,
-          bio: data.data.bio,
-          role: data.data.role,
-        })
+        setUser(toUser(data.data))
+        return "success"
+      }
+      return "failed"
+    } catch (error: any) {
+      console.error("Login error:", error)
+      return error.response?.status === 429 ? "throttled" : "failed"
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const verifyTwoFactor = async (code: { code?: string; recoveryCode?: string }) => {
+    try {
+      const { data } = await axios.post("/api/auth/2fa/verify", {
+        challengeToken: twoFactorChallenge.current,
+        ...code,
+      })
+
+      if (data.success) {
+        twoFactorChallenge.current = null
+        setUser(toUser(data.data))
         return true
       }
       return false
     } catch (error) {
-      console.error("Login error:", error)
+      console.error("Two-factor verification error:", error)
       return false
-    } finally {
-      setIsLoading(false)
+    }
+  }
+
+  // Load the signed-in user again, e.g. after changing security settings
+  const reloadUser = async () => {
+    try {
+      const { data } = await axios.get("/api/auth/me")
+      if (data.success) {
+        setUser(toUser(data.data))
+      }
+    } catch (error) {
+      console.error("Reload user error:", error)
     }
   }
 
@@ -96,14 +185,7 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       })
 
       if (data.success) {
-        setUser({
-          id: data.data._id,
-          username: data.data.username,
-          profilePicture: data.data.profilePicture,
-          email: data.data.email,
-          bio: data.data.bio,
-          role: data.data.role,
-        })
+        setUser(toUser(data.data))
         return true
       }
       return false
@@ -126,14 +208,7 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       })
 
       if (data.success) {
-        setUser({
-          id: data.data._id,
-          username: data.data.username,
-          profilePicture: data.data.profilePicture,
-          email: data.data.email,
-          bio: data.data.bio,
-          role: data.data.role,
-        })
+        setUser(toUser(data.data))
         return true
       }
       return false
@@ -171,7 +246,9 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
   }
 
   return (
-    <AuthContext.Provider value={{ user, login, signup, adminSignup, logout, isLoading, updateUser }}>
+    <AuthContext.Provider
+      value={{ user, login, verifyTwoFactor, reloadUser, signup, adminSignup, logout, isLoading, updateUser }}
+    >
       {children}
     </AuthContext.Provider>
   )
@@ -0,0 +1,115 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import type { ListedUser } from "@/lib/types";
+import { toast } from "@/hooks/use-toast";
+import axios from "axios";
+
+type ListType = "blocked" | "muted";
+
+const LISTS: Record<
+  ListType,
+  { title: string; description: string; action: string; empty: string }
+> = {
+  blocked: {
+    title: "Blocked Users",
+    description: "They can't message, follow, tag or find you",
+    action: "block",
+    empty: "You haven't blocked anyone",
+  },
+  muted: {
+    title: "Muted Users",
+    description: "Their memes and notifications are hidden from you",
+    action: "mute",
+    empty: "You haven't muted anyone",
+  },
+};
+
+// The users the current user has blocked or muted, with a way to undo it
+export function BlockedUsers() {
+  const [users, setUsers] = useState<Record<ListType, ListedUser[]>>({
+    blocked: [],
+    muted: [],
+  });
+
+  useEffect(() => {
+    const fetchLists = async () => {
+      try {
+        const [blocked, muted] = await Promise.all([
+          axios.get("/api/users/blocked"),
+          axios.get("/api/users/muted"),
+        ]);
+        setUsers({ blocked: blocked.data.data, muted: muted.data.data });
+      } catch (error) {
+        console.error("Error fetching blocked and muted users:", error);
+      }
+    };
+
+    fetchLists();
+  }, []);
+
+  // Blocking or muting again undoes it
+  const handleUndo = async (type: ListType, listedUser: ListedUser) => {
+    try {
+      await axios.put(
+        `/api/users/${listedUser.username}/${LISTS[type].action}`
+      );
+      setUsers((prev) => ({
+        ...prev,
+        [type]: prev[type].filter((u) => u.id !== listedUser.id),
+      }));
+    } catch (error) {
+      console.error(`Error updating ${type} users:`, error);
+      toast({
+        title: "Error",
+        description: "Something went wrong. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <>
+      {(Object.keys(LISTS) as ListType[]).map((type) => (
+        <div key={type} className="space-y-2">
+          <div className="space-y-0.5">
+            <Label>{LISTS[type].title}</Label>
+            <div className="text-sm text-muted-foreground">
+              {LISTS[type].description}
+            </div>
+          </div>
+          {users[type].length === 0 ? (
+            <div className="text-sm text-muted-foreground">
+              {LISTS[type].empty}
+            </div>
+          ) : (
+            users[type].map((listedUser) => (
+              <div key={listedUser.id} className="flex items-center gap-2">
+                <Avatar className="h-8 w-8">
+                  <AvatarImage
+                    src={listedUser.profilePicture}
+                    alt={listedUser.username}
+                  />
+                  <AvatarFallback>
+                    {listedUser.username.charAt(0).toUpperCase()}
+                  </AvatarFallback>
+                </Avatar>
+                <span className="flex-1 text-sm">@{listedUser.username}</span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleUndo(type, listedUser)}
+                >
+                  {type === "blocked" ? "Unblock" : "Unmute"}
+                </Button>
+              </div>
+            ))
+          )}
+        </div>
+      ))}
+    </>
+  );
+}
@@ -1,9 +1,10 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import type { Post as PostType } from "@/lib/types";
 import { Post } from "@/components/post";
 import axios from "axios";
+import { useInfiniteScroll } from "@/hooks/use-infinite-scroll";
 
 interface CategoryPageProps {
   category: string;
@@ -13,6 +14,8 @@ export function CategoryPage({ category }: CategoryPageProps) {
   const [posts, setPosts] = useState<PostType[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   useEffect(() => {
     const fetchCategoryPosts = async () => {
@@ -21,6 +24,7 @@ export function CategoryPage({ category }: CategoryPageProps) {
         const { data } = await axios.get(`/api/posts/category/${category}`);
         if (data.success) {
           setPosts(data.data || []);
+          setNextCursor(data.nextCursor || null);
         }
       } catch (error) {
         console.error(`Error fetching ${category} posts:`, error);
@@ -33,6 +37,31 @@ export function CategoryPage({ category }: CategoryPageProps) {
     fetchCategoryPosts();
   }, [category]);
 
+  // Load the next page when the user scrolls to the bottom of the list
+  const loadMorePosts = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const { data } = await axios.get(`/api/posts/category/${category}`, {
+        params: { cursor: nextCursor },
+      });
+      if (data.success) {
+        setPosts((currentPosts) => [...currentPosts, ...(data.data || [])]);
+        setNextCursor(data.nextCursor || null);
+      }
+    } catch (error) {
+      console.error(`Error fetching more ${category} posts:`, error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [category, nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(
+    loadMorePosts,
+    !!nextCursor && !loadingMore
+  );
+
   const handleDeletePost = async (postId: string) => {
     try {
       await axios.delete(`/api/posts/${postId}`);
@@ -171,6 +200,12 @@ export function CategoryPage({ category }: CategoryPageProps) {
               onComment={handleAddComment}
             />
           ))}
+          <div ref={sentinelRef} />
+          {loadingMore && (
+            <div className="flex justify-center py-6">
+              <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -8,7 +8,7 @@ import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
 import { Card, CardContent, CardFooter } from "@/components/ui/card";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
-import { ImageIcon, X, AlertCircle, UserPlus } from "lucide-react";
+import { ImageIcon, X, AlertCircle, UserPlus, Mail } from "lucide-react";
 import { useAuth } from "@/components/auth-provider";
 import type { Post } from "@/lib/types";
 import { Alert, AlertDescription } from "@/components/ui/alert";
@@ -54,14 +54,25 @@ const categories = [
   { name: "Other", value: "other" },
 ];
 
+// Content ratings, used by viewers' content filters
+const contentRatings = [
+  { name: "General", value: "general" },
+  { name: "Sensitive", value: "sensitive" },
+  { name: "Mature", value: "mature" },
+];
+
 export function CreatePost({ onPostCreated }: CreatePostProps) {
   const { user } = useAuth();
   const [caption, setCaption] = useState("");
   const [image, setImage] = useState<string | null>(null);
   const [isCreating, setIsCreating] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [verificationNotice, setVerificationNotice] = useState<string | null>(
+    null
+  );
   const fileInputRef = useRef<HTMLInputElement>(null);
   const [category, setCategory] = useState<string | null>(null);
+  const [contentRating, setContentRating] = useState("general");
   const [textPosition, setTextPosition] = useState<"top" | "bottom">("top");
   const [captionPlacement, setCaptionPlacement] = useState<
     "on-image" | "whitespace"
@@ -204,6 +215,7 @@ export function CreatePost({ onPostCreated }: CreatePostProps) {
         text: caption,
         image: imageUrl,
         category: category || undefined,
+        contentRating,
         memeTexts: captionPlacement === "on-image" ? [memeText] : undefined,
         captionPlacement: captionPlacement,
         taggedUsers: taggedUsers.map((user) => user.id),
@@ -216,19 +228,69 @@ export function CreatePost({ onPostCreated }: CreatePostProps) {
         setCaption("");
         setImage(null);
         setCategory(null);
+        setContentRating("general");
         setTaggedUsers([]);
         if (fileInputRef.current) {
           fileInputRef.current.value = "";
         }
       }
-    } catch (error) {
+    } catch (error: any) {
       console.error("Error creating post:", error);
-      setError("Failed to create post. Please try again.");
+      setError(
+        error.response?.data?.message ||
+          "Failed to create post. Please try again."
+      );
     } finally {
       setIsCreating(false);
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const { data } = await axios.post("/api/auth/verify-email/resend");
+      setVerificationNotice(data.message);
+    } catch (error: any) {
+      console.error("Error resending verification email:", error);
+      setVerificationNotice(
+        error.response?.data?.message ||
+          "Failed to send the verification email. Please try again."
+      );
+    }
+  };
+
+  // New accounts can post once they've confirmed their email
+  if (user?.emailVerified === false) {
+    return (
+      <Card>
+        <CardContent className="pt-4">
+          <Alert>
+            <Mail className="h-4 w-4" />
+            <AlertDescription>
+              <p>
+                Verify your email to start posting memes. We sent a link to{" "}
+                {user.email}.
+              </p>
+              {verificationNotice ? (
+                <p className="mt-2 text-muted-foreground">
+                  {verificationNotice}
+                </p>
+              ) : (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="mt-2"
+                  onClick={handleResendVerification}
+                >
+                  Resend link
+                </Button>
+              )}
+            </AlertDescription>
+          </Alert>
+        </CardContent>
+      </Card>
+    );
+  }
+
   return (
     <Card>
       <CardContent className="pt-4">
@@ -427,6 +489,26 @@ export function CreatePost({ onPostCreated }: CreatePostProps) {
                       </SelectContent>
                     </Select>
                   </div>
+
+                  {/* Content rating selection */}
+                  <div className="mt-4">
+                    <Label htmlFor="content-rating">Content rating</Label>
+                    <Select
+                      value={contentRating}
+                      onValueChange={setContentRating}
+                    >
+                      <SelectTrigger id="content-rating">
+                        <SelectValue placeholder="Select a content rating" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {contentRatings.map((rating) => (
+                          <SelectItem key={rating.value} value={rating.value}>
+                            {rating.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
                 </div>
 
                 {error && (
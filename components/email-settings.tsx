@@ -0,0 +1,77 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useAuth } from "@/components/auth-provider";
+import { toast } from "@/hooks/use-toast";
+import axios from "axios";
+
+// Changing the email address. The new one has to be confirmed from a link
+// sent to it before it's used.
+export function EmailSettings() {
+  const { user, reloadUser } = useAuth();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+    try {
+      const { data } = await axios.put("/api/users/me/email", {
+        email,
+        password,
+      });
+      setEmail("");
+      setPassword("");
+      await reloadUser();
+      toast({ title: "Check your inbox", description: data.message });
+    } catch (error: any) {
+      console.error("Error changing email:", error);
+      setError(
+        error.response?.data?.message || "Something went wrong. Please try again."
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <Label htmlFor="email">Email</Label>
+      <div className="text-sm text-muted-foreground">
+        {user?.email}
+        {user?.pendingEmail && (
+          <> · waiting for you to confirm {user.pendingEmail}</>
+        )}
+      </div>
+      <Input
+        id="email"
+        type="email"
+        placeholder="New email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        required
+      />
+      <Input
+        id="email-password"
+        type="password"
+        placeholder="Current password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="current-password"
+        required
+      />
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      <div className="flex justify-end">
+        <Button type="submit" variant="outline" disabled={isSubmitting}>
+          {isSubmitting ? "Sending..." : "Change Email"}
+        </Button>
+      </div>
+    </form>
+  );
+}
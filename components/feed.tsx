@@ -1,15 +1,18 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import type { Post as PostType } from "@/lib/types";
 import { Post } from "@/components/post";
 import { CreatePost } from "@/components/create-post";
 import axios from "axios";
+import { useInfiniteScroll } from "@/hooks/use-infinite-scroll";
 
 export function Feed() {
   const [posts, setPosts] = useState<PostType[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   useEffect(() => {
     const fetchPosts = async () => {
@@ -18,6 +21,7 @@ export function Feed() {
         const { data } = await axios.get("/api/posts");
         if (data.success) {
           setPosts(data.data || []);
+          setNextCursor(data.nextCursor || null);
         }
       } catch (error) {
         console.error("Error fetching posts:", error);
@@ -30,6 +34,31 @@ export function Feed() {
     fetchPosts();
   }, []);
 
+  // Load the next page when the user scrolls to the bottom of the feed
+  const loadMorePosts = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const { data } = await axios.get("/api/posts", {
+        params: { cursor: nextCursor },
+      });
+      if (data.success) {
+        setPosts((currentPosts) => [...currentPosts, ...(data.data || [])]);
+        setNextCursor(data.nextCursor || null);
+      }
+    } catch (error) {
+      console.error("Error fetching more posts:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(
+    loadMorePosts,
+    !!nextCursor && !loadingMore
+  );
+
   const handleAddPost = (newPost: PostType) => {
     setPosts([newPost, ...posts]);
   };
@@ -169,6 +198,12 @@ export function Feed() {
               />
             </div>
           ))}
+          <div ref={sentinelRef} />
+          {loadingMore && (
+            <div className="flex justify-center py-6">
+              <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+            </div>
+          )}
         </div>
       )}
     </div>
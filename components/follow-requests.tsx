@@ -0,0 +1,77 @@
+"use client";
+
+import { formatDistanceToNow } from "date-fns";
+import Link from "next/link";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import type { FollowRequest } from "@/lib/types";
+
+interface FollowRequestsProps {
+  requests: FollowRequest[];
+  onAccept: (requestId: string) => void;
+  onDecline: (requestId: string) => void;
+}
+
+export function FollowRequests({
+  requests,
+  onAccept,
+  onDecline,
+}: FollowRequestsProps) {
+  if (requests.length === 0) return null;
+
+  return (
+    <Card className="mb-4">
+      <CardContent className="p-0">
+        <h2 className="px-4 pt-4 text-sm font-semibold">
+          Follow requests ({requests.length})
+        </h2>
+        <div className="divide-y">
+          {requests.map((request) => (
+            <div key={request.id} className="flex items-center gap-3 p-4">
+              <Link href={`/profile/${request.user.username}`}>
+                <Avatar className="h-10 w-10">
+                  <AvatarImage
+                    src={request.user.profilePicture}
+                    alt={request.user.username}
+                  />
+                  <AvatarFallback>
+                    {request.user.username.charAt(0).toUpperCase()}
+                  </AvatarFallback>
+                </Avatar>
+              </Link>
+              <div className="flex-1 min-w-0">
+                <Link
+                  href={`/profile/${request.user.username}`}
+                  className="font-semibold hover:underline"
+                >
+                  {request.user.username}
+                </Link>
+                <div className="text-xs text-muted-foreground">
+                  {formatDistanceToNow(new Date(request.createdAt), {
+                    addSuffix: true,
+                  })}
+                </div>
+              </div>
+              <Button
+                size="sm"
+                onClick={() => onAccept(request.id)}
+                className="rounded-full"
+              >
+                Accept
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => onDecline(request.id)}
+                className="rounded-full"
+              >
+                Decline
+              </Button>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,79 @@
+"use client"
+
+import type React from "react"
+
+import { useState } from "react"
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Card, CardContent, CardDescription, CardFooter, CardHeader } from "@/components/ui/card"
+import { LaughIcon } from "lucide-react"
+import axios from "axios"
+
+export function ForgotPasswordForm() {
+  const [email, setEmail] = useState("")
+  const [isLoading, setIsLoading] = useState(false)
+  const [message, setMessage] = useState("")
+  const [error, setError] = useState("")
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsLoading(true)
+    setError("")
+
+    try {
+      const { data } = await axios.post("/api/auth/forgot-password", { email })
+      setMessage(data.message)
+    } catch (error: any) {
+      console.error("Forgot password error:", error)
+      setError(error.response?.data?.message || "Something went wrong. Please try again.")
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Card className="w-full max-w-md shadow-lg animate-fade-in">
+      <CardHeader className="space-y-2 text-center">
+        <div className="flex justify-center">
+          <div className="flex items-center gap-2 text-2xl font-bold">
+            <LaughIcon className="h-8 w-8 text-primary" />
+            ChuckleChain
+          </div>
+        </div>
+        <CardDescription>Enter your email and we'll send you a link to reset your password</CardDescription>
+      </CardHeader>
+      <form onSubmit={handleSubmit}>
+        <CardContent className="space-y-4">
+          {message ? (
+            <p className="text-sm text-muted-foreground">{message}</p>
+          ) : (
+            <div className="space-y-2">
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                type="email"
+                placeholder="Enter your email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+          )}
+          {error && <p className="text-sm text-destructive">{error}</p>}
+        </CardContent>
+        <CardFooter className="flex flex-col gap-2">
+          {!message && (
+            <Button type="submit" className="w-full" disabled={isLoading}>
+              {isLoading ? "Sending..." : "Send reset link"}
+            </Button>
+          )}
+          <Link href="/" className="text-sm text-primary hover:underline">
+            Back to login
+          </Link>
+        </CardFooter>
+      </form>
+    </Card>
+  )
+}
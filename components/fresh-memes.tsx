@@ -1,14 +1,17 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import type { Post as PostType } from "@/lib/types";
 import { Post } from "@/components/post";
 import axios from "axios";
+import { useInfiniteScroll } from "@/hooks/use-infinite-scroll";
 
 export function FreshMemes() {
   const [posts, setPosts] = useState<PostType[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   useEffect(() => {
     const fetchFreshPosts = async () => {
@@ -17,6 +20,7 @@ export function FreshMemes() {
         const { data } = await axios.get("/api/posts/fresh");
         if (data.success) {
           setPosts(data.data || []);
+          setNextCursor(data.nextCursor || null);
         }
       } catch (error) {
         console.error("Error fetching fresh posts:", error);
@@ -29,6 +33,31 @@ export function FreshMemes() {
     fetchFreshPosts();
   }, []);
 
+  // Load the next page when the user scrolls to the bottom of the list
+  const loadMorePosts = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const { data } = await axios.get("/api/posts/fresh", {
+        params: { cursor: nextCursor },
+      });
+      if (data.success) {
+        setPosts((currentPosts) => [...currentPosts, ...(data.data || [])]);
+        setNextCursor(data.nextCursor || null);
+      }
+    } catch (error) {
+      console.error("Error fetching more fresh posts:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(
+    loadMorePosts,
+    !!nextCursor && !loadingMore
+  );
+
   const handleDeletePost = async (postId: string) => {
     try {
       await axios.delete(`/api/posts/${postId}`);
@@ -161,6 +190,12 @@ export function FreshMemes() {
               onComment={handleAddComment}
             />
           ))}
+          <div ref={sentinelRef} />
+          {loadingMore && (
+            <div className="flex justify-center py-6">
+              <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+            </div>
+          )}
         </div>
       )}
     </div>
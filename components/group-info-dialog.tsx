@@ -0,0 +1,278 @@
+"use client";
+
+import type React from "react";
+import { useEffect, useRef, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Camera, LogOut, MoreVertical, Shield, UserMinus } from "lucide-react";
+import { UserPicker, type PickedUser } from "@/components/user-picker";
+import { useAuth } from "@/components/auth-provider";
+import type { Conversation } from "@/lib/types";
+import { toast } from "@/hooks/use-toast";
+import axios from "axios";
+
+interface GroupInfoDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  conversation: Conversation;
+  onUpdated: (update: Partial<Conversation>) => void;
+  onLeft: (conversationId: string) => void;
+}
+
+export function GroupInfoDialog({
+  open,
+  onOpenChange,
+  conversation,
+  onUpdated,
+  onLeft,
+}: GroupInfoDialogProps) {
+  const { user } = useAuth();
+  const [name, setName] = useState(conversation.name || "");
+  const [newMembers, setNewMembers] = useState<PickedUser[]>([]);
+  const [saving, setSaving] = useState(false);
+  const avatarInputRef = useRef<HTMLInputElement>(null);
+
+  const members = conversation.members || [];
+  const isAdmin = (conversation.admins || []).includes(user?.id || "");
+
+  useEffect(() => {
+    setName(conversation.name || "");
+  }, [conversation.name]);
+
+  // Run a group change, then pass the updated group details on
+  const runUpdate = async (request: () => Promise<any>, failure: string) => {
+    try {
+      setSaving(true);
+      const { data } = await request();
+      onUpdated(data.data);
+      return true;
+    } catch (error: any) {
+      console.error("Error updating group:", error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || failure,
+        variant: "destructive",
+      });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const groupUrl = `/api/messages/groups/${conversation.id}`;
+
+  const handleRename = () =>
+    runUpdate(
+      () => axios.put(groupUrl, { name: name.trim() }),
+      "Failed to rename group."
+    );
+
+  const handleAvatarChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () =>
+      runUpdate(async () => {
+        const upload = await axios.post("/api/upload", {
+          image: reader.result,
+          isProfilePicture: true,
+        });
+        return axios.put(groupUrl, { avatar: upload.data.data.url });
+      }, "Failed to change the group photo.");
+    reader.readAsDataURL(file);
+  };
+
+  const handleAddMembers = async () => {
+    const added = await runUpdate(
+      () =>
+        axios.post(`${groupUrl}/members`, {
+          memberIds: newMembers.map((member) => member.id),
+        }),
+      "Failed to add members."
+    );
+    if (added) setNewMembers([]);
+  };
+
+  const handleRemoveMember = (memberId: string) =>
+    runUpdate(
+      () => axios.delete(`${groupUrl}/members/${memberId}`),
+      "Failed to remove member."
+    );
+
+  const handleToggleAdmin = (memberId: string, makeAdmin: boolean) =>
+    runUpdate(
+      () =>
+        makeAdmin
+          ? axios.put(`${groupUrl}/admins/${memberId}`)
+          : axios.delete(`${groupUrl}/admins/${memberId}`),
+      "Failed to change admin rights."
+    );
+
+  const handleLeave = async () => {
+    try {
+      await axios.post(`${groupUrl}/leave`);
+      onOpenChange(false);
+      onLeft(conversation.id);
+    } catch (error: any) {
+      console.error("Error leaving group:", error);
+      toast({
+        title: "Error",
+        description:
+          error.response?.data?.message || "Failed to leave group.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Group info</DialogTitle>
+          <DialogDescription>
+            {members.length} {members.length === 1 ? "member" : "members"}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-center gap-3">
+          <div className="relative">
+            <Avatar className="h-16 w-16">
+              <AvatarImage
+                src={conversation.avatar || undefined}
+                alt={conversation.name}
+              />
+              <AvatarFallback>
+                {(conversation.name || "G").charAt(0).toUpperCase()}
+              </AvatarFallback>
+            </Avatar>
+            {isAdmin && (
+              <>
+                <Button
+                  type="button"
+                  size="icon"
+                  variant="secondary"
+                  className="absolute -bottom-1 -right-1 h-7 w-7 rounded-full"
+                  onClick={() => avatarInputRef.current?.click()}
+                  disabled={saving}
+                >
+                  <Camera className="h-3 w-3" />
+                </Button>
+                <input
+                  type="file"
+                  accept="image/*"
+                  ref={avatarInputRef}
+                  onChange={handleAvatarChange}
+                  className="hidden"
+                />
+              </>
+            )}
+          </div>
+
+          {isAdmin ? (
+            <div className="flex flex-1 gap-2">
+              <Input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={50}
+              />
+              <Button
+                onClick={handleRename}
+                disabled={
+                  !name.trim() || name.trim() === conversation.name || saving
+                }
+              >
+                Save
+              </Button>
+            </div>
+          ) : (
+            <div className="text-lg font-medium">{conversation.name}</div>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label>Members</Label>
+          {members.map((member) => (
+            <div key={member.id} className="flex items-center gap-2">
+              <Avatar className="h-8 w-8">
+                <AvatarImage src={member.profilePicture} alt={member.username} />
+                <AvatarFallback>
+                  {member.username.charAt(0).toUpperCase()}
+                </AvatarFallback>
+              </Avatar>
+              <span className="flex-1 text-sm">
+                @{member.username}
+                {member.id === user?.id && " (you)"}
+              </span>
+              {member.isAdmin && <Badge variant="secondary">Admin</Badge>}
+              {isAdmin && member.id !== user?.id && (
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button variant="ghost" size="icon" className="h-7 w-7">
+                      <MoreVertical className="h-4 w-4" />
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="end">
+                    <DropdownMenuItem
+                      onClick={() =>
+                        handleToggleAdmin(member.id, !member.isAdmin)
+                      }
+                    >
+                      <Shield className="mr-2 h-4 w-4" />
+                      {member.isAdmin ? "Remove admin" : "Make admin"}
+                    </DropdownMenuItem>
+                    <DropdownMenuItem
+                      onClick={() => handleRemoveMember(member.id)}
+                      className="text-red-500"
+                    >
+                      <UserMinus className="mr-2 h-4 w-4" />
+                      Remove from group
+                    </DropdownMenuItem>
+                  </DropdownMenuContent>
+                </DropdownMenu>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {isAdmin && (
+          <div className="space-y-2">
+            <Label>Add members</Label>
+            <UserPicker
+              selected={newMembers}
+              onChange={setNewMembers}
+              excludeIds={members.map((member) => member.id)}
+            />
+            {newMembers.length > 0 && (
+              <Button onClick={handleAddMembers} disabled={saving}>
+                Add {newMembers.length}{" "}
+                {newMembers.length === 1 ? "member" : "members"}
+              </Button>
+            )}
+          </div>
+        )}
+
+        <Button variant="destructive" onClick={handleLeave}>
+          <LogOut className="mr-2 h-4 w-4" />
+          Leave group
+        </Button>
+      </DialogContent>
+    </Dialog>
+  );
+}
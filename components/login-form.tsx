@@ -11,6 +11,7 @@ import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Card, CardContent, CardDescription, CardFooter, CardHeader } from "@/components/ui/card"
 import { useAuth } from "@/components/auth-provider"
+import { TwoFactorChallenge } from "@/components/two-factor-challenge"
 import { LaughIcon } from "lucide-react"
 
 export function LoginForm() {
@@ -18,6 +19,7 @@ export function LoginForm() {
   const { login, signup } = useAuth()
   const [isLoading, setIsLoading] = useState(false)
   const [isClient, setIsClient] = useState(false)
+  const [needsTwoFactor, setNeedsTwoFactor] = useState(false)
 
   useEffect(() => {
     setIsClient(true)
@@ -45,11 +47,15 @@ export function LoginForm() {
     setIsLoading(true)
 
     try {
-      const success = await login(loginData.username, loginData.password)
-      if (success) {
+      const result = await login(loginData.username, loginData.password)
+      if (result === "success") {
         router.push("/feed")
+      } else if (result === "twoFactorRequired") {
+        setNeedsTwoFactor(true)
+      } else if (result === "throttled") {
+        setErrors({ login: "Too many failed attempts. Please wait a few minutes and try again." })
       } else {
-        setErrors({ login: "Invalid username or password" })
+        setErrors({ login: "Invalid username, email or password" })
       }
     } catch (error) {
       console.error("Login error:", error)
@@ -101,47 +107,60 @@ export function LoginForm() {
           <TabsTrigger value="signup">Sign Up</TabsTrigger>
         </TabsList>
         <TabsContent value="login">
-          <form onSubmit={handleLoginSubmit}>
-            <CardContent className="space-y-4 pt-4">
-              <div className="space-y-2">
-                <Label htmlFor="username">Username</Label>
-                <Input
-                  id="username"
-                  placeholder="Enter your username"
-                  value={loginData.username}
-                  onChange={(e) => setLoginData({ ...loginData, username: e.target.value })}
-                  required
-                  className="transition-all duration-300 focus:scale-102"
-                />
-              </div>
-              <div className="space-y-2">
-                <div className="flex items-center justify-between">
-                  <Label htmlFor="password">Password</Label>
-                  <Link href="#" className="text-xs text-primary hover:underline">
-                    Forgot password?
-                  </Link>
-                </div>
-                <Input
-                  id="password"
-                  type="password"
-                  placeholder="Enter your password"
-                  value={loginData.password}
-                  onChange={(e) => setLoginData({ ...loginData, password: e.target.value })}
-                  required
-                  className="transition-all duration-300 focus:scale-102"
-                />
-              </div>
-              {errors.login && <p className="text-sm text-destructive">{errors.login}</p>}
+          {needsTwoFactor ? (
+            <CardContent className="pt-4">
+              <TwoFactorChallenge
+                onVerified={() => router.push("/feed")}
+                onCancel={() => {
+                  setNeedsTwoFactor(false)
+                  setLoginData({ ...loginData, password: "" })
+                }}
+              />
             </CardContent>
-            <CardFooter>
-              <Button type="submit" className="w-full transition-all duration-300 hover:scale-105" disabled={isLoading}>
-                {isLoading ? (
-                  <div className="h-5 w-5 animate-spin rounded-full border-2 border-primary-foreground border-t-transparent mr-2"></div>
-                ) : null}
-                {isLoading ? "Logging in..." : "Login"}
-              </Button>
-            </CardFooter>
-          </form>
+          ) : (
+            <form onSubmit={handleLoginSubmit}>
+              <CardContent className="space-y-4 pt-4">
+                <div className="space-y-2">
+                  <Label htmlFor="username">Username or email</Label>
+                  <Input
+                    id="username"
+                    placeholder="Enter your username or email"
+                    autoComplete="username"
+                    value={loginData.username}
+                    onChange={(e) => setLoginData({ ...loginData, username: e.target.value })}
+                    required
+                    className="transition-all duration-300 focus:scale-102"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="password">Password</Label>
+                    <Link href="/forgot-password" className="text-xs text-primary hover:underline">
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <Input
+                    id="password"
+                    type="password"
+                    placeholder="Enter your password"
+                    value={loginData.password}
+                    onChange={(e) => setLoginData({ ...loginData, password: e.target.value })}
+                    required
+                    className="transition-all duration-300 focus:scale-102"
+                  />
+                </div>
+                {errors.login && <p className="text-sm text-destructive">{errors.login}</p>}
+              </CardContent>
+              <CardFooter>
+                <Button type="submit" className="w-full transition-all duration-300 hover:scale-105" disabled={isLoading}>
+                  {isLoading ? (
+                    <div className="h-5 w-5 animate-spin rounded-full border-2 border-primary-foreground border-t-transparent mr-2"></div>
+                  ) : null}
+                  {isLoading ? "Logging in..." : "Login"}
+                </Button>
+              </CardFooter>
+            </form>
+          )}
         </TabsContent>
         <TabsContent value="signup">
           <form onSubmit={handleSignupSubmit}>
@@ -154,6 +173,8 @@ export function LoginForm() {
                   value={signupData.username}
                   onChange={(e) => setSignupData({ ...signupData, username: e.target.value })}
                   required
+                  pattern="[A-Za-z0-9_]{3,20}"
+                  title="3 to 20 letters, numbers or underscores"
                   className="transition-all duration-300 focus:scale-102"
                 />
               </div>
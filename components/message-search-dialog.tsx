@@ -0,0 +1,192 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Search } from "lucide-react";
+import { useAuth } from "@/components/auth-provider";
+import type { Conversation, Message } from "@/lib/types";
+import axios from "axios";
+
+export interface MessageSearchResult {
+  message: Message;
+  context: {
+    before: Message[];
+    after: Message[];
+  };
+  conversation: Omit<Conversation, "messages" | "lastMessage">;
+}
+
+interface MessageSearchDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  // Only search this conversation when given
+  conversation?: Conversation | null;
+  onSelect: (result: MessageSearchResult) => void;
+}
+
+// Wrap the parts of the text that match a search word in <mark>
+function highlight(text: string, query: string) {
+  const words = query
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (words.length === 0) return text;
+
+  const pattern = new RegExp(`(${words.join("|")})`, "gi");
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="rounded bg-indigo-500/40 text-white">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+}
+
+export function MessageSearchDialog({
+  open,
+  onOpenChange,
+  conversation,
+  onSelect,
+}: MessageSearchDialogProps) {
+  const { user } = useAuth();
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState<MessageSearchResult[]>([]);
+  const [searching, setSearching] = useState(false);
+
+  useEffect(() => {
+    if (!open) {
+      setQuery("");
+      setResults([]);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+
+    // Wait for the user to stop typing before searching
+    const timeoutId = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const params = new URLSearchParams({ q: query.trim() });
+        if (conversation) params.set("conversationId", conversation.id);
+
+        const { data } = await axios.get(`/api/messages/search?${params}`);
+        setResults(data.data);
+      } catch (error) {
+        console.error("Error searching messages:", error);
+      } finally {
+        setSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [query, conversation?.id]);
+
+  const getConversationName = (result: MessageSearchResult) =>
+    result.conversation.isGroup
+      ? result.conversation.name
+      : result.conversation.user?.username;
+
+  const getSenderName = (result: MessageSearchResult, message: Message) => {
+    if (message.senderId === user?.id) return "You";
+    if (!result.conversation.isGroup) return result.conversation.user?.username;
+
+    return (
+      result.conversation.members?.find(
+        (member) => member.id === message.senderId
+      )?.username || "Former member"
+    );
+  };
+
+  const renderContext = (result: MessageSearchResult, message: Message) => (
+    <div key={message.id} className="truncate text-xs text-gray-500">
+      {getSenderName(result, message)}: {message.text}
+    </div>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg max-h-[80vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Search className="h-5 w-5" />
+            Search messages
+          </DialogTitle>
+          <DialogDescription>
+            {conversation
+              ? "Search this conversation."
+              : "Search all your conversations."}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Input
+          placeholder="Search messages..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+
+        <div className="flex-1 overflow-y-auto space-y-1">
+          {searching && results.length === 0 && (
+            <div className="p-4 text-center text-sm text-gray-400">
+              Searching...
+            </div>
+          )}
+          {!searching && query.trim().length >= 2 && results.length === 0 && (
+            <div className="p-4 text-center text-sm text-gray-400">
+              No messages found
+            </div>
+          )}
+          {results.map((result) => (
+            <button
+              key={result.message.id}
+              type="button"
+              className="w-full rounded-md p-2 text-left hover:bg-muted"
+              onClick={() => {
+                onSelect(result);
+                onOpenChange(false);
+              }}
+            >
+              <div className="flex items-center justify-between gap-2 text-xs text-gray-400">
+                <span className="truncate font-medium">
+                  {getConversationName(result)}
+                </span>
+                <span className="flex-shrink-0">
+                  {formatDistanceToNow(new Date(result.message.timestamp), {
+                    addSuffix: true,
+                  })}
+                </span>
+              </div>
+              {result.context.before.map((message) =>
+                renderContext(result, message)
+              )}
+              <div className="text-sm">
+                <span className="text-gray-400">
+                  {getSenderName(result, result.message)}:{" "}
+                </span>
+                {highlight(result.message.text, query)}
+              </div>
+              {result.context.after.map((message) =>
+                renderContext(result, message)
+              )}
+            </button>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
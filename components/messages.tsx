@@ -13,15 +13,28 @@ import {
   Reply,
   X,
   Check,
+  CheckCheck,
   ArrowLeft,
+  Users,
+  Info,
+  Pencil,
+  Smile,
+  Search,
+  ArrowDown,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
-import type { Conversation, Message as MessageType } from "@/lib/types";
+import type {
+  Conversation,
+  Message as MessageType,
+  MessageReaction,
+  MessageReceipt,
+} from "@/lib/types";
 import { useAuth } from "@/components/auth-provider";
 import axios from "axios";
 import io from "socket.io-client";
+import { acknowledgeDeliveries } from "@/lib/socket";
 import { useRouter, useSearchParams } from "next/navigation";
 import Link from "next/link";
 import {
@@ -39,10 +52,31 @@ import {
 } from "@/components/ui/dialog";
 import { Badge } from "@/components/ui/badge";
 import { useMediaQuery } from "@/hooks/use-media-query";
+import { NewGroupDialog } from "@/components/new-group-dialog";
+import { GroupInfoDialog } from "@/components/group-info-dialog";
+import {
+  MessageSearchDialog,
+  type MessageSearchResult,
+} from "@/components/message-search-dialog";
 
 // Initialize socket connection
 let socket: any;
 
+const REACTION_EMOJIS = ["❤️", "😂", "😮", "😢", "😡", "👍"];
+
+// How often to tell the server the user is still typing, and how long after
+// the last keystroke typing stops
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_IDLE_MS = 3000;
+
+// Matches the window the server allows for editing a message
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+interface MessageRevision {
+  text: string;
+  editedAt: string;
+}
+
 export function Messages() {
   const { user } = useAuth();
   const [conversations, setConversations] = useState<Conversation[]>([]);
@@ -51,11 +85,36 @@ export function Messages() {
   const [newMessage, setNewMessage] = useState("");
   const [loading, setLoading] = useState(true);
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const messagesContainerRef = useRef<HTMLDivElement>(null);
+  // Scroll height before older messages were added, to keep the view in place
+  const scrollHeightBeforeLoad = useRef<number | null>(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [loadingNewer, setLoadingNewer] = useState(false);
+  // Set when the next messages update shouldn't scroll to the bottom
+  const skipAutoScroll = useRef(false);
+  // Message to scroll to once it has rendered, after jumping to it
+  const scrollToMessageId = useRef<string | null>(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState<
+    string | null
+  >(null);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchInConversation, setSearchInConversation] = useState(false);
   const socketInitialized = useRef(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
   const [messageImage, setMessageImage] = useState<string | null>(null);
   const [isUploading, setIsUploading] = useState(false);
   const [replyingTo, setReplyingTo] = useState<MessageType | null>(null);
+  const [editingMessage, setEditingMessage] = useState<MessageType | null>(
+    null
+  );
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Conversation id to the ids and usernames of the people typing in it
+  const [typingUsers, setTypingUsers] = useState<
+    Record<string, Record<string, string>>
+  >({});
+  const lastTypingSent = useRef(0);
+  const typingIdleTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const [messageHistory, setMessageHistory] = useState<MessageRevision[]>([]);
   const [imagePreviewOpen, setImagePreviewOpen] = useState(false);
   const [previewImage, setPreviewImage] = useState<string | null>(null);
   const [unreadConversations, setUnreadConversations] = useState<Set<string>>(
@@ -66,11 +125,14 @@ export function Messages() {
   // Add these state variables after the existing ones:
   const [onlineUsers, setOnlineUsers] = useState<Set<string>>(new Set());
   const [lastSeen, setLastSeen] = useState<Record<string, Date>>({});
+  const [awayUsers, setAwayUsers] = useState<Set<string>>(new Set());
   const [showReadReceipts, setShowReadReceipts] = useState(true);
   const [userSettings, setUserSettings] = useState({
     showOnlineStatus: true,
     showReadReceipts: true,
   });
+  const [newGroupOpen, setNewGroupOpen] = useState(false);
+  const [groupInfoOpen, setGroupInfoOpen] = useState(false);
 
   // Initialize router at the beginning of the component
   const router = useRouter();
@@ -102,6 +164,7 @@ export function Messages() {
         reconnectionAttempts: 5,
         reconnectionDelay: 1000,
       });
+      acknowledgeDeliveries(socket);
 
       // Store socket in window for global access
       if (typeof window !== "undefined") {
@@ -122,6 +185,12 @@ export function Messages() {
       socket.on("newMessage", (message: MessageType) => {
         console.log("New message received via socket:", message);
 
+        // Let the sender know the message reached this device
+        if (message.senderId !== user?.id) {
+          socket.emit("messageDelivered", [message.id]);
+          setTyping(message.conversationId, message.senderId, null);
+        }
+
         // Update the conversations with the new message
         setConversations((prevConversations) => {
           // Check if this conversation already exists
@@ -130,6 +199,16 @@ export function Messages() {
           );
 
           if (existingConvIndex >= 0) {
+            // Messages missed while offline are replayed on connect, so
+            // skip any we already have
+            if (
+              prevConversations[existingConvIndex].messages.some(
+                (msg) => msg.id === message.id
+              )
+            ) {
+              return prevConversations;
+            }
+
             // Update existing conversation
             const updatedConversations = [...prevConversations];
             const conversation = { ...updatedConversations[existingConvIndex] };
@@ -168,6 +247,9 @@ export function Messages() {
         // If the active conversation is the one receiving the message, update it
         setActiveConversation((prev) => {
           if (!prev || prev.id !== message.conversationId) return prev;
+          if (prev.messages.some((msg) => msg.id === message.id)) return prev;
+          // Showing earlier history; the message loads on scrolling down
+          if (prev.hasNewerMessages) return prev;
 
           // Trigger the new message animation
           setNewMessageAnimation(true);
@@ -242,43 +324,149 @@ export function Messages() {
         }
       });
 
-      socket.on("messageRead", ({ conversationId, messageId }) => {
-        console.log("Message read notification:", {
+      // Presence of contacts: online, away (all their tabs in the background)
+      // or offline. Users hiding their status always arrive as offline.
+      socket.on(
+        "userPresence",
+        ({
+          userId,
+          status,
+          lastActive,
+        }: {
+          userId: string;
+          status: "online" | "away" | "offline";
+          lastActive: string | null;
+        }) => {
+          setOnlineUsers((prev) => {
+            const updated = new Set(prev);
+            if (status === "offline") updated.delete(userId);
+            else updated.add(userId);
+            return updated;
+          });
+
+          setAwayUsers((prev) => {
+            const updated = new Set(prev);
+            if (status === "away") updated.add(userId);
+            else updated.delete(userId);
+            return updated;
+          });
+
+          if (status === "offline") {
+            setLastSeen((prev) => {
+              const updated = { ...prev };
+              if (lastActive) updated[userId] = new Date(lastActive);
+              else delete updated[userId];
+              return updated;
+            });
+          }
+        }
+      );
+
+      // Delivery and read receipts for messages this user sent
+      socket.on(
+        "messageStatus",
+        ({
           conversationId,
           messageId,
-        });
+          status,
+          receipts,
+        }: {
+          conversationId: string;
+          messageId: string;
+          status: MessageType["status"];
+          receipts: MessageReceipt[];
+        }) => {
+          const updateStatus = (messages: MessageType[]) =>
+            messages.map((msg) =>
+              msg.id === messageId
+                ? { ...msg, status, receipts, read: status === "read" }
+                : msg
+            );
 
-        // Update the read status of messages
-        setActiveConversation((prev) => {
-          if (!prev || prev.id !== conversationId) return prev;
+          setActiveConversation((prev) => {
+            if (!prev || prev.id !== conversationId) return prev;
 
-          return {
-            ...prev,
-            messages: prev.messages.map((msg) =>
-              msg.id === messageId || (msg.senderId !== user?.id && !msg.read)
-                ? { ...msg, read: true }
-                : msg
-            ),
-          };
-        });
+            return { ...prev, messages: updateStatus(prev.messages) };
+          });
 
-        // Also update in the conversations list
-        setConversations((prev) =>
-          prev.map((conv) => {
-            if (conv.id !== conversationId) return conv;
+          // Also update in the conversations list
+          setConversations((prev) =>
+            prev.map((conv) =>
+              conv.id === conversationId
+                ? { ...conv, messages: updateStatus(conv.messages) }
+                : conv
+            )
+          );
+        }
+      );
 
-            return {
-              ...conv,
-              messages: conv.messages.map((msg) =>
-                msg.id === messageId || (msg.senderId !== user?.id && !msg.read)
-                  ? { ...msg, read: true }
-                  : msg
-              ),
-            };
-          })
-        );
+      // Reactions and edits by other participants
+      socket.on(
+        "messageReacted",
+        ({
+          conversationId,
+          messageId,
+          reactions,
+        }: {
+          conversationId: string;
+          messageId: string;
+          reactions: MessageReaction[];
+        }) => updateMessage(conversationId, messageId, { reactions })
+      );
+
+      socket.on(
+        "messageEdited",
+        ({
+          conversationId,
+          messageId,
+          text,
+          editedAt,
+        }: {
+          conversationId: string;
+          messageId: string;
+          text: string;
+          editedAt: string;
+        }) => updateMessage(conversationId, messageId, { text, editedAt })
+      );
+
+      // Other participants typing
+      socket.on(
+        "typing",
+        ({
+          conversationId,
+          userId,
+          username,
+        }: {
+          conversationId: string;
+          userId: string;
+          username: string;
+        }) => setTyping(conversationId, userId, username)
+      );
+
+      socket.on(
+        "stopTyping",
+        ({ conversationId, userId }: { conversationId: string; userId: string }) =>
+          setTyping(conversationId, userId, null)
+      );
+
+      // Group created, renamed or changed membership
+      socket.on("conversationUpdated", (update: Partial<Conversation>) => {
+        setConversations((prev) => {
+          if (prev.some((conv) => conv.id === update.id)) return prev;
+
+          // A group this user was just added to
+          return [{ messages: [], ...update } as Conversation, ...prev];
+        });
+        applyConversationUpdate(update);
       });
 
+      socket.on(
+        "removedFromConversation",
+        ({ conversationId }: { conversationId: string }) => {
+          removeConversation(conversationId);
+        }
+      );
+
       socketInitialized.current = true;
 
       // Clean up on unmount
@@ -299,20 +487,40 @@ export function Messages() {
       if (activeConversation) {
         // Fetch the latest messages for the active conversation
         axios
-          .get(`/api/messages/conversations/${activeConversation.user.id}`)
+          .get(
+            activeConversation.isGroup
+              ? `/api/messages/groups/${activeConversation.id}`
+              : `/api/messages/conversations/${activeConversation.user?.id}`
+          )
           .then(({ data }) => {
             if (data.success) {
-              // Only update if there are new messages
-              if (
-                data.data.messages.length > activeConversation.messages.length
-              ) {
+              // Only update if there are new messages. The latest page is
+              // merged in so older messages already loaded are kept.
+              const knownIds = new Set(
+                activeConversation.messages.map((msg) => msg.id)
+              );
+              const newMessages = (data.data.messages as MessageType[]).filter(
+                (msg) => !knownIds.has(msg.id)
+              );
+
+              if (newMessages.length > 0) {
                 console.log("Polling found new messages");
-                setActiveConversation(data.data);
+                const addNewMessages = (conv: Conversation) => ({
+                  ...conv,
+                  messages: [...conv.messages, ...newMessages],
+                  lastMessage: data.data.lastMessage,
+                });
+
+                setActiveConversation((prev) =>
+                  prev && prev.id === data.data.id && !prev.hasNewerMessages
+                    ? addNewMessages(prev)
+                    : prev
+                );
 
                 // Also update in the conversations list
                 setConversations((prev) =>
                   prev.map((conv) =>
-                    conv.id === data.data.id ? data.data : conv
+                    conv.id === data.data.id ? addNewMessages(conv) : conv
                   )
                 );
               }
@@ -338,10 +546,7 @@ export function Messages() {
         // Identify unread conversations
         const unread = new Set<string>();
         data.data.forEach((conv: Conversation) => {
-          const hasUnreadMessages = conv.messages.some(
-            (msg) => !msg.read && msg.senderId !== user?.id
-          );
-          if (hasUnreadMessages) {
+          if ((conv.unreadCount || 0) > 0) {
             unread.add(conv.id);
           }
         });
@@ -370,18 +575,12 @@ export function Messages() {
   // Fetch user settings
   useEffect(() => {
     if (user) {
-      // In a real app, this would be an API call to get user settings
-      // For now, we'll simulate it
       const fetchUserSettings = async () => {
         try {
-          // This would be an API call in a real app
-          // const { data } = await axios.get("/api/users/settings")
-          // setUserSettings(data.settings)
-
-          // For now, we'll use default settings
+          const { data } = await axios.get("/api/users/settings");
           setUserSettings({
-            showOnlineStatus: true,
-            showReadReceipts: true,
+            showOnlineStatus: data.data.settings.showOnlineStatus !== false,
+            showReadReceipts: data.data.settings.showReadReceipts !== false,
           });
         } catch (error) {
           console.error("Error fetching user settings:", error);
@@ -392,6 +591,79 @@ export function Messages() {
     }
   }, [user]);
 
+  // Load the last seen time of the user in the active conversation. The
+  // server leaves it out when either of us hides our online status.
+  useEffect(() => {
+    if (!activeConversation?.user) return;
+
+    const { id, username } = activeConversation.user;
+    const otherUserId = id.toString();
+
+    axios
+      .get(`/api/users/${username}/last-seen`)
+      .then(({ data }) => {
+        setLastSeen((prev) => {
+          const updated = { ...prev };
+          if (data.data.lastSeen) {
+            updated[otherUserId] = new Date(data.data.lastSeen);
+          } else {
+            delete updated[otherUserId];
+          }
+          return updated;
+        });
+      })
+      .catch((error) => {
+        console.error("Error fetching last seen:", error);
+      });
+  }, [activeConversation?.user?.id]);
+
+  // Stop editing and typing when switching to another conversation
+  useEffect(() => {
+    setEditingMessage(null);
+
+    const conversationId = activeConversation?.id;
+    return () => {
+      if (conversationId) stopTyping(conversationId);
+    };
+  }, [activeConversation?.id]);
+
+  // Tell the other participants the user is typing, and that they stopped
+  // once they pause
+  const handleMessageChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const value = e.target.value;
+    setNewMessage(value);
+
+    if (!activeConversation || !socket || editingMessage) return;
+
+    const conversationId = activeConversation.id;
+    if (!value.trim()) {
+      stopTyping(conversationId);
+      return;
+    }
+
+    if (Date.now() - lastTypingSent.current >= TYPING_THROTTLE_MS) {
+      socket.emit("typing", conversationId);
+      lastTypingSent.current = Date.now();
+    }
+
+    if (typingIdleTimer.current) clearTimeout(typingIdleTimer.current);
+    typingIdleTimer.current = setTimeout(
+      () => stopTyping(conversationId),
+      TYPING_IDLE_MS
+    );
+  };
+
+  const stopTyping = (conversationId: string) => {
+    if (typingIdleTimer.current) {
+      clearTimeout(typingIdleTimer.current);
+      typingIdleTimer.current = null;
+    }
+    if (lastTypingSent.current === 0) return;
+
+    lastTypingSent.current = 0;
+    socket?.emit("stopTyping", conversationId);
+  };
+
   // Mark messages as read when viewing a conversation
   useEffect(() => {
     if (activeConversation) {
@@ -402,10 +674,13 @@ export function Messages() {
         return updated;
       });
 
-      // Check if there are any unread messages from the other user
-      const hasUnreadMessages = activeConversation.messages.some(
-        (msg) => !msg.read && msg.senderId !== user?.id
-      );
+      // Check if there are any unread messages from the other user,
+      // including ones older than the loaded messages
+      const hasUnreadMessages =
+        (activeConversation.unreadCount || 0) > 0 ||
+        activeConversation.messages.some(
+          (msg) => !msg.read && msg.senderId !== user?.id
+        );
 
       if (hasUnreadMessages) {
         // Mark all messages in this conversation as read
@@ -416,7 +691,7 @@ export function Messages() {
             if (socket) {
               socket.emit("messagesRead", {
                 conversationId: activeConversation.id,
-                userId: activeConversation.user.id,
+                userId: activeConversation.user?.id,
               });
             }
 
@@ -425,6 +700,7 @@ export function Messages() {
               if (!prev) return null;
               return {
                 ...prev,
+                unreadCount: 0,
                 messages: prev.messages.map((msg) =>
                   msg.senderId !== user?.id ? { ...msg, read: true } : msg
                 ),
@@ -438,6 +714,7 @@ export function Messages() {
 
                 return {
                   ...conv,
+                  unreadCount: 0,
                   messages: conv.messages.map((msg) =>
                     msg.senderId !== user?.id ? { ...msg, read: true } : msg
                   ),
@@ -454,6 +731,30 @@ export function Messages() {
 
   // Scroll to bottom when new messages are added, but use a fade-in animation instead
   useEffect(() => {
+    // Jumped to a message, so bring it into view instead
+    if (scrollToMessageId.current) {
+      document
+        .getElementById(`message-${scrollToMessageId.current}`)
+        ?.scrollIntoView({ block: "center" });
+      scrollToMessageId.current = null;
+      return;
+    }
+
+    // Newer messages were added below while reading earlier history
+    if (skipAutoScroll.current) {
+      skipAutoScroll.current = false;
+      return;
+    }
+
+    // Older messages were added above, so keep the same messages in view
+    const container = messagesContainerRef.current;
+    if (container && scrollHeightBeforeLoad.current !== null) {
+      container.scrollTop +=
+        container.scrollHeight - scrollHeightBeforeLoad.current;
+      scrollHeightBeforeLoad.current = null;
+      return;
+    }
+
     if (messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({
         behavior: isMobile ? "auto" : "smooth",
@@ -462,12 +763,188 @@ export function Messages() {
     }
   }, [activeConversation?.messages, isMobile]);
 
+  // Load the page of messages before the oldest one shown
+  const loadOlderMessages = async () => {
+    if (
+      !activeConversation?.hasMoreMessages ||
+      loadingOlder ||
+      activeConversation.messages.length === 0
+    ) {
+      return;
+    }
+
+    const conversationId = activeConversation.id;
+    const oldestId = activeConversation.messages[0].id;
+
+    try {
+      setLoadingOlder(true);
+      const { data } = await axios.get(
+        `/api/messages/${conversationId}/messages?before=${oldestId}`
+      );
+
+      const addOlderMessages = (conv: Conversation) => {
+        const knownIds = new Set(conv.messages.map((msg) => msg.id));
+        return {
+          ...conv,
+          messages: [
+            ...(data.data as MessageType[]).filter(
+              (msg) => !knownIds.has(msg.id)
+            ),
+            ...conv.messages,
+          ],
+          hasMoreMessages: data.hasMore,
+        };
+      };
+
+      scrollHeightBeforeLoad.current =
+        messagesContainerRef.current?.scrollHeight ?? null;
+      setActiveConversation((prev) =>
+        prev && prev.id === conversationId ? addOlderMessages(prev) : prev
+      );
+      // The list keeps the latest messages, so only extend it when the open
+      // conversation connects to them
+      if (!activeConversation.hasNewerMessages) {
+        setConversations((prev) =>
+          prev.map((conv) =>
+            conv.id === conversationId ? addOlderMessages(conv) : conv
+          )
+        );
+      }
+    } catch (error) {
+      console.error("Error loading older messages:", error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Load the page of messages after the newest one shown, while reading
+  // earlier history
+  const loadNewerMessages = async () => {
+    if (
+      !activeConversation?.hasNewerMessages ||
+      loadingNewer ||
+      activeConversation.messages.length === 0
+    ) {
+      return;
+    }
+
+    const conversationId = activeConversation.id;
+    const newestId =
+      activeConversation.messages[activeConversation.messages.length - 1].id;
+
+    try {
+      setLoadingNewer(true);
+      const { data } = await axios.get(
+        `/api/messages/${conversationId}/messages?after=${newestId}`
+      );
+
+      skipAutoScroll.current = true;
+      setActiveConversation((prev) => {
+        if (!prev || prev.id !== conversationId) return prev;
+
+        const knownIds = new Set(prev.messages.map((msg) => msg.id));
+        return {
+          ...prev,
+          messages: [
+            ...prev.messages,
+            ...(data.data as MessageType[]).filter(
+              (msg) => !knownIds.has(msg.id)
+            ),
+          ],
+          hasNewerMessages: data.hasNewer,
+        };
+      });
+    } catch (error) {
+      console.error("Error loading newer messages:", error);
+    } finally {
+      setLoadingNewer(false);
+    }
+  };
+
+  // Go back to the latest messages of the open conversation
+  const jumpToLatest = () => {
+    const latest = conversations.find(
+      (conv) => conv.id === activeConversation?.id
+    );
+    if (latest) setActiveConversation(latest);
+  };
+
+  // Open a search result's conversation around the message and highlight it
+  const handleJumpToMessage = async ({ message }: MessageSearchResult) => {
+    const conversation = conversations.find(
+      (conv) => conv.id === message.conversationId
+    );
+    if (!conversation) return;
+
+    const flash = () => {
+      setHighlightedMessageId(message.id);
+      setTimeout(() => setHighlightedMessageId(null), 2000);
+    };
+
+    // Already showing it
+    if (
+      activeConversation?.id === conversation.id &&
+      activeConversation.messages.some((msg) => msg.id === message.id)
+    ) {
+      document
+        .getElementById(`message-${message.id}`)
+        ?.scrollIntoView({ behavior: "smooth", block: "center" });
+      flash();
+      return;
+    }
+
+    try {
+      let target = conversation;
+      if (!conversation.messages.some((msg) => msg.id === message.id)) {
+        const { data } = await axios.get(
+          `/api/messages/${conversation.id}/messages?around=${message.id}`
+        );
+        target = {
+          ...conversation,
+          messages: data.data,
+          hasMoreMessages: data.hasMore,
+          hasNewerMessages: data.hasNewer,
+        };
+      }
+
+      scrollToMessageId.current = message.id;
+      setActiveConversation(target);
+      flash();
+    } catch (error) {
+      console.error("Error jumping to message:", error);
+      toast({
+        title: "Error",
+        description: "Failed to open the message. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Load more messages when scrolled near the top, or near the bottom while
+  // reading earlier history
+  const handleMessagesScroll = (e: React.UIEvent<HTMLDivElement>) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollTop < 100) {
+      loadOlderMessages();
+    } else if (scrollHeight - scrollTop - clientHeight < 100) {
+      loadNewerMessages();
+    }
+  };
+
   // Update the handleSendMessage function to ensure images are properly stored
   const handleSendMessage = async (e: React.FormEvent) => {
     e.preventDefault();
 
+    if (editingMessage) {
+      handleEditMessage();
+      return;
+    }
+
     if ((!newMessage.trim() && !messageImage) || !activeConversation) return;
 
+    // New messages go after the latest ones
+    if (activeConversation.hasNewerMessages) jumpToLatest();
+
     try {
       let imageUrl = null;
       if (messageImage) {
@@ -539,6 +1016,7 @@ export function Messages() {
       });
 
       // Clear the input and reset states
+      stopTyping(activeConversation.id);
       setNewMessage("");
       setMessageImage(null);
       setReplyingTo(null);
@@ -666,16 +1144,169 @@ export function Messages() {
   };
 
   const handleReplyToMessage = (message: MessageType) => {
+    setEditingMessage(null);
     setReplyingTo(message);
   };
 
+  // Only the sender's own text can be edited, for a while after sending
+  const canEditMessage = (message: MessageType) =>
+    message.senderId === user?.id &&
+    !message.sharedPost &&
+    !message.id.startsWith("temp-") &&
+    Date.now() - new Date(message.timestamp).getTime() <
+      MESSAGE_EDIT_WINDOW_MS;
+
+  const handleStartEditing = (message: MessageType) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setNewMessage(message.text);
+  };
+
+  const handleCancelEditing = () => {
+    setEditingMessage(null);
+    setNewMessage("");
+  };
+
+  const handleEditMessage = async () => {
+    if (!activeConversation || !editingMessage) return;
+
+    const text = newMessage.trim();
+    if (!text || text === editingMessage.text) {
+      handleCancelEditing();
+      return;
+    }
+
+    try {
+      const { data } = await axios.put(
+        `/api/messages/${activeConversation.id}/${editingMessage.id}`,
+        { text }
+      );
+
+      updateMessage(activeConversation.id, editingMessage.id, {
+        text: data.data.text,
+        editedAt: data.data.editedAt,
+      });
+      handleCancelEditing();
+    } catch (error: any) {
+      console.error("Error editing message:", error);
+      toast({
+        title: "Error",
+        description:
+          error.response?.data?.message ||
+          "Failed to edit message. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleShowHistory = async (message: MessageType) => {
+    if (!activeConversation) return;
+
+    try {
+      const { data } = await axios.get(
+        `/api/messages/${activeConversation.id}/${message.id}/history`
+      );
+      setMessageHistory(data.data.history);
+      setHistoryOpen(true);
+    } catch (error) {
+      console.error("Error fetching message history:", error);
+    }
+  };
+
+  // Add the reaction, replace the user's other one, or remove it if it's the same
+  const handleReact = async (message: MessageType, emoji: string) => {
+    if (!activeConversation) return;
+
+    try {
+      const { data } = await axios.post(
+        `/api/messages/${activeConversation.id}/${message.id}/reactions`,
+        { emoji }
+      );
+      updateMessage(activeConversation.id, message.id, {
+        reactions: data.data.reactions,
+      });
+    } catch (error) {
+      console.error("Error reacting to message:", error);
+      toast({
+        title: "Error",
+        description: "Failed to react to message. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Show reactions grouped by emoji, highlighting the user's own
+  const renderReactions = (message: MessageType) => {
+    const reactions = message.reactions || [];
+    if (reactions.length === 0) return null;
+
+    const counts = new Map<string, number>();
+    reactions.forEach((reaction) =>
+      counts.set(reaction.emoji, (counts.get(reaction.emoji) || 0) + 1)
+    );
+    const ownEmoji = reactions.find(
+      (reaction) => reaction.userId === user?.id
+    )?.emoji;
+
+    return (
+      <div className="-mt-1 flex flex-wrap gap-1">
+        {Array.from(counts.entries()).map(([emoji, count]) => (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => handleReact(message, emoji)}
+            className={`rounded-full border px-1.5 text-xs ${
+              emoji === ownEmoji
+                ? "border-indigo-500 bg-indigo-600/30"
+                : "border-gray-700 bg-gray-900"
+            }`}
+          >
+            {emoji} {count > 1 && count}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
   const openImagePreview = (imageUrl: string) => {
     setPreviewImage(imageUrl);
     setImagePreviewOpen(true);
   };
 
+  // Render the delivery status of a message the current user sent. Read
+  // receipts only show while the user shares their own.
+  const renderMessageStatus = (message: MessageType) => {
+    const status = message.status || (message.read ? "read" : "sent");
+    const readers = (message.receipts || []).filter(
+      (receipt) => receipt.readAt
+    ).length;
+
+    if (userSettings.showReadReceipts && status === "read") {
+      return (
+        <span className="text-indigo-300 text-[10px] flex items-center ml-2">
+          <CheckCheck className="h-3 w-3 mr-0.5" />
+          {activeConversation?.isGroup ? "Seen by everyone" : "Seen"}
+        </span>
+      );
+    }
+
+    return (
+      <span className="text-white/80 text-[10px] flex items-center ml-2">
+        {status === "sent" ? (
+          <Check className="h-3 w-3" />
+        ) : (
+          <CheckCheck className="h-3 w-3" />
+        )}
+        {/* Members who have read it so far, in groups */}
+        {activeConversation?.isGroup &&
+          userSettings.showReadReceipts &&
+          readers > 0 && <span className="ml-0.5">Seen by {readers}</span>}
+      </span>
+    );
+  };
+
   // Render a shared post in the message
-  const renderSharedPost = (message: MessageType) => {
+  const renderSharedPost =(message: MessageType) => {
     if (!message.sharedPost) return null;
 
     return (
@@ -736,7 +1367,7 @@ export function Messages() {
               Replying to{" "}
               {isRepliedMessageFromCurrentUser
                 ? "yourself"
-                : activeConversation?.user.username}
+                : getSender(repliedMessage.senderId)?.username}
             </span>
           </div>
           <div className="text-sm truncate">
@@ -755,6 +1386,94 @@ export function Messages() {
     );
   };
 
+  // Name and picture of a conversation: the group's, or the other user's
+  const getConversationName = (conversation: Conversation) =>
+    conversation.isGroup
+      ? conversation.name || "Group"
+      : conversation.user?.username || "";
+
+  const getConversationPicture = (conversation: Conversation) =>
+    (conversation.isGroup
+      ? conversation.avatar
+      : conversation.user?.profilePicture) || undefined;
+
+  // The user who sent a message in the active conversation
+  const getSender = (senderId: string) =>
+    activeConversation?.isGroup
+      ? activeConversation.members?.find((member) => member.id === senderId)
+      : activeConversation?.user;
+
+  // Record that a user started (with their username) or stopped typing
+  const setTyping = (
+    conversationId: string,
+    userId: string,
+    username: string | null
+  ) => {
+    setTypingUsers((prev) => {
+      const typing = { ...prev[conversationId] };
+      if (username) {
+        typing[userId] = username;
+      } else if (typing[userId]) {
+        delete typing[userId];
+      } else {
+        return prev;
+      }
+      return { ...prev, [conversationId]: typing };
+    });
+  };
+
+  // Describe who is typing in a conversation, or null if nobody is
+  const getTypingText = (conversationId: string) => {
+    const usernames = Object.values(typingUsers[conversationId] || {});
+    if (usernames.length === 0) return null;
+    if (usernames.length === 1) return `${usernames[0]} is typing…`;
+    if (usernames.length === 2) {
+      return `${usernames[0]} and ${usernames[1]} are typing…`;
+    }
+    return "Several people are typing…";
+  };
+
+  // Apply changes to a message in the conversation list and open conversation
+  const updateMessage = (
+    conversationId: string,
+    messageId: string,
+    changes: Partial<MessageType>
+  ) => {
+    const applyChanges = (conv: Conversation) => ({
+      ...conv,
+      messages: conv.messages.map((msg) =>
+        msg.id === messageId ? { ...msg, ...changes } : msg
+      ),
+    });
+
+    setConversations((prev) =>
+      prev.map((conv) => (conv.id === conversationId ? applyChanges(conv) : conv))
+    );
+    setActiveConversation((prev) =>
+      prev && prev.id === conversationId ? applyChanges(prev) : prev
+    );
+  };
+
+  // Apply new group details to the conversation list and open conversation
+  const applyConversationUpdate = (update: Partial<Conversation>) => {
+    setConversations((prev) =>
+      prev.map((conv) => (conv.id === update.id ? { ...conv, ...update } : conv))
+    );
+    setActiveConversation((prev) =>
+      prev && prev.id === update.id ? { ...prev, ...update } : prev
+    );
+  };
+
+  // Drop a conversation the user is no longer part of
+  const removeConversation = (conversationId: string) => {
+    setConversations((prev) =>
+      prev.filter((conv) => conv.id !== conversationId)
+    );
+    setActiveConversation((prev) =>
+      prev && prev.id === conversationId ? null : prev
+    );
+  };
+
   if (loading) {
     return (
       <div className="flex h-[calc(100vh-5rem)] items-center justify-center">
@@ -772,8 +1491,29 @@ export function Messages() {
           activeConversation && isMobile ? "hidden" : "block"
         }`}
       >
-        <div className="p-4 border-b border-gray-800/50 bg-black/20">
+        <div className="flex items-center justify-between p-4 border-b border-gray-800/50 bg-black/20">
           <h2 className="text-xl font-bold">Messages</h2>
+          <div className="flex items-center">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => {
+                setSearchInConversation(false);
+                setSearchOpen(true);
+              }}
+              title="Search messages"
+            >
+              <Search className="h-5 w-5" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => setNewGroupOpen(true)}
+              title="New group"
+            >
+              <Users className="h-5 w-5" />
+            </Button>
+          </div>
         </div>
 
         <div className="overflow-y-auto flex-grow">
@@ -805,16 +1545,25 @@ export function Messages() {
                         }`}
                       >
                         <AvatarImage
-                          src={conversation.user.profilePicture}
-                          alt={conversation.user.username}
+                          src={getConversationPicture(conversation)}
+                          alt={getConversationName(conversation)}
                         />
                         <AvatarFallback>
-                          {conversation.user.username.charAt(0).toUpperCase()}
+                          {getConversationName(conversation)
+                            .charAt(0)
+                            .toUpperCase()}
                         </AvatarFallback>
                       </Avatar>
-                      {onlineUsers.has(conversation.user.id.toString()) && (
-                        <span className="absolute bottom-0 right-0 h-3 w-3 rounded-full bg-green-500 border-2 border-gray-900"></span>
-                      )}
+                      {conversation.user &&
+                        onlineUsers.has(conversation.user.id.toString()) && (
+                          <span
+                            className={`absolute bottom-0 right-0 h-3 w-3 rounded-full border-2 border-gray-900 ${
+                              awayUsers.has(conversation.user.id.toString())
+                                ? "bg-yellow-500"
+                                : "bg-green-500"
+                            }`}
+                          ></span>
+                        )}
                     </div>
                     <div className="flex-1 overflow-hidden">
                       <div
@@ -822,7 +1571,7 @@ export function Messages() {
                           hasUnreadMessages ? "font-bold text-white" : ""
                         }`}
                       >
-                        {conversation.user.username}
+                        {getConversationName(conversation)}
                         {hasUnreadMessages && (
                           <Badge
                             variant="default"
@@ -839,7 +1588,13 @@ export function Messages() {
                             : "text-gray-400"
                         }`}
                       >
-                        {conversation.lastMessage.text || "New conversation"}
+                        {getTypingText(conversation.id) ? (
+                          <span className="text-indigo-400">
+                            {getTypingText(conversation.id)}
+                          </span>
+                        ) : (
+                          conversation.lastMessage.text || "New conversation"
+                        )}
                       </div>
                     </div>
                   </button>
@@ -868,47 +1623,111 @@ export function Messages() {
                 <ArrowLeft className="h-5 w-5" />
               </Button>
             )}
-            <Link
-              href={`/profile/${activeConversation.user.username}`}
-              className="flex items-center gap-3 hover:opacity-90 transition-opacity"
-            >
-              <Avatar className="h-10 w-10">
-                <AvatarImage
-                  src={activeConversation.user.profilePicture}
-                  alt={activeConversation.user.username}
-                />
-                <AvatarFallback>
-                  {activeConversation.user.username.charAt(0).toUpperCase()}
-                </AvatarFallback>
-              </Avatar>
-              <div className="flex-1">
-                <div className="font-medium text-lg">
-                  {activeConversation.user.username}
-                </div>
-                <div className="text-xs text-gray-400">
-                  {onlineUsers.has(activeConversation.user.id.toString())
-                    ? "Active now"
-                    : lastSeen[activeConversation.user.id.toString()]
-                    ? `Last seen ${formatDistanceToNow(
-                        new Date(
-                          lastSeen[activeConversation.user.id.toString()]
-                        ),
-                        {
-                          addSuffix: true,
-                        }
-                      )}`
-                    : "Offline"}
+            {activeConversation.isGroup ? (
+              <button
+                className="flex flex-1 items-center gap-3 text-left hover:opacity-90 transition-opacity"
+                onClick={() => setGroupInfoOpen(true)}
+              >
+                <Avatar className="h-10 w-10">
+                  <AvatarImage
+                    src={getConversationPicture(activeConversation)}
+                    alt={getConversationName(activeConversation)}
+                  />
+                  <AvatarFallback>
+                    {getConversationName(activeConversation)
+                      .charAt(0)
+                      .toUpperCase()}
+                  </AvatarFallback>
+                </Avatar>
+                <div className="flex-1">
+                  <div className="font-medium text-lg">
+                    {getConversationName(activeConversation)}
+                  </div>
+                  <div className="text-xs text-gray-400">
+                    {(activeConversation.members || []).length} members
+                  </div>
                 </div>
-              </div>
-            </Link>
+                <Info className="h-5 w-5 text-gray-400" />
+              </button>
+            ) : (
+              activeConversation.user && (
+                <Link
+                  href={`/profile/${activeConversation.user.username}`}
+                  className="flex items-center gap-3 hover:opacity-90 transition-opacity"
+                >
+                  <Avatar className="h-10 w-10">
+                    <AvatarImage
+                      src={activeConversation.user.profilePicture}
+                      alt={activeConversation.user.username}
+                    />
+                    <AvatarFallback>
+                      {activeConversation.user.username.charAt(0).toUpperCase()}
+                    </AvatarFallback>
+                  </Avatar>
+                  <div className="flex-1">
+                    <div className="font-medium text-lg">
+                      {activeConversation.user.username}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      {onlineUsers.has(activeConversation.user.id.toString())
+                        ? awayUsers.has(activeConversation.user.id.toString())
+                          ? "Away"
+                          : "Active now"
+                        : lastSeen[activeConversation.user.id.toString()]
+                        ? `Last seen ${formatDistanceToNow(
+                            new Date(
+                              lastSeen[activeConversation.user.id.toString()]
+                            ),
+                            {
+                              addSuffix: true,
+                            }
+                          )}`
+                        : "Offline"}
+                    </div>
+                  </div>
+                </Link>
+              )
+            )}
+            <Button
+              variant="ghost"
+              size="icon"
+              className="ml-auto"
+              onClick={() => {
+                setSearchInConversation(true);
+                setSearchOpen(true);
+              }}
+              title="Search this conversation"
+            >
+              <Search className="h-5 w-5" />
+            </Button>
           </div>
 
-          <div className="flex-1 overflow-y-auto p-4 bg-transparent">
+          <div
+            ref={messagesContainerRef}
+            onScroll={handleMessagesScroll}
+            className="flex-1 overflow-y-auto p-4 bg-transparent"
+          >
             <div className="space-y-3 pb-2">
+              {activeConversation.hasMoreMessages && (
+                <div className="flex justify-center">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-xs text-gray-400"
+                    onClick={loadOlderMessages}
+                    disabled={loadingOlder}
+                  >
+                    {loadingOlder
+                      ? "Loading earlier messages..."
+                      : "Load earlier messages"}
+                  </Button>
+                </div>
+              )}
               {activeConversation.messages.map((message, index) => {
                 // Message rendering logic remains the same
                 // No changes needed here, just reinstating the existing code:
                 const isCurrentUser = message.senderId === user?.id;
+                const sender = getSender(message.senderId);
                 const isLastMessage =
                   index === activeConversation.messages.length - 1;
                 const showAvatar =
@@ -935,6 +1754,7 @@ export function Messages() {
                 return (
                   <div
                     key={message.id}
+                    id={`message-${message.id}`}
                     className={`flex ${
                       isCurrentUser ? "justify-end" : "justify-start"
                     } ${
@@ -946,13 +1766,11 @@ export function Messages() {
                     {!isCurrentUser && showAvatar ? (
                       <Avatar className="h-8 w-8 mr-2 mt-auto mb-1 flex-shrink-0">
                         <AvatarImage
-                          src={activeConversation.user.profilePicture}
-                          alt={activeConversation.user.username}
+                          src={sender?.profilePicture}
+                          alt={sender?.username}
                         />
                         <AvatarFallback>
-                          {activeConversation.user.username
-                            .charAt(0)
-                            .toUpperCase()}
+                          {(sender?.username || "?").charAt(0).toUpperCase()}
                         </AvatarFallback>
                       </Avatar>
                     ) : (
@@ -969,7 +1787,7 @@ export function Messages() {
                       {/* Show username only for the first message in a group */}
                       {!isCurrentUser && isFirstInGroup && (
                         <div className="mb-1 text-xs text-gray-400">
-                          {activeConversation.user.username}
+                          {sender?.username || "Former member"}
                         </div>
                       )}
 
@@ -987,6 +1805,10 @@ export function Messages() {
                               ? "bg-indigo-600 text-white"
                               : "bg-gray-800 text-white"
                           } relative group ${
+                            highlightedMessageId === message.id
+                              ? "ring-2 ring-yellow-400"
+                              : ""
+                          } ${
                             // Apply different border radius based on position in group
                             isFirstInGroup && isLastInGroup
                               ? "rounded-2xl"
@@ -1038,15 +1860,23 @@ export function Messages() {
                               )}
                             </span>
 
-                            {/* "Seen" receipt (previously "Read") */}
+                            {message.editedAt && (
+                              <button
+                                type="button"
+                                className={`hover:underline ${
+                                  isCurrentUser
+                                    ? "text-white/80"
+                                    : "text-gray-400"
+                                }`}
+                                onClick={() => handleShowHistory(message)}
+                              >
+                                edited
+                              </button>
+                            )}
+
+                            {/* Sent, delivered and seen ticks */}
                             {isCurrentUser &&
-                              userSettings.showReadReceipts &&
-                              message.read && (
-                                <span className="text-indigo-300 text-[10px] flex items-center ml-2">
-                                  <Check className="h-3 w-3 mr-0.5" />
-                                  Seen
-                                </span>
-                              )}
+                              renderMessageStatus(message)}
 
                             {/* Actions that appear on hover */}
                             <div className="opacity-0 group-hover:opacity-100 transition-opacity flex items-center">
@@ -1059,6 +1889,34 @@ export function Messages() {
                                 <Reply className="h-3 w-3" />
                               </Button>
 
+                              <DropdownMenu>
+                                <DropdownMenuTrigger asChild>
+                                  <Button
+                                    variant="ghost"
+                                    size="icon"
+                                    className="h-5 w-5 rounded-full hover:bg-gray-700"
+                                  >
+                                    <Smile className="h-3 w-3" />
+                                  </Button>
+                                </DropdownMenuTrigger>
+                                <DropdownMenuContent
+                                  align="end"
+                                  className="flex gap-1 bg-gray-900 text-white border-gray-700"
+                                >
+                                  {REACTION_EMOJIS.map((emoji) => (
+                                    <DropdownMenuItem
+                                      key={emoji}
+                                      onClick={() =>
+                                        handleReact(message, emoji)
+                                      }
+                                      className="px-1.5 text-lg hover:bg-gray-800"
+                                    >
+                                      {emoji}
+                                    </DropdownMenuItem>
+                                  ))}
+                                </DropdownMenuContent>
+                              </DropdownMenu>
+
                               {isCurrentUser && (
                                 <DropdownMenu>
                                   <DropdownMenuTrigger asChild>
@@ -1074,6 +1932,17 @@ export function Messages() {
                                     align="end"
                                     className="bg-gray-900 text-white border-gray-700"
                                   >
+                                    {canEditMessage(message) && (
+                                      <DropdownMenuItem
+                                        onClick={() =>
+                                          handleStartEditing(message)
+                                        }
+                                        className="hover:bg-gray-800"
+                                      >
+                                        <Pencil className="mr-2 h-4 w-4" />
+                                        Edit
+                                      </DropdownMenuItem>
+                                    )}
                                     <DropdownMenuItem
                                       onClick={() =>
                                         handleDeleteMessage(message.id)
@@ -1089,15 +1958,38 @@ export function Messages() {
                             </div>
                           </div>
                         </div>
+
+                        {/* Reactions */}
+                        {renderReactions(message)}
                       </div>
                     </div>
                   </div>
                 );
               })}
+              {activeConversation.hasNewerMessages && (
+                <div className="flex justify-center">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-xs text-gray-400"
+                    onClick={jumpToLatest}
+                  >
+                    <ArrowDown className="mr-1 h-3 w-3" />
+                    Jump to latest
+                  </Button>
+                </div>
+              )}
               <div ref={messagesEndRef} />
             </div>
           </div>
 
+          {/* Typing indicator */}
+          {getTypingText(activeConversation.id) && (
+            <div className="flex-shrink-0 px-4 pb-1 text-xs text-gray-400 animate-pulse">
+              {getTypingText(activeConversation.id)}
+            </div>
+          )}
+
           {/* Reply indicator */}
           {replyingTo && (
             <div className="flex-shrink-0 px-4 py-2 border-t border-gray-800/50 flex items-center gap-2 bg-black/20">
@@ -1108,7 +2000,7 @@ export function Messages() {
                     Replying to{" "}
                     {replyingTo.senderId === user?.id
                       ? "yourself"
-                      : activeConversation.user.username}
+                      : getSender(replyingTo.senderId)?.username}
                   </div>
                 </div>
                 <div className="text-sm truncate">
@@ -1126,6 +2018,27 @@ export function Messages() {
             </div>
           )}
 
+          {/* Edit indicator */}
+          {editingMessage && (
+            <div className="flex-shrink-0 px-4 py-2 border-t border-gray-800/50 flex items-center gap-2 bg-black/20">
+              <div className="flex-1 border-l-2 border-indigo-600 pl-2 py-1">
+                <div className="flex items-center gap-1">
+                  <Pencil className="h-4 w-4 text-gray-400" />
+                  <div className="text-xs text-gray-400">Editing message</div>
+                </div>
+                <div className="text-sm truncate">{editingMessage.text}</div>
+              </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6 rounded-full hover:bg-gray-800"
+                onClick={handleCancelEditing}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          )}
+
           {/* Message input with image preview */}
           {messageImage && (
             <div className="flex-shrink-0 px-4 py-2 border-t border-gray-800/50 bg-black/20">
@@ -1147,49 +2060,55 @@ export function Messages() {
             </div>
           )}
 
-          <form
-            onSubmit={handleSendMessage}
-            className="flex-shrink-0 flex gap-2 border-t border-gray-800/50 p-4 bg-black/20"
-          >
-            <div className="relative flex-1">
-              <Input
-                placeholder="Type a message..."
-                value={newMessage}
-                onChange={(e) => setNewMessage(e.target.value)}
-                className="pr-10 bg-gray-800/50 border-gray-700/50 text-white placeholder:text-gray-400 focus-visible:ring-indigo-600 rounded-full"
-                disabled={isUploading}
-              />
-              <input
-                type="file"
-                accept="image/*"
-                ref={fileInputRef}
-                onChange={handleMessageImageChange}
-                className="hidden"
-              />
+          {activeConversation.isBlocked ? (
+            <div className="flex-shrink-0 border-t border-gray-800/50 p-4 bg-black/20 text-center text-sm text-gray-400">
+              You can't reply to this conversation
+            </div>
+          ) : (
+            <form
+              onSubmit={handleSendMessage}
+              className="flex-shrink-0 flex gap-2 border-t border-gray-800/50 p-4 bg-black/20"
+            >
+              <div className="relative flex-1">
+                <Input
+                  placeholder="Type a message..."
+                  value={newMessage}
+                  onChange={handleMessageChange}
+                  className="pr-10 bg-gray-800/50 border-gray-700/50 text-white placeholder:text-gray-400 focus-visible:ring-indigo-600 rounded-full"
+                  disabled={isUploading}
+                />
+                <input
+                  type="file"
+                  accept="image/*"
+                  ref={fileInputRef}
+                  onChange={handleMessageImageChange}
+                  className="hidden"
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  className="absolute right-2 top-1/2 -translate-y-1/2 h-8 w-8 rounded-full hover:bg-gray-700"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={isUploading || !!editingMessage}
+                >
+                  <Image className="h-4 w-4" />
+                </Button>
+              </div>
               <Button
-                type="button"
-                variant="ghost"
+                type="submit"
                 size="icon"
-                className="absolute right-2 top-1/2 -translate-y-1/2 h-8 w-8 rounded-full hover:bg-gray-700"
-                onClick={() => fileInputRef.current?.click()}
-                disabled={isUploading}
+                disabled={(!newMessage.trim() && !messageImage) || isUploading}
+                className="bg-indigo-600 hover:bg-indigo-700 transition-all duration-300 hover:scale-110 rounded-full mobile-touch-target"
               >
-                <Image className="h-4 w-4" />
+                {isUploading ? (
+                  <div className="h-4 w-4 animate-spin rounded-full border-2 border-white border-t-transparent"></div>
+                ) : (
+                  <Send className="h-4 w-4" />
+                )}
               </Button>
-            </div>
-            <Button
-              type="submit"
-              size="icon"
-              disabled={(!newMessage.trim() && !messageImage) || isUploading}
-              className="bg-indigo-600 hover:bg-indigo-700 transition-all duration-300 hover:scale-110 rounded-full mobile-touch-target"
-            >
-              {isUploading ? (
-                <div className="h-4 w-4 animate-spin rounded-full border-2 border-white border-t-transparent"></div>
-              ) : (
-                <Send className="h-4 w-4" />
-              )}
-            </Button>
-          </form>
+            </form>
+          )}
         </div>
       ) : (
         <div className="flex flex-1 items-center justify-center h-full bg-transparent md:flex hidden">
@@ -1219,6 +2138,58 @@ export function Messages() {
           )}
         </DialogContent>
       </Dialog>
+
+      {/* Earlier versions of an edited message */}
+      <Dialog open={historyOpen} onOpenChange={setHistoryOpen}>
+        <DialogContent className="sm:max-w-md bg-gray-900 border-gray-800">
+          <DialogHeader>
+            <DialogTitle className="text-white">Edit history</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-3">
+            {messageHistory.map((revision, index) => (
+              <div key={index} className="rounded-md bg-gray-800 px-3 py-2">
+                <div className="break-words text-sm text-white">
+                  {revision.text}
+                </div>
+                <div className="mt-1 text-xs text-gray-400">
+                  {formatDistanceToNow(new Date(revision.editedAt), {
+                    addSuffix: true,
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <MessageSearchDialog
+        open={searchOpen}
+        onOpenChange={setSearchOpen}
+        conversation={searchInConversation ? activeConversation : null}
+        onSelect={handleJumpToMessage}
+      />
+
+      <NewGroupDialog
+        open={newGroupOpen}
+        onOpenChange={setNewGroupOpen}
+        onCreated={(conversation) => {
+          setConversations((prev) => [
+            conversation,
+            ...prev.filter((conv) => conv.id !== conversation.id),
+          ]);
+          setActiveConversation(conversation);
+        }}
+      />
+
+      {activeConversation?.isGroup && (
+        <GroupInfoDialog
+          open={groupInfoOpen}
+          onOpenChange={setGroupInfoOpen}
+          conversation={activeConversation}
+          onUpdated={applyConversationUpdate}
+          onLeft={removeConversation}
+        />
+      )}
     </div>
   );
 }
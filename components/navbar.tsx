@@ -89,10 +89,11 @@ export function Navbar({
 
     // Set up socket listener for new notifications
     const socket = (window as any).socket;
+    const handleNewNotification = () => {
+      fetchUnreadCount();
+    };
     if (socket) {
-      socket.on("newNotification", () => {
-        fetchUnreadCount();
-      });
+      socket.on("newNotification", handleNewNotification);
     }
 
     // Refresh count every minute
@@ -100,8 +101,9 @@ export function Navbar({
 
     return () => {
       clearInterval(interval);
+      // Only remove this listener; others on the shared socket stay
       if (socket) {
-        socket.off("newNotification");
+        socket.off("newNotification", handleNewNotification);
       }
     };
   }, [user]);
@@ -126,20 +128,18 @@ export function Navbar({
 
     // Set up socket listener for new messages
     const socket = (window as any).socket;
+    const handleNewMessage = (message: any) => {
+      // Refetch rather than increment, since messages missed while offline
+      // are replayed on connect and may already be in the count
+      if (message.senderId !== user?.id) {
+        fetchUnreadMessages();
+      }
+    };
     if (socket) {
-      socket.on("newMessage", (message: any) => {
-        // Only increment if this is from a different user
-        if (message.senderId !== user?.id) {
-          // We'll increment the count of conversations with unread messages
-          // In a real app, we'd need to check if this is from a new conversation
-          setUnreadMessages((prev) => prev + 1);
-        }
-      });
+      socket.on("newMessage", handleNewMessage);
 
       // Add listener for updateUnreadCount event
-      socket.on("updateUnreadCount", () => {
-        fetchUnreadMessages();
-      });
+      socket.on("updateUnreadCount", fetchUnreadMessages);
     }
 
     // Refresh count every minute
@@ -148,8 +148,8 @@ export function Navbar({
     return () => {
       clearInterval(interval);
       if (socket) {
-        socket.off("newMessage");
-        socket.off("updateUnreadCount");
+        socket.off("newMessage", handleNewMessage);
+        socket.off("updateUnreadCount", fetchUnreadMessages);
       }
     };
   }, [user]);
@@ -0,0 +1,106 @@
+"use client";
+
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Users } from "lucide-react";
+import { UserPicker, type PickedUser } from "@/components/user-picker";
+import type { Conversation } from "@/lib/types";
+import { toast } from "@/hooks/use-toast";
+import axios from "axios";
+
+interface NewGroupDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onCreated: (conversation: Conversation) => void;
+}
+
+export function NewGroupDialog({
+  open,
+  onOpenChange,
+  onCreated,
+}: NewGroupDialogProps) {
+  const [name, setName] = useState("");
+  const [members, setMembers] = useState<PickedUser[]>([]);
+  const [creating, setCreating] = useState(false);
+
+  const handleCreate = async () => {
+    if (!name.trim() || members.length === 0) return;
+
+    try {
+      setCreating(true);
+      const { data } = await axios.post("/api/messages/groups", {
+        name: name.trim(),
+        memberIds: members.map((member) => member.id),
+      });
+
+      onCreated(data.data);
+      setName("");
+      setMembers([]);
+      onOpenChange(false);
+    } catch (error: any) {
+      console.error("Error creating group:", error);
+      toast({
+        title: "Error",
+        description:
+          error.response?.data?.message ||
+          "Failed to create group. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Users className="h-5 w-5" />
+            New group
+          </DialogTitle>
+          <DialogDescription>
+            Name your group and add the people you want to chat with.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          <Label htmlFor="group-name">Group name</Label>
+          <Input
+            id="group-name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={50}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <Label>Members</Label>
+          <UserPicker selected={members} onChange={setMembers} />
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleCreate}
+            disabled={!name.trim() || members.length === 0 || creating}
+          >
+            {creating ? "Creating..." : "Create group"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
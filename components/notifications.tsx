@@ -7,7 +7,7 @@ import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { ScrollArea } from "@/components/ui/scroll-area";
-import type { Notification } from "@/lib/types";
+import type { Notification, FollowRequest } from "@/lib/types";
 import {
   Heart,
   MessageCircle,
@@ -15,10 +15,13 @@ import {
   RefreshCw,
   AtSign,
   CheckCheck,
+  Flag,
 } from "lucide-react";
 import axios from "axios";
 import io from "socket.io-client";
+import { acknowledgeDeliveries } from "@/lib/socket";
 import { useAuth } from "@/components/auth-provider";
+import { FollowRequests } from "@/components/follow-requests";
 import { toast } from "@/hooks/use-toast";
 import { useMobile } from "@/hooks/use-mobile";
 
@@ -35,6 +38,7 @@ export function Notifications() {
   const [hasMore, setHasMore] = useState(true);
   const [page, setPage] = useState(1);
   const [error, setError] = useState<string | null>(null);
+  const [followRequests, setFollowRequests] = useState<FollowRequest[]>([]);
   const socketInitialized = useRef(false);
   const ITEMS_PER_PAGE = 20;
   const retryCount = useRef(0);
@@ -60,6 +64,7 @@ export function Notifications() {
           reconnectionDelay: 1000,
           timeout: 10000,
         });
+        acknowledgeDeliveries(socket);
 
         // Store socket in window for global access
         if (typeof window !== "undefined") {
@@ -83,7 +88,25 @@ export function Notifications() {
 
         socket.on("newNotification", (notification: Notification) => {
           console.log("New notification received:", notification);
-          setNotifications((prev) => [notification, ...prev]);
+          // Notifications missed while offline are replayed on connect, so
+          // skip any we already have
+          setNotifications((prev) =>
+            prev.some((n) => n.id === notification.id)
+              ? prev
+              : [notification, ...prev]
+          );
+        });
+
+        // Keep the follow request list in sync as requests arrive or are withdrawn
+        socket.on("followRequest", (request: FollowRequest) => {
+          setFollowRequests((prev) => [
+            request,
+            ...prev.filter((r) => r.id !== request.id),
+          ]);
+        });
+
+        socket.on("followRequestCancelled", ({ id }: { id: string }) => {
+          setFollowRequests((prev) => prev.filter((r) => r.id !== id));
         });
 
         socketInitialized.current = true;
@@ -176,13 +199,50 @@ export function Notifications() {
     }
   };
 
+  const fetchFollowRequests = async () => {
+    try {
+      const { data } = await axios.get("/api/users/follow-requests");
+      if (data.success) {
+        setFollowRequests(data.data || []);
+      }
+    } catch (error) {
+      console.error("Error fetching follow requests:", error);
+    }
+  };
+
   // Initial fetch
   useEffect(() => {
     if (user) {
       fetchNotifications();
+      fetchFollowRequests();
     }
   }, [user]);
 
+  const handleFollowRequest = async (
+    requestId: string,
+    action: "accept" | "decline"
+  ) => {
+    try {
+      await axios.put(`/api/users/follow-requests/${requestId}/${action}`);
+      const request = followRequests.find((r) => r.id === requestId);
+      setFollowRequests((prev) => prev.filter((r) => r.id !== requestId));
+
+      if (action === "accept" && request) {
+        toast({
+          title: "Request accepted",
+          description: `${request.user.username} is now following you`,
+        });
+      }
+    } catch (error) {
+      console.error(`Error trying to ${action} follow request:`, error);
+      toast({
+        title: "Error",
+        description: `Failed to ${action} follow request. Please try again.`,
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleLoadMore = () => {
     if (!loadingMore && hasMore) {
       const nextPage = page + 1;
@@ -194,6 +254,7 @@ export function Notifications() {
   const handleRefresh = () => {
     setPage(1);
     fetchNotifications(1, false);
+    fetchFollowRequests();
   };
 
   const handleMarkAllAsRead = async () => {
@@ -250,7 +311,11 @@ export function Notifications() {
       if (notification.postId) {
         router.push(`/post/${notification.postId}`);
       }
-    } else if (notification.type === "follow") {
+    } else if (
+      notification.type === "follow" ||
+      notification.type === "follow_request" ||
+      notification.type === "follow_accept"
+    ) {
       router.push(`/profile/${notification.user.username}`);
     } else if (notification.type === "tag") {
       if (notification.postId) {
@@ -258,7 +323,8 @@ export function Notifications() {
       }
     } else if (
       notification.type === "comment_like" ||
-      notification.type === "comment_reply"
+      notification.type === "comment_reply" ||
+      notification.type === "report_dismissed"
     ) {
       if (notification.postId) {
         router.push(`/post/${notification.postId}`);
@@ -316,6 +382,11 @@ export function Notifications() {
         return (
           <UserPlus className="h-4 w-4 text-green-500 animate-slide-right" />
         );
+      case "follow_request":
+      case "follow_accept":
+        return (
+          <UserPlus className="h-4 w-4 text-green-500 animate-slide-right" />
+        );
       case "tag":
         return <AtSign className="h-4 w-4 text-purple-500 animate-slide-up" />;
       case "comment_like":
@@ -324,6 +395,9 @@ export function Notifications() {
         return (
           <MessageCircle className="h-4 w-4 text-indigo-500 animate-slide-up" />
         );
+      case "report_resolved":
+      case "report_dismissed":
+        return <Flag className="h-4 w-4 text-orange-500 animate-slide-up" />;
       default:
         return null;
     }
@@ -353,6 +427,20 @@ export function Notifications() {
             started following you
           </>
         );
+      case "follow_request":
+        return (
+          <>
+            <span className="font-semibold">{notification.user.username}</span>{" "}
+            requested to follow you
+          </>
+        );
+      case "follow_accept":
+        return (
+          <>
+            <span className="font-semibold">{notification.user.username}</span>{" "}
+            accepted your follow request
+          </>
+        );
       case "tag":
         // Check if this is a tag in a comment or in a post
         if (notification.comment) {
@@ -388,6 +476,10 @@ export function Notifications() {
             replied to your comment: "{notification.content}"
           </>
         );
+      case "report_resolved":
+      case "report_dismissed":
+        // Report outcomes come from moderators, so show the message on its own
+        return <>{notification.content}</>;
       default:
         return null;
     }
@@ -446,6 +538,12 @@ export function Notifications() {
         </div>
       )}
 
+      <FollowRequests
+        requests={followRequests}
+        onAccept={(requestId) => handleFollowRequest(requestId, "accept")}
+        onDecline={(requestId) => handleFollowRequest(requestId, "decline")}
+      />
+
       <Card>
         <ScrollArea className="h-[calc(100vh-12rem)]">
           <CardContent className="p-0">
@@ -15,6 +15,9 @@ import {
   Edit2,
   UserPlus,
   AtSign,
+  Flag,
+  UserMinus,
+  EyeOff,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardFooter, CardHeader } from "@/components/ui/card";
@@ -34,6 +37,7 @@ import { cn } from "@/lib/utils";
 import Link from "next/link";
 import { useRouter } from "next/navigation";
 import { ShareDialog } from "@/components/share-dialog";
+import { ReportDialog } from "@/components/report-dialog";
 import {
   Popover,
   PopoverContent,
@@ -51,6 +55,7 @@ import axios from "axios";
 import { toast } from "@/hooks/use-toast";
 import { Textarea } from "@/components/ui/textarea";
 import { useMobile } from "@/hooks/use-mobile";
+import { usePostRoom } from "@/hooks/use-post-room";
 
 // Add this at the beginning of the file, after the imports
 // Declare the global window type to include our comment ID mapping
@@ -89,6 +94,7 @@ export function Post({ post, onDelete, onLike, onComment }: PostProps) {
   const [comment, setComment] = useState("");
   const [showComments, setShowComments] = useState(false);
   const [shareDialogOpen, setShareDialogOpen] = useState(false);
+  const [reportDialogOpen, setReportDialogOpen] = useState(false);
   const commentInputRef = useRef<HTMLInputElement>(null);
   const router = useRouter();
   const [replyingTo, setReplyingTo] = useState<{
@@ -115,6 +121,59 @@ export function Post({ post, onDelete, onLike, onComment }: PostProps) {
 
   const isCurrentUserPost = post.user.id === user?.id;
 
+  // Blurred posts stay hidden until the user taps to reveal them
+  const [revealed, setRevealed] = useState(false);
+
+  // Whether the current user removed their own tag from this post
+  const [removedOwnTag, setRemovedOwnTag] = useState(false);
+  const visibleTaggedUsers = (post.taggedUsers || []).filter(
+    (taggedUser) => !(removedOwnTag && taggedUser.id === user?.id)
+  );
+  const isTaggedInPost = visibleTaggedUsers.some(
+    (taggedUser) => taggedUser.id === user?.id
+  );
+
+  // Re-render the parent list with an updated copy of this post
+  const replacePost = (updatedPost: PostType) => {
+    onComment(post.id, {
+      id: "refresh-trigger",
+      user: "",
+      text: "",
+      isRefreshTrigger: true,
+      updatedPost,
+    });
+  };
+
+  // Live updates from other viewers while this post is on screen. Our own
+  // likes and comments are already applied optimistically.
+  const cardRef = usePostRoom(post.id, {
+    onPostLiked: ({ userId, likeCount }) => {
+      if (userId === user?.id) return;
+      replacePost({ ...post, likes: likeCount });
+    },
+    onCommentAdded: ({ userId, comment }) => {
+      if (userId === user?.id) return;
+      if (post.comments.some((c) => c.id === comment.id)) return;
+      replacePost({ ...post, comments: [...post.comments, comment] });
+    },
+    onCommentLiked: ({ userId, commentId, likeCount }) => {
+      if (userId === user?.id) return;
+      replacePost({
+        ...post,
+        comments: post.comments.map((c) =>
+          c.id === commentId ? { ...c, likeCount } : c
+        ),
+      });
+    },
+    onCommentDeleted: ({ commentIds }) => {
+      if (!post.comments.some((c) => commentIds.includes(c.id))) return;
+      replacePost({
+        ...post,
+        comments: post.comments.filter((c) => !commentIds.includes(c.id)),
+      });
+    },
+  });
+
   const handleLike = () => {
     onLike(post.id);
   };
@@ -130,6 +189,26 @@ export function Post({ post, onDelete, onLike, onComment }: PostProps) {
     }, 100);
   };
 
+  const handleRemoveTag = async () => {
+    try {
+      await axios.delete(`/api/posts/${post.id}/tags/me`);
+      setRemovedOwnTag(true);
+      toast({
+        title: "Tag removed",
+        description: "You're no longer tagged in this meme",
+      });
+    } catch (error: any) {
+      console.error("Error removing tag:", error);
+      toast({
+        title: "Error",
+        description:
+          error.response?.data?.message ||
+          "Failed to remove tag. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleEdit = () => {
     setEditedText(post.text);
     setIsEditing(true);
@@ -1097,14 +1176,14 @@ export function Post({ post, onDelete, onLike, onComment }: PostProps) {
 
   // Display tagged users in post
   const renderTaggedUsers = () => {
-    if (!post.taggedUsers || post.taggedUsers.length === 0) return null;
+    if (visibleTaggedUsers.length === 0) return null;
 
     return (
       <div className="px-4 py-2 border-t">
         <div className="flex items-center gap-1 text-sm text-muted-foreground">
           <Tag className="h-3 w-3" />
           <span>Tagged:</span>
-          {post.taggedUsers.map((taggedUser, index) => (
+          {visibleTaggedUsers.map((taggedUser, index) => (
             <React.Fragment key={taggedUser.id}>
               <Link
                 href={`/profile/${taggedUser.username}`}
@@ -1112,7 +1191,7 @@ export function Post({ post, onDelete, onLike, onComment }: PostProps) {
               >
                 @{taggedUser.username}
               </Link>
-              {index < post.taggedUsers.length - 1 && ", "}
+              {index < visibleTaggedUsers.length - 1 && ", "}
             </React.Fragment>
           ))}
         </div>
@@ -1121,7 +1200,10 @@ export function Post({ post, onDelete, onLike, onComment }: PostProps) {
   };
 
   return (
-    <Card className="overflow-hidden animate-fade-in hover:shadow-md transition-shadow duration-300">
+    <Card
+      ref={cardRef}
+      className="overflow-hidden animate-fade-in hover:shadow-md transition-shadow duration-300"
+    >
       <CardHeader className="flex flex-row items-center gap-3 space-y-0 p-4">
         <Link href={`/profile/${post.user.username}`}>
           <Avatar>
@@ -1176,10 +1258,58 @@ export function Post({ post, onDelete, onLike, onComment }: PostProps) {
             </DropdownMenuContent>
           </DropdownMenu>
         )}
+
+        {!isCurrentUserPost && (
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" size="icon" className="rounded-full">
+                <MoreHorizontal className="h-4 w-4" />
+                <span className="sr-only">More options</span>
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              {isTaggedInPost && (
+                <DropdownMenuItem onClick={handleRemoveTag}>
+                  <UserMinus className="mr-2 h-4 w-4" />
+                  Remove tag
+                </DropdownMenuItem>
+              )}
+              <DropdownMenuItem
+                onClick={() => setReportDialogOpen(true)}
+                className="text-destructive"
+              >
+                <Flag className="mr-2 h-4 w-4" />
+                Report
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+        )}
       </CardHeader>
 
       {isEditing ? (
         renderMemeContent()
+      ) : post.blurred && !revealed ? (
+        <div className="relative overflow-hidden">
+          <div
+            className="pointer-events-none select-none blur-2xl"
+            aria-hidden="true"
+          >
+            {renderMemeContent()}
+          </div>
+          <button
+            type="button"
+            onClick={() => setRevealed(true)}
+            className="absolute inset-0 flex flex-col items-center justify-center gap-2 bg-black/40 text-white"
+          >
+            <EyeOff className="h-8 w-8" />
+            <span className="font-semibold">
+              {post.contentRating === "mature"
+                ? "Mature content"
+                : "Sensitive content"}
+            </span>
+            <span className="text-sm">Tap to reveal</span>
+          </button>
+        </div>
       ) : (
         <Dialog>
           <DialogTrigger asChild>{renderMemeContent()}</DialogTrigger>
@@ -1530,6 +1660,13 @@ export function Post({ post, onDelete, onLike, onComment }: PostProps) {
           post={post}
           className="animate-fade-in"
         />
+
+        {/* Report Dialog */}
+        <ReportDialog
+          open={reportDialogOpen}
+          onOpenChange={setReportDialogOpen}
+          postId={post.id}
+        />
       </CardFooter>
     </Card>
   );
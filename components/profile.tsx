@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { useRouter } from "next/navigation";
 import Link from "next/link";
 import { Button } from "@/components/ui/button";
@@ -14,6 +14,12 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { ScrollArea } from "@/components/ui/scroll-area";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
 import {
   Edit,
   Grid3X3,
@@ -26,6 +32,11 @@ import {
   Calendar,
   MapPin,
   LinkIcon,
+  Lock,
+  AtSign,
+  MoreHorizontal,
+  Ban,
+  VolumeX,
 } from "lucide-react";
 import { useAuth } from "@/components/auth-provider";
 import { Post } from "@/components/post";
@@ -35,6 +46,7 @@ import type { UserProfile, Post as PostType } from "@/lib/types";
 import axios from "axios";
 import { toast } from "@/hooks/use-toast";
 import { useMobile } from "@/hooks/use-mobile";
+import { useInfiniteScroll } from "@/hooks/use-infinite-scroll";
 
 interface ProfileProps {
   profile: UserProfile;
@@ -55,6 +67,15 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
   const [isFollowing, setIsFollowing] = useState(
     initialProfile?.isFollowing || false
   );
+  const [followRequested, setFollowRequested] = useState(
+    initialProfile?.followRequested || false
+  );
+  const [isBlocked, setIsBlocked] = useState(
+    initialProfile?.isBlocked || false
+  );
+  const [isMuted, setIsMuted] = useState(initialProfile?.isMuted || false);
+  // Bumped to fetch the profile again, e.g. after unblocking
+  const [profileVersion, setProfileVersion] = useState(0);
   const [followerCount, setFollowerCount] = useState(
     initialProfile?.followers || 0
   );
@@ -68,6 +89,12 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
     useState<UserProfile>(initialProfile);
   const [loading, setLoading] = useState(true);
   const [viewMode, setViewMode] = useState<"grid" | "list">("grid");
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [taggedPosts, setTaggedPosts] = useState<PostType[]>([]);
+  const [taggedCursor, setTaggedCursor] = useState<string | null>(null);
+  const [taggedLoaded, setTaggedLoaded] = useState(false);
+  const [loadingTagged, setLoadingTagged] = useState(false);
 
   // Followers/Following dialog state
   const [followDialogOpen, setFollowDialogOpen] = useState(false);
@@ -92,7 +119,11 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
         if (data.success) {
           setCurrentProfile(data.data.user);
           setPosts(data.data.posts);
+          setNextCursor(data.nextCursor || null);
           setIsFollowing(data.data.user.isFollowing);
+          setFollowRequested(data.data.user.followRequested || false);
+          setIsBlocked(data.data.user.isBlocked || false);
+          setIsMuted(data.data.user.isMuted || false);
           setFollowerCount(data.data.user.followers);
           setFollowingCount(data.data.user.following);
         }
@@ -111,7 +142,63 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
     if (user) {
       fetchProfile();
     }
-  }, [user, username, isCurrentUser]);
+  }, [user, username, isCurrentUser, profileVersion]);
+
+  // Load the next page of posts when the user scrolls to the bottom
+  const loadMorePosts = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const endpoint = isCurrentUser
+        ? "/api/users/me"
+        : `/api/users/${username}`;
+      const { data } = await axios.get(endpoint, {
+        params: { cursor: nextCursor },
+      });
+
+      if (data.success) {
+        setPosts((currentPosts) => [...currentPosts, ...data.data.posts]);
+        setNextCursor(data.nextCursor || null);
+      }
+    } catch (error) {
+      console.error("Error fetching more posts:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [isCurrentUser, username, nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(
+    loadMorePosts,
+    !!nextCursor && !loadingMore
+  );
+
+  // Load posts the current user is tagged in, a page at a time
+  const fetchTaggedPosts = useCallback(async () => {
+    if (loadingTagged || (taggedLoaded && !taggedCursor)) return;
+
+    try {
+      setLoadingTagged(true);
+      const { data } = await axios.get("/api/users/me/tagged", {
+        params: taggedCursor ? { cursor: taggedCursor } : undefined,
+      });
+
+      if (data.success) {
+        setTaggedPosts((currentPosts) => [...currentPosts, ...data.data]);
+        setTaggedCursor(data.nextCursor || null);
+        setTaggedLoaded(true);
+      }
+    } catch (error) {
+      console.error("Error fetching tagged posts:", error);
+    } finally {
+      setLoadingTagged(false);
+    }
+  }, [loadingTagged, taggedLoaded, taggedCursor]);
+
+  const taggedSentinelRef = useInfiniteScroll(
+    fetchTaggedPosts,
+    !!taggedCursor && !loadingTagged
+  );
 
   // Update profile when user changes (for username updates from settings)
   useEffect(() => {
@@ -129,6 +216,20 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
       const { data } = await axios.put(`/api/users/${username}/follow`);
 
       if (data.success) {
+        // Private accounts have to approve the request first
+        if (data.data.followRequested !== undefined) {
+          setFollowRequested(data.data.followRequested);
+          toast({
+            title: data.data.followRequested
+              ? "Request sent"
+              : "Request cancelled",
+            description: data.data.followRequested
+              ? `${username} will be asked to approve your follow request`
+              : `Your follow request to ${username} was withdrawn`,
+          });
+          return;
+        }
+
         setIsFollowing(data.data.isFollowing);
         setFollowerCount((prev) =>
           data.data.isFollowing ? prev + 1 : prev - 1
@@ -162,6 +263,75 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
     }
   };
 
+  const handleBlock = async () => {
+    try {
+      const { data } = await axios.put(`/api/users/${username}/block`);
+
+      if (data.success) {
+        setIsBlocked(data.data.isBlocked);
+        toast({
+          title: "Success",
+          description: data.data.isBlocked
+            ? `You blocked ${username}`
+            : `You unblocked ${username}`,
+        });
+
+        // Blocking removes follows both ways, so load the profile again
+        setProfileVersion((prev) => prev + 1);
+      }
+    } catch (error) {
+      console.error("Error blocking/unblocking user:", error);
+      toast({
+        title: "Error",
+        description: "Failed to block/unblock user. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleMute = async () => {
+    try {
+      const { data } = await axios.put(`/api/users/${username}/mute`);
+
+      if (data.success) {
+        setIsMuted(data.data.isMuted);
+        toast({
+          title: "Success",
+          description: data.data.isMuted
+            ? `You muted ${username}. Their memes and notifications are hidden.`
+            : `You unmuted ${username}`,
+        });
+      }
+    } catch (error) {
+      console.error("Error muting/unmuting user:", error);
+      toast({
+        title: "Error",
+        description: "Failed to mute/unmute user. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const renderUserActions = (className?: string) => (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="icon" className={className}>
+          <MoreHorizontal className="h-4 w-4" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuItem onClick={handleMute}>
+          <VolumeX className="mr-2 h-4 w-4" />
+          {isMuted ? "Unmute" : "Mute"}
+        </DropdownMenuItem>
+        <DropdownMenuItem onClick={handleBlock} className="text-red-500">
+          <Ban className="mr-2 h-4 w-4" />
+          {isBlocked ? "Unblock" : "Block"}
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+
   const handleDeletePost = async (postId: string) => {
     try {
       await axios.delete(`/api/posts/${postId}`);
@@ -201,14 +371,20 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
       user: string;
       text: string;
       isRefreshTrigger?: boolean;
+      updatedPost?: PostType;
     }
   ) => {
     // If this is just a refresh trigger, don't make an API call
     if (comment.isRefreshTrigger) {
-      // Create a new posts array to force a re-render
-      setPosts((currentPosts) =>
-        currentPosts.map((post) => (post.id === postId ? { ...post } : post))
-      );
+      // Use the updated post if one was provided, otherwise create a new
+      // posts array to force a re-render
+      const refresh = (currentPosts: PostType[]) =>
+        currentPosts.map((post) =>
+          post.id === postId ? comment.updatedPost || { ...post } : post
+        );
+
+      setPosts(refresh);
+      setTaggedPosts(refresh);
       return;
     }
 
@@ -282,6 +458,9 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
   };
 
   const openFollowDialog = async (type: "followers" | "following") => {
+    // Lists of restricted profiles are only visible to followers
+    if (currentProfile.canView === false) return;
+
     setFollowDialogType(type);
     setFollowDialogOpen(true);
     setLoadingFollowUsers(true);
@@ -448,7 +627,11 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
                         onClick={handleFollow}
                         className="rounded-full transition-all duration-300 hover:scale-105"
                       >
-                        {isFollowing ? "Following" : "Follow"}
+                        {isFollowing
+                          ? "Following"
+                          : followRequested
+                          ? "Requested"
+                          : "Follow"}
                       </Button>
                       <Button
                         variant="outline"
@@ -458,6 +641,7 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
                         <MessageSquare className="mr-2 h-4 w-4" />
                         Message
                       </Button>
+                      {renderUserActions("rounded-full")}
                     </>
                   )}
                 </div>
@@ -483,7 +667,9 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
                     </div>
                   </button>
                   <div className="text-center">
-                    <div className="font-bold text-lg">{posts.length}</div>
+                    <div className="font-bold text-lg">
+                      {currentProfile.postCount ?? posts.length}
+                    </div>
                     <div className="text-xs text-muted-foreground">Posts</div>
                   </div>
                 </div>
@@ -585,12 +771,17 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
                         onClick={handleFollow}
                         className="transition-all duration-300 hover:scale-105"
                       >
-                        {isFollowing ? "Following" : "Follow"}
+                        {isFollowing
+                          ? "Following"
+                          : followRequested
+                          ? "Requested"
+                          : "Follow"}
                       </Button>
                       <Button variant="outline" onClick={handleMessageUser}>
                         <MessageSquare className="mr-2 h-4 w-4" />
                         Message
                       </Button>
+                      {renderUserActions()}
                     </div>
                   )}
                 </div>
@@ -615,7 +806,9 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
                     </div>
                   </button>
                   <div className="text-center">
-                    <div className="font-bold">{posts.length}</div>
+                    <div className="font-bold">
+                      {currentProfile.postCount ?? posts.length}
+                    </div>
                     <div className="text-sm text-muted-foreground">Posts</div>
                   </div>
                 </div>
@@ -642,17 +835,84 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
     }
   };
 
+  // Render posts in the selected view mode
+  const renderPostList = (items: PostType[]) =>
+    viewMode === "grid" ? (
+      <div className="grid grid-cols-3 gap-2 p-1 animate-fade-in">
+        {items.map((post, index) => (
+          <div
+            key={post.id}
+            className="relative group aspect-square overflow-hidden rounded-xl shadow-sm"
+            style={{ animationDelay: `${index * 0.05}s` }}
+          >
+            <Link href={`/post/${post.id}`}>
+              <div className="h-full w-full overflow-hidden">
+                <img
+                  src={post.image || "/placeholder.svg"}
+                  alt={post.text}
+                  className={`h-full w-full object-cover transition-transform duration-300 group-hover:scale-110 ${
+                    post.blurred ? "blur-xl" : ""
+                  }`}
+                />
+              </div>
+              <div className="absolute inset-0 bg-black/40 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center rounded-xl">
+                <div className="text-white flex gap-4">
+                  <div className="flex items-center gap-1">
+                    <Heart className="h-5 w-5 fill-white" />
+                    <span>{post.likes}</span>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <MessageCircle className="h-5 w-5" />
+                    <span>{post.comments.length}</span>
+                  </div>
+                </div>
+              </div>
+            </Link>
+          </div>
+        ))}
+      </div>
+    ) : (
+      <div className="space-y-6">
+        {items.map((post) => (
+          <Post
+            key={post.id}
+            post={post}
+            onDelete={handleDeletePost}
+            onLike={handleLikePost}
+            onComment={handleAddComment}
+          />
+        ))}
+      </div>
+    );
+
   return (
     <div className="mx-auto max-w-4xl space-y-6">
       {renderProfileCard()}
 
-      <Tabs defaultValue="posts">
+      <Tabs
+        defaultValue="posts"
+        onValueChange={(value) => {
+          if (value === "tagged" && !taggedLoaded) fetchTaggedPosts();
+        }}
+      >
         <div className="flex justify-between items-center">
-          <TabsList className="grid w-full max-w-[200px] grid-cols-1">
+          <TabsList
+            className={`grid w-full ${
+              isCurrentUser
+                ? "max-w-[300px] grid-cols-2"
+                : "max-w-[200px] grid-cols-1"
+            }`}
+          >
             <TabsTrigger value="posts" className="flex items-center gap-2">
               <Grid3X3 className="h-4 w-4" />
               Posts
             </TabsTrigger>
+            {isCurrentUser && (
+              <TabsTrigger value="tagged" className="flex items-center gap-2">
+                <AtSign className="h-4 w-4" />
+                Tagged
+              </TabsTrigger>
+            )}
           </TabsList>
 
           <div className="flex gap-2">
@@ -676,7 +936,28 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
         </div>
 
         <TabsContent value="posts" className="mt-6">
-          {posts.length === 0 ? (
+          {isBlocked ? (
+            <div className="flex flex-col items-center justify-center rounded-lg border border-dashed p-12 text-center">
+              <Ban className="mb-2 h-8 w-8 text-muted-foreground" />
+              <h3 className="text-lg font-medium">
+                You blocked {currentProfile.username}
+              </h3>
+              <p className="mb-4 text-muted-foreground">
+                Unblock them to see their memes.
+              </p>
+              <Button variant="outline" onClick={handleBlock}>
+                Unblock
+              </Button>
+            </div>
+          ) : currentProfile.canView === false ? (
+            <div className="flex flex-col items-center justify-center rounded-lg border border-dashed p-12 text-center">
+              <Lock className="mb-2 h-8 w-8 text-muted-foreground" />
+              <h3 className="text-lg font-medium">This account is private</h3>
+              <p className="text-muted-foreground">
+                Follow {currentProfile.username} to see their memes.
+              </p>
+            </div>
+          ) : posts.length === 0 ? (
             <div className="flex flex-col items-center justify-center rounded-lg border border-dashed p-12 text-center">
               <h3 className="text-lg font-medium">No posts yet</h3>
               <p className="text-muted-foreground">
@@ -685,52 +966,37 @@ export function Profile({ profile: initialProfile, username }: ProfileProps) {
                   : `${currentProfile.username} hasn't posted any memes yet.`}
               </p>
             </div>
-          ) : viewMode === "grid" ? (
-            <div className="grid grid-cols-3 gap-2 p-1 animate-fade-in">
-              {posts.map((post, index) => (
-                <div
-                  key={post.id}
-                  className="relative group aspect-square overflow-hidden rounded-xl shadow-sm"
-                  style={{ animationDelay: `${index * 0.05}s` }}
-                >
-                  <Link href={`/post/${post.id}`}>
-                    <div className="h-full w-full overflow-hidden">
-                      <img
-                        src={post.image || "/placeholder.svg"}
-                        alt={post.text}
-                        className="h-full w-full object-cover transition-transform duration-300 group-hover:scale-110"
-                      />
-                    </div>
-                    <div className="absolute inset-0 bg-black/40 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center rounded-xl">
-                      <div className="text-white flex gap-4">
-                        <div className="flex items-center gap-1">
-                          <Heart className="h-5 w-5 fill-white" />
-                          <span>{post.likes}</span>
-                        </div>
-                        <div className="flex items-center gap-1">
-                          <MessageCircle className="h-5 w-5" />
-                          <span>{post.comments.length}</span>
-                        </div>
-                      </div>
-                    </div>
-                  </Link>
-                </div>
-              ))}
-            </div>
           ) : (
-            <div className="space-y-6">
-              {posts.map((post) => (
-                <Post
-                  key={post.id}
-                  post={post}
-                  onDelete={handleDeletePost}
-                  onLike={handleLikePost}
-                  onComment={handleAddComment}
-                />
-              ))}
+            renderPostList(posts)
+          )}
+          <div ref={sentinelRef} />
+          {loadingMore && (
+            <div className="flex justify-center py-6">
+              <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
             </div>
           )}
         </TabsContent>
+
+        {isCurrentUser && (
+          <TabsContent value="tagged" className="mt-6">
+            {taggedLoaded && taggedPosts.length === 0 ? (
+              <div className="flex flex-col items-center justify-center rounded-lg border border-dashed p-12 text-center">
+                <h3 className="text-lg font-medium">No tagged memes</h3>
+                <p className="text-muted-foreground">
+                  Memes you're tagged in will show up here.
+                </p>
+              </div>
+            ) : (
+              renderPostList(taggedPosts)
+            )}
+            <div ref={taggedSentinelRef} />
+            {loadingTagged && (
+              <div className="flex justify-center py-6">
+                <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+              </div>
+            )}
+          </TabsContent>
+        )}
       </Tabs>
 
       <EditProfileDialog
@@ -0,0 +1,123 @@
+"use client";
+
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { Flag } from "lucide-react";
+import { toast } from "@/hooks/use-toast";
+import axios from "axios";
+
+interface ReportDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  postId: string;
+}
+
+// Must match the reasons accepted by the Report model
+const REPORT_REASONS = [
+  { value: "spam", label: "Spam" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "hate_speech", label: "Hate speech" },
+  { value: "nudity", label: "Nudity or sexual content" },
+  { value: "violence", label: "Violence" },
+  { value: "misinformation", label: "Misinformation" },
+  { value: "copyright", label: "Copyright infringement" },
+  { value: "other", label: "Something else" },
+];
+
+export function ReportDialog({ open, onOpenChange, postId }: ReportDialogProps) {
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!reason) return;
+
+    try {
+      setSubmitting(true);
+      const { data } = await axios.post(`/api/posts/${postId}/report`, {
+        reason,
+        details,
+      });
+
+      toast({
+        title: "Report submitted",
+        description: data.message,
+      });
+
+      setReason("");
+      setDetails("");
+      onOpenChange(false);
+    } catch (error: any) {
+      console.error("Error reporting post:", error);
+      toast({
+        title: "Error",
+        description:
+          error.response?.data?.message || "Failed to report post. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Flag className="h-5 w-5" />
+            Report meme
+          </DialogTitle>
+          <DialogDescription>
+            Why are you reporting this meme? Your report is anonymous to the
+            poster.
+          </DialogDescription>
+        </DialogHeader>
+
+        <RadioGroup value={reason} onValueChange={setReason} className="gap-3">
+          {REPORT_REASONS.map((option) => (
+            <div key={option.value} className="flex items-center space-x-2">
+              <RadioGroupItem
+                value={option.value}
+                id={`report-${option.value}`}
+              />
+              <Label htmlFor={`report-${option.value}`}>{option.label}</Label>
+            </div>
+          ))}
+        </RadioGroup>
+
+        <Textarea
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          placeholder="Add any details that would help our moderators (optional)"
+          maxLength={500}
+          className="min-h-[80px]"
+        />
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={handleSubmit}
+            disabled={!reason || submitting}
+          >
+            {submitting ? "Submitting..." : "Submit report"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
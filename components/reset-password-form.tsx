@@ -0,0 +1,106 @@
+"use client"
+
+import type React from "react"
+
+import { useState } from "react"
+import { useSearchParams } from "next/navigation"
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Card, CardContent, CardDescription, CardFooter, CardHeader } from "@/components/ui/card"
+import { LaughIcon } from "lucide-react"
+import axios from "axios"
+
+export function ResetPasswordForm() {
+  const searchParams = useSearchParams()
+  const token = searchParams.get("token") || ""
+  const [passwords, setPasswords] = useState({ password: "", confirmPassword: "" })
+  const [isLoading, setIsLoading] = useState(false)
+  const [message, setMessage] = useState("")
+  const [error, setError] = useState("")
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setError("")
+
+    if (passwords.password !== passwords.confirmPassword) {
+      setError("Passwords do not match")
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const { data } = await axios.post("/api/auth/reset-password", {
+        token,
+        password: passwords.password,
+      })
+      setMessage(data.message)
+    } catch (error: any) {
+      console.error("Reset password error:", error)
+      setError(error.response?.data?.message || "Something went wrong. Please try again.")
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Card className="w-full max-w-md shadow-lg animate-fade-in">
+      <CardHeader className="space-y-2 text-center">
+        <div className="flex justify-center">
+          <div className="flex items-center gap-2 text-2xl font-bold">
+            <LaughIcon className="h-8 w-8 text-primary" />
+            ChuckleChain
+          </div>
+        </div>
+        <CardDescription>Choose a new password</CardDescription>
+      </CardHeader>
+      <form onSubmit={handleSubmit}>
+        <CardContent className="space-y-4">
+          {message ? (
+            <p className="text-sm text-muted-foreground">{message}</p>
+          ) : !token ? (
+            <p className="text-sm text-destructive">This reset link is missing its token.</p>
+          ) : (
+            <>
+              <div className="space-y-2">
+                <Label htmlFor="password">New Password</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  placeholder="Enter a new password"
+                  value={passwords.password}
+                  onChange={(e) => setPasswords({ ...passwords, password: e.target.value })}
+                  minLength={6}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="confirm-password">Confirm Password</Label>
+                <Input
+                  id="confirm-password"
+                  type="password"
+                  placeholder="Confirm your new password"
+                  value={passwords.confirmPassword}
+                  onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+                  required
+                />
+              </div>
+            </>
+          )}
+          {error && <p className="text-sm text-destructive">{error}</p>}
+        </CardContent>
+        <CardFooter className="flex flex-col gap-2">
+          {!message && token && (
+            <Button type="submit" className="w-full" disabled={isLoading}>
+              {isLoading ? "Saving..." : "Reset password"}
+            </Button>
+          )}
+          <Link href="/" className="text-sm text-primary hover:underline">
+            Back to login
+          </Link>
+        </CardFooter>
+      </form>
+    </Card>
+  )
+}
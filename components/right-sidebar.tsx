@@ -179,12 +179,8 @@ export function RightSidebar() {
                 id: user.id,
                 username: user.username,
                 profilePic: user.profilePicture,
-                posts: userProfile?.posts?.length || 1,
-                likes:
-                  userProfile?.posts?.reduce(
-                    (sum: number, post: any) => sum + post.likes,
-                    0
-                  ) || 0,
+                posts: userProfile?.user?.postCount || 1,
+                likes: userProfile?.stats?.totalLikes || 0,
               },
             ]);
           }
@@ -209,23 +205,14 @@ export function RightSidebar() {
           if (data.success) {
             setUserProfile(data.data);
 
-            // Calculate total likes across all posts
+            // Totals come from the server since posts is only the first page
             const posts = data.data.posts || [];
-            const totalLikes = posts.reduce(
-              (sum: number, post: any) => sum + post.likes,
-              0
-            );
+            const { totalLikes, totalComments, lastPostAt } = data.data.stats;
             setTotalLikes(totalLikes);
-
-            // Calculate total comments
-            const totalComments = posts.reduce(
-              (sum: number, post: any) => sum + post.comments.length,
-              0
-            );
             setTotalComments(totalComments);
 
             // Calculate streak
-            calculateStreak(posts);
+            calculateStreak(data.data.user.currentStreak, lastPostAt);
 
             // Calculate progress to next badge (Meme Lord)
             const nextBadgeRequirement = 10000;
@@ -255,7 +242,7 @@ export function RightSidebar() {
                   id: user.id,
                   username: user.username,
                   profilePic: user.profilePicture,
-                  posts: posts.length,
+                  posts: data.data.user.postCount,
                   likes: totalLikes,
                 },
               ]);
@@ -272,21 +259,15 @@ export function RightSidebar() {
     fetchUserProfile();
   }, [user]);
 
-  // Calculate streak based on post dates
-  const calculateStreak = (posts: any[]) => {
-    if (!posts || posts.length === 0) {
+  // The server counts the streak as posts are made, so it only needs
+  // checking that it hasn't been broken since the last post
+  const calculateStreak = (currentStreak: number, lastPostAt: string | null) => {
+    if (!lastPostAt) {
       setStreak(0);
       return;
     }
 
-    // Sort posts by date (newest first)
-    const sortedPosts = [...posts].sort(
-      (a, b) =>
-        new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
-    );
-
-    // Get the most recent post date
-    const mostRecentPost = new Date(sortedPosts[0].createdAt);
+    const mostRecentPost = new Date(lastPostAt);
     setLastPostDate(mostRecentPost);
 
     // Check if the most recent post is from today or yesterday
@@ -305,33 +286,7 @@ export function RightSidebar() {
       return;
     }
 
-    // Count consecutive days with posts
-    let currentStreak = 1; // Start with 1 for the most recent day
-    let currentDate = mostRecentPostDate;
-
-    // Create a map of dates with posts
-    const postDates = new Map();
-    for (const post of posts) {
-      const postDate = new Date(post.createdAt);
-      postDate.setHours(0, 0, 0, 0);
-      postDates.set(postDate.getTime(), true);
-    }
-
-    // Count back from the most recent post date
-    while (true) {
-      // Move to previous day
-      currentDate = new Date(currentDate);
-      currentDate.setDate(currentDate.getDate() - 1);
-
-      // Check if there's a post on this day
-      if (postDates.has(currentDate.getTime())) {
-        currentStreak++;
-      } else {
-        break;
-      }
-    }
-
-    setStreak(currentStreak);
+    setStreak(currentStreak || 1);
   };
 
   // Skip rendering if no user or on certain pages
@@ -351,10 +306,8 @@ export function RightSidebar() {
       return totalComments >= badge.requirement;
     }
     // For Award Winner badge, check if any of the user's posts are in top memes
-    if (badge.id === "award-winner" && userProfile?.posts) {
-      const userPostIds = userProfile.posts.map((post: any) => post.id);
-      const topMemeIds = topMemes.map((meme) => meme.id);
-      return userPostIds.some((id) => topMemeIds.includes(id));
+    if (badge.id === "award-winner") {
+      return topMemes.some((meme) => meme.username === user.username);
     }
     return false;
   });
@@ -410,7 +363,7 @@ export function RightSidebar() {
           <div className="grid grid-cols-3 gap-2 text-center">
             <div className="rounded-md bg-muted/50 p-2">
               <div className="text-sm font-medium">
-                {userProfile?.posts?.length || 0}
+                {userProfile?.user?.postCount || 0}
               </div>
               <div className="text-xs text-muted-foreground">Posts</div>
             </div>
@@ -19,6 +19,11 @@ import { Switch } from "@/components/ui/switch";
 import { Slider } from "@/components/ui/slider";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { useAuth } from "@/components/auth-provider";
+import { BlockedUsers } from "@/components/blocked-users";
+import { ActiveSessions } from "@/components/active-sessions";
+import { TwoFactorSettings } from "@/components/two-factor-settings";
+import { UsernameSettings } from "@/components/username-settings";
+import { EmailSettings } from "@/components/email-settings";
 import { Lock, Palette, User, Shield, AlertTriangle } from "lucide-react";
 import { toast } from "@/hooks/use-toast";
 import axios from "axios";
@@ -41,6 +46,8 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
     allowTagging: true,
     showOnlineStatus: true,
     showReadReceipts: true,
+    profileVisibility: "public",
+    contentFilter: "standard",
   });
   const [isSaving, setIsSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState<Record<string, boolean>>({
@@ -57,8 +64,6 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
 
   // Add account state
   const [accountSettings, setAccountSettings] = useState({
-    username: user?.username || "",
-    email: "",
     bio: "",
   });
 
@@ -101,22 +106,21 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
       const fetchUserSettings = async () => {
         try {
           // setLoading(true) // setLoading is not defined
-          // This would be an API call in a real app
-          // const { data } = await axios.get("/api/users/settings")
-
-          // For now, we'll use default settings
-          // In a real app, these would come from the API
-          setPrivacySettings({
-            allowTagging: true,
-            showOnlineStatus: true,
-            showReadReceipts: true,
-          });
+          const { data } = await axios.get("/api/users/settings");
+          if (data.success) {
+            const { settings } = data.data;
+            setPrivacySettings({
+              allowTagging: settings.allowTagging,
+              showOnlineStatus: settings.showOnlineStatus,
+              showReadReceipts: settings.showReadReceipts,
+              profileVisibility: settings.profileVisibility,
+              contentFilter: settings.contentFilter,
+            });
+          }
 
           setNotificationsEnabled(true);
 
           setAccountSettings({
-            username: user.username,
-            email: user.email || "", // Add email to the auth context if not already there
             bio: user.bio || "",
           });
 
@@ -178,7 +182,6 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
             if (user) {
               updateUser({
                 ...user,
-                username: accountSettings.username,
                 bio: accountSettings.bio,
               });
             }
@@ -191,11 +194,7 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
       if (section === "privacy") {
         // In a real app, we would update the user settings on the server
         try {
-          // This would be an API call in a real app
-          // await axios.put("/api/users/settings/privacy", privacySettings)
-
-          // For now, we'll just log the settings
-          console.log("Privacy settings updated:", privacySettings);
+          await axios.put("/api/users/settings", privacySettings);
 
           // Emit socket event to update online status visibility if it changed
           const socket = window.socket;
@@ -237,9 +236,15 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
               confirmPassword: "",
             });
 
+            const revoked = data.data?.revokedSessions || 0;
             toast({
               title: "Success",
-              description: "Your password has been updated successfully",
+              description:
+                revoked > 0
+                  ? `Your password has been updated and ${revoked} other ${
+                      revoked === 1 ? "device was" : "devices were"
+                    } signed out`
+                  : "Your password has been updated successfully",
             });
           }
         } catch (error: any) {
@@ -363,34 +368,9 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
 
             {/* Account Settings */}
             <TabsContent value="account" className="space-y-4">
-              <div className="space-y-2">
-                <Label htmlFor="username">Username</Label>
-                <Input
-                  id="username"
-                  value={accountSettings.username}
-                  onChange={(e) =>
-                    setAccountSettings({
-                      ...accountSettings,
-                      username: e.target.value,
-                    })
-                  }
-                />
-              </div>
+              <UsernameSettings />
 
-              <div className="space-y-2">
-                <Label htmlFor="email">Email</Label>
-                <Input
-                  id="email"
-                  type="email"
-                  value={accountSettings.email}
-                  onChange={(e) =>
-                    setAccountSettings({
-                      ...accountSettings,
-                      email: e.target.value,
-                    })
-                  }
-                />
-              </div>
+              <EmailSettings />
 
               <div className="space-y-2">
                 <Label htmlFor="bio">Bio</Label>
@@ -498,6 +478,77 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
                 />
               </div>
 
+              <div className="space-y-2">
+                <div className="space-y-0.5">
+                  <Label>Profile Visibility</Label>
+                  <div className="text-sm text-muted-foreground">
+                    Choose who can see your memes and followers
+                  </div>
+                </div>
+                <RadioGroup
+                  value={privacySettings.profileVisibility}
+                  onValueChange={(value) =>
+                    setPrivacySettings({
+                      ...privacySettings,
+                      profileVisibility: value,
+                    })
+                  }
+                >
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="public" id="visibility-public" />
+                    <Label htmlFor="visibility-public">Everyone</Label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem
+                      value="followers"
+                      id="visibility-followers"
+                    />
+                    <Label htmlFor="visibility-followers">Followers only</Label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="private" id="visibility-private" />
+                    <Label htmlFor="visibility-private">
+                      Private (approve new followers)
+                    </Label>
+                  </div>
+                </RadioGroup>
+              </div>
+
+              <div className="space-y-2">
+                <div className="space-y-0.5">
+                  <Label>Content Filter</Label>
+                  <div className="text-sm text-muted-foreground">
+                    Choose which memes show up in your feeds
+                  </div>
+                </div>
+                <RadioGroup
+                  value={privacySettings.contentFilter}
+                  onValueChange={(value) =>
+                    setPrivacySettings({
+                      ...privacySettings,
+                      contentFilter: value,
+                    })
+                  }
+                >
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="strict" id="filter-strict" />
+                    <Label htmlFor="filter-strict">
+                      Strict (hide sensitive and mature memes)
+                    </Label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="standard" id="filter-standard" />
+                    <Label htmlFor="filter-standard">
+                      Standard (blur sensitive, hide mature memes)
+                    </Label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="none" id="filter-none" />
+                    <Label htmlFor="filter-none">Off (show everything)</Label>
+                  </div>
+                </RadioGroup>
+              </div>
+
               <div className="flex items-center justify-between">
                 <div className="space-y-0.5">
                   <Label htmlFor="online-status">Show Online Status</Label>
@@ -549,6 +600,10 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
                   {isSaving ? "Saving..." : "Save Changes"}
                 </Button>
               </div>
+
+              <div className="space-y-4 border-t pt-4">
+                <BlockedUsers />
+              </div>
             </TabsContent>
 
             {/* Security Settings */}
@@ -649,6 +704,10 @@ export function SettingsDialog({ open, onOpenChange }: SettingsDialogProps) {
                 </div>
               </div>
 
+              <TwoFactorSettings />
+
+              <ActiveSessions />
+
               <div className="space-y-4 pt-2">
                 <h3 className="text-lg font-medium text-destructive flex items-center gap-2">
                   <AlertTriangle className="h-5 w-5" />
@@ -3,18 +3,65 @@
 import { useState, useEffect } from "react";
 import type { Post as PostType } from "@/lib/types";
 import { Post } from "@/components/post";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Flame } from "lucide-react";
 import axios from "axios";
 
+// Categories for memes
+const categories = [
+  { name: "All categories", value: "all" },
+  { name: "Entertainment", value: "entertainment" },
+  { name: "Sports", value: "sports" },
+  { name: "Gaming", value: "gaming" },
+  { name: "Technology", value: "technology" },
+  { name: "Fashion", value: "fashion" },
+  { name: "Music", value: "music" },
+  { name: "TV Shows", value: "tv" },
+  { name: "Other", value: "other" },
+];
+
+// Explain which engagement put a post on the trending list
+const describeTrending = (trending: NonNullable<PostType["trending"]>) => {
+  const parts = [
+    `${trending.likes} ${trending.likes === 1 ? "like" : "likes"}`,
+    `${trending.comments} ${trending.comments === 1 ? "comment" : "comments"}`,
+    `${trending.shares} ${trending.shares === 1 ? "share" : "shares"}`,
+  ];
+  if (trending.commentLikes > 0) {
+    parts.push(
+      `${trending.commentLikes} comment ${
+        trending.commentLikes === 1 ? "like" : "likes"
+      }`
+    );
+  }
+  return parts.join(" · ");
+};
+
 export function TrendingPage() {
   const [posts, setPosts] = useState<PostType[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [timeFrame, setTimeFrame] = useState("week");
+  const [category, setCategory] = useState("all");
 
   useEffect(() => {
     const fetchTrendingPosts = async () => {
       try {
         setLoading(true);
-        const { data } = await axios.get("/api/posts/trending");
+        setError(null);
+        const { data } = await axios.get("/api/posts/trending", {
+          params: {
+            timeFrame,
+            category: category === "all" ? undefined : category,
+          },
+        });
         if (data.success) {
           setPosts(data.data || []);
         }
@@ -27,7 +74,7 @@ export function TrendingPage() {
     };
 
     fetchTrendingPosts();
-  }, []);
+  }, [timeFrame, category]);
 
   // Update the handleLikePost function to handle post updates
   const handleLikePost = async (postId: string) => {
@@ -117,32 +164,46 @@ export function TrendingPage() {
     }
   };
 
-  if (loading) {
-    return (
-      <div className="mx-auto max-w-2xl space-y-6">
+  const filters = (
+    <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+      <Tabs value={timeFrame} onValueChange={setTimeFrame}>
+        <TabsList>
+          <TabsTrigger value="day">Today</TabsTrigger>
+          <TabsTrigger value="week">This Week</TabsTrigger>
+          <TabsTrigger value="month">This Month</TabsTrigger>
+        </TabsList>
+      </Tabs>
+      <Select value={category} onValueChange={setCategory}>
+        <SelectTrigger className="w-full sm:w-[180px]">
+          <SelectValue placeholder="Category" />
+        </SelectTrigger>
+        <SelectContent>
+          {categories.map((option) => (
+            <SelectItem key={option.value} value={option.value}>
+              {option.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+
+  return (
+    <div className="mx-auto max-w-2xl space-y-6">
+      <h1 className="text-2xl font-bold mb-6">Trending Memes</h1>
+
+      {filters}
+
+      {loading ? (
         <div className="flex justify-center py-12">
           <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
         </div>
-      </div>
-    );
-  }
-
-  if (error) {
-    return (
-      <div className="mx-auto max-w-2xl space-y-6">
+      ) : error ? (
         <div className="flex flex-col items-center justify-center rounded-lg border border-destructive p-12 text-center">
           <h3 className="text-lg font-medium text-destructive">Error</h3>
           <p className="text-muted-foreground">{error}</p>
         </div>
-      </div>
-    );
-  }
-
-  return (
-    <div className="mx-auto max-w-2xl space-y-6">
-      <h1 className="text-2xl font-bold mb-6">Trending Memes</h1>
-
-      {posts.length === 0 ? (
+      ) : posts.length === 0 ? (
         <div className="flex flex-col items-center justify-center rounded-lg border border-dashed p-12 text-center">
           <h3 className="text-lg font-medium">No trending memes</h3>
           <p className="text-muted-foreground">
@@ -152,13 +213,20 @@ export function TrendingPage() {
       ) : (
         <div className="space-y-6">
           {posts.map((post) => (
-            <Post
-              key={post.id}
-              post={post}
-              onDelete={handleDeletePost}
-              onLike={handleLikePost}
-              onComment={handleAddComment}
-            />
+            <div key={post.id} className="space-y-2">
+              {post.trending && (
+                <p className="flex items-center gap-1 text-xs text-muted-foreground">
+                  <Flame className="h-3 w-3 text-orange-500" />
+                  Trending for {describeTrending(post.trending)}
+                </p>
+              )}
+              <Post
+                post={post}
+                onDelete={handleDeletePost}
+                onLike={handleLikePost}
+                onComment={handleAddComment}
+              />
+            </div>
           ))}
         </div>
       )}
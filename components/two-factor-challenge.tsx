@@ -0,0 +1,81 @@
+"use client"
+
+import type React from "react"
+
+import { useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { useAuth } from "@/components/auth-provider"
+
+interface TwoFactorChallengeProps {
+  onVerified: () => void
+  onCancel: () => void
+}
+
+// Second step of logging in to an account with two-factor authentication
+export function TwoFactorChallenge({ onVerified, onCancel }: TwoFactorChallengeProps) {
+  const { verifyTwoFactor } = useAuth()
+  const [code, setCode] = useState("")
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [isVerifying, setIsVerifying] = useState(false)
+  const [error, setError] = useState("")
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsVerifying(true)
+    setError("")
+
+    const verified = await verifyTwoFactor(useRecoveryCode ? { recoveryCode: code } : { code })
+    setIsVerifying(false)
+
+    if (verified) {
+      onVerified()
+    } else {
+      setError(useRecoveryCode ? "That recovery code isn't valid" : "That code isn't right. Try the latest one.")
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="two-factor-code">{useRecoveryCode ? "Recovery code" : "Authentication code"}</Label>
+        <Input
+          id="two-factor-code"
+          placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+          inputMode={useRecoveryCode ? "text" : "numeric"}
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          autoFocus
+          required
+        />
+        <p className="text-xs text-muted-foreground">
+          {useRecoveryCode
+            ? "Enter one of the recovery codes you saved when you turned on two-factor authentication."
+            : "Enter the 6-digit code from your authenticator app."}
+        </p>
+      </div>
+      {error && <p className="text-sm text-destructive">{error}</p>}
+      <Button type="submit" className="w-full" disabled={isVerifying || !code.trim()}>
+        {isVerifying ? "Verifying..." : "Verify"}
+      </Button>
+      <div className="flex justify-between text-xs">
+        <button
+          type="button"
+          className="text-primary hover:underline"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode)
+            setCode("")
+            setError("")
+          }}
+        >
+          {useRecoveryCode ? "Use your authenticator app" : "Use a recovery code"}
+        </button>
+        <button type="button" className="text-muted-foreground hover:underline" onClick={onCancel}>
+          Back to login
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,289 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { ShieldCheck } from "lucide-react";
+import { useAuth } from "@/components/auth-provider";
+import { toast } from "@/hooks/use-toast";
+import axios from "axios";
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  recoveryCodesLeft: number;
+  required: boolean;
+}
+
+interface TwoFactorSetup {
+  secret: string;
+  qrCode: string;
+}
+
+type Step = "idle" | "setup" | "recoveryCodes" | "disable" | "regenerate";
+
+// Turning two-factor authentication on and off, and its recovery codes
+export function TwoFactorSettings() {
+  const { reloadUser } = useAuth();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [step, setStep] = useState<Step>("idle");
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchStatus = async () => {
+    try {
+      const { data } = await axios.get("/api/auth/2fa");
+      setStatus(data.data);
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const goTo = (next: Step) => {
+    setStep(next);
+    setCode("");
+    setPassword("");
+    setError("");
+  };
+
+  // Run a two-factor request, showing the server's message when it fails
+  const submit = async (request: () => Promise<void>) => {
+    setIsSubmitting(true);
+    setError("");
+    try {
+      await request();
+    } catch (error: any) {
+      console.error("Error updating two-factor settings:", error);
+      setError(
+        error.response?.data?.message || "Something went wrong. Please try again."
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    submit(async () => {
+      const { data } = await axios.post("/api/auth/2fa/setup");
+      setSetup(data.data);
+      goTo("setup");
+    });
+
+  const handleEnable = () =>
+    submit(async () => {
+      const { data } = await axios.post("/api/auth/2fa/enable", { code });
+      setRecoveryCodes(data.data.recoveryCodes);
+      setSetup(null);
+      goTo("recoveryCodes");
+      await Promise.all([fetchStatus(), reloadUser()]);
+    });
+
+  const handleDisable = () =>
+    submit(async () => {
+      await axios.post("/api/auth/2fa/disable", { password, code });
+      goTo("idle");
+      toast({
+        title: "Success",
+        description: "Two-factor authentication is off",
+      });
+      await Promise.all([fetchStatus(), reloadUser()]);
+    });
+
+  const handleRegenerate = () =>
+    submit(async () => {
+      const { data } = await axios.post("/api/auth/2fa/recovery-codes", {
+        code,
+      });
+      setRecoveryCodes(data.data.recoveryCodes);
+      goTo("recoveryCodes");
+      await fetchStatus();
+    });
+
+  const codeInput = (
+    <div className="space-y-2">
+      <Label htmlFor="two-factor-settings-code">Authentication code</Label>
+      <Input
+        id="two-factor-settings-code"
+        placeholder="123456"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+      />
+    </div>
+  );
+
+  if (!status) return null;
+
+  return (
+    <div className="space-y-4 border-b pb-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" />
+          Two-Factor Authentication
+        </h3>
+        <Badge variant={status.enabled ? "secondary" : "outline"}>
+          {status.enabled ? "On" : "Off"}
+        </Badge>
+      </div>
+
+      {error && (
+        <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {step === "idle" && !status.enabled && (
+        <>
+          <p className="text-sm text-muted-foreground">
+            {status.required
+              ? "Admins have to use two-factor authentication. "
+              : ""}
+            Ask for a code from an authenticator app whenever you log in.
+          </p>
+          <div className="flex justify-end">
+            <Button onClick={handleStartSetup} disabled={isSubmitting}>
+              Set up
+            </Button>
+          </div>
+        </>
+      )}
+
+      {step === "idle" && status.enabled && (
+        <>
+          <p className="text-sm text-muted-foreground">
+            You have {status.recoveryCodesLeft} recovery{" "}
+            {status.recoveryCodesLeft === 1 ? "code" : "codes"} left.
+          </p>
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => goTo("regenerate")}>
+              New recovery codes
+            </Button>
+            {!status.required && (
+              <Button variant="outline" onClick={() => goTo("disable")}>
+                Turn off
+              </Button>
+            )}
+          </div>
+        </>
+      )}
+
+      {step === "setup" && setup && (
+        <>
+          <p className="text-sm text-muted-foreground">
+            Scan the QR code with your authenticator app, or enter the key by
+            hand, then type the code it shows.
+          </p>
+          <div className="flex flex-col items-center gap-2">
+            <img
+              src={setup.qrCode}
+              alt="Two-factor QR code"
+              className="h-40 w-40 rounded-md bg-white p-2"
+            />
+            <code className="text-xs break-all">{setup.secret}</code>
+          </div>
+          {codeInput}
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => goTo("idle")}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleEnable}
+              disabled={isSubmitting || !code.trim()}
+            >
+              Turn on
+            </Button>
+          </div>
+        </>
+      )}
+
+      {step === "recoveryCodes" && (
+        <>
+          <p className="text-sm text-muted-foreground">
+            Save these recovery codes somewhere safe. Each one logs you in once
+            if you lose your authenticator app, and they won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 rounded-md bg-muted p-3 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button
+              variant="outline"
+              onClick={() =>
+                navigator.clipboard.writeText(recoveryCodes.join("\n"))
+              }
+            >
+              Copy
+            </Button>
+            <Button
+              onClick={() => {
+                setRecoveryCodes([]);
+                goTo("idle");
+              }}
+            >
+              Done
+            </Button>
+          </div>
+        </>
+      )}
+
+      {step === "regenerate" && (
+        <>
+          <p className="text-sm text-muted-foreground">
+            Your old recovery codes will stop working.
+          </p>
+          {codeInput}
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => goTo("idle")}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleRegenerate}
+              disabled={isSubmitting || !code.trim()}
+            >
+              Get new codes
+            </Button>
+          </div>
+        </>
+      )}
+
+      {step === "disable" && (
+        <>
+          <div className="space-y-2">
+            <Label htmlFor="two-factor-password">Password</Label>
+            <Input
+              id="two-factor-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </div>
+          {codeInput}
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => goTo("idle")}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleDisable}
+              disabled={isSubmitting || !password || !code.trim()}
+            >
+              Turn off
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { X } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Badge } from "@/components/ui/badge";
+import axios from "axios";
+
+export interface PickedUser {
+  id: string;
+  username: string;
+  profilePicture?: string;
+}
+
+interface UserPickerProps {
+  selected: PickedUser[];
+  onChange: (users: PickedUser[]) => void;
+  // Users that can't be picked, e.g. existing group members
+  excludeIds?: string[];
+}
+
+// Search for users by name and collect a list of them
+export function UserPicker({
+  selected,
+  onChange,
+  excludeIds = [],
+}: UserPickerProps) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState<PickedUser[]>([]);
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+
+    // Wait for the user to stop typing before searching
+    const timeoutId = setTimeout(async () => {
+      try {
+        const { data } = await axios.get(
+          `/api/users/search?q=${encodeURIComponent(query.trim())}`
+        );
+        setResults(data.data);
+      } catch (error) {
+        console.error("Error searching users:", error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [query]);
+
+  const available = results.filter(
+    (result) =>
+      !excludeIds.includes(result.id) &&
+      !selected.some((picked) => picked.id === result.id)
+  );
+
+  return (
+    <div className="space-y-2">
+      {selected.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {selected.map((picked) => (
+            <Badge key={picked.id} variant="secondary" className="gap-1">
+              @{picked.username}
+              <button
+                type="button"
+                onClick={() =>
+                  onChange(selected.filter((user) => user.id !== picked.id))
+                }
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+
+      <Input
+        placeholder="Search people..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+
+      {available.length > 0 && (
+        <div className="max-h-48 overflow-y-auto rounded-md border">
+          {available.map((result) => (
+            <button
+              key={result.id}
+              type="button"
+              className="flex w-full items-center gap-2 p-2 text-left hover:bg-muted"
+              onClick={() => {
+                onChange([...selected, result]);
+                setQuery("");
+              }}
+            >
+              <Avatar className="h-7 w-7">
+                <AvatarImage src={result.profilePicture} alt={result.username} />
+                <AvatarFallback>
+                  {result.username.charAt(0).toUpperCase()}
+                </AvatarFallback>
+              </Avatar>
+              <span className="text-sm">@{result.username}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useAuth } from "@/components/auth-provider";
+import { toast } from "@/hooks/use-toast";
+import axios from "axios";
+
+interface Availability {
+  available: boolean;
+  message?: string;
+}
+
+// Changing the username, checking it's free while the user types
+export function UsernameSettings() {
+  const { user, reloadUser } = useAuth();
+  const [username, setUsername] = useState(user?.username || "");
+  const [availability, setAvailability] = useState<Availability | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setUsername(user?.username || "");
+  }, [user?.username]);
+
+  useEffect(() => {
+    setAvailability(null);
+    const wanted = username.trim();
+    if (!wanted || wanted === user?.username) return;
+
+    // Wait for the user to stop typing before checking
+    const timeoutId = setTimeout(async () => {
+      try {
+        const { data } = await axios.get(
+          `/api/users/username-available?${new URLSearchParams({ username: wanted })}`
+        );
+        setAvailability(data.data);
+      } catch (error) {
+        console.error("Error checking username:", error);
+      }
+    }, 400);
+
+    return () => clearTimeout(timeoutId);
+  }, [username, user?.username]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+    try {
+      const { data } = await axios.put("/api/users/me/username", {
+        username: username.trim(),
+      });
+      await reloadUser();
+      toast({
+        title: "Username changed",
+        description: `You're now @${data.data.username}. Links to your old profile will keep working for a while.`,
+      });
+    } catch (error: any) {
+      console.error("Error changing username:", error);
+      setError(
+        error.response?.data?.message || "Something went wrong. Please try again."
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const unchanged = !username.trim() || username.trim() === user?.username;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <Label htmlFor="username">Username</Label>
+      <div className="flex gap-2">
+        <Input
+          id="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+        />
+        <Button
+          type="submit"
+          variant="outline"
+          disabled={isSubmitting || unchanged || availability?.available === false}
+        >
+          {isSubmitting ? "Changing..." : "Change"}
+        </Button>
+      </div>
+      {availability && (
+        <p
+          className={`text-sm ${
+            availability.available ? "text-green-500" : "text-red-500"
+          }`}
+        >
+          {availability.available ? "Available" : availability.message}
+        </p>
+      )}
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      <p className="text-sm text-muted-foreground">
+        You can change your username once a month. Mentions of your old one
+        are updated for you.
+      </p>
+    </form>
+  );
+}
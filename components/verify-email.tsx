@@ -0,0 +1,68 @@
+"use client"
+
+import { useEffect, useRef, useState } from "react"
+import { useSearchParams } from "next/navigation"
+import { Card, CardContent, CardDescription, CardFooter, CardHeader } from "@/components/ui/card"
+import { useAuth } from "@/components/auth-provider"
+import { LaughIcon } from "lucide-react"
+import axios from "axios"
+
+export function VerifyEmail() {
+  const searchParams = useSearchParams()
+  const token = searchParams.get("token") || ""
+  const { user } = useAuth()
+  const [status, setStatus] = useState<"verifying" | "verified" | "failed">("verifying")
+  const [message, setMessage] = useState("")
+  // Tokens are single-use, so only send it once even if the effect runs again
+  const sentRef = useRef(false)
+
+  useEffect(() => {
+    if (sentRef.current) return
+    sentRef.current = true
+
+    const verify = async () => {
+      try {
+        const { data } = await axios.post("/api/auth/verify-email", { token })
+        setStatus("verified")
+        setMessage(data.message)
+      } catch (error: any) {
+        console.error("Email verification error:", error)
+        setStatus("failed")
+        setMessage(error.response?.data?.message || "We couldn't verify your email.")
+      }
+    }
+
+    verify()
+  }, [token])
+
+  return (
+    <Card className="w-full max-w-md shadow-lg animate-fade-in">
+      <CardHeader className="space-y-2 text-center">
+        <div className="flex justify-center">
+          <div className="flex items-center gap-2 text-2xl font-bold">
+            <LaughIcon className="h-8 w-8 text-primary" />
+            ChuckleChain
+          </div>
+        </div>
+        <CardDescription>Email verification</CardDescription>
+      </CardHeader>
+      <CardContent className="text-center">
+        {status === "verifying" ? (
+          <div className="flex justify-center">
+            <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+          </div>
+        ) : (
+          <p className={status === "failed" ? "text-sm text-destructive" : "text-sm text-muted-foreground"}>
+            {message}
+          </p>
+        )}
+      </CardContent>
+      <CardFooter className="justify-center">
+        {/* A full page load picks up the verified account */}
+        <a href={user ? "/feed" : "/"} className="text-sm text-primary hover:underline">
+          {user ? "Go to your feed" : "Go to login"}
+        </a>
+      </CardFooter>
+    </Card>
+  )
+}
@@ -0,0 +1,41 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+
+// Calls onLoadMore when the element attached to the returned ref scrolls
+// into view. Pass enabled=false while a page is loading or when there are
+// no more pages.
+export function useInfiniteScroll<T extends HTMLElement = HTMLDivElement>(
+  onLoadMore: () => void,
+  enabled: boolean
+) {
+  const sentinelRef = useRef<T>(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  // Keep the latest callback without re-creating the observer
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  }, [onLoadMore]);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !enabled) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          onLoadMoreRef.current();
+        }
+      },
+      // Start loading a little before the user reaches the bottom
+      { rootMargin: "200px" }
+    );
+
+    observer.observe(sentinel);
+
+    // Clean up
+    return () => observer.disconnect();
+  }, [enabled]);
+
+  return sentinelRef;
+}
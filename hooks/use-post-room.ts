@@ -0,0 +1,140 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import io from "socket.io-client";
+import type { Comment } from "@/lib/types";
+import { acknowledgeDeliveries } from "@/lib/socket";
+
+export interface PostLikedEvent {
+  postId: string;
+  userId: string;
+  isLiked: boolean;
+  likeCount: number;
+}
+
+export interface CommentAddedEvent {
+  postId: string;
+  userId: string;
+  comment: Comment;
+}
+
+export interface CommentLikedEvent {
+  postId: string;
+  userId: string;
+  commentId: string;
+  isLiked: boolean;
+  likeCount: number;
+}
+
+export interface CommentDeletedEvent {
+  postId: string;
+  commentIds: string[];
+}
+
+export interface PostRoomHandlers {
+  onPostLiked?: (event: PostLikedEvent) => void;
+  onCommentAdded?: (event: CommentAddedEvent) => void;
+  onCommentLiked?: (event: CommentLikedEvent) => void;
+  onCommentDeleted?: (event: CommentDeletedEvent) => void;
+}
+
+// Reuse the socket opened by the messages or notifications page or by
+// another post, or open one. A socket that is still connecting counts, so
+// posts mounted together share one connection; only one closed for good is
+// replaced.
+function getSocket() {
+  const existing = (window as any).socket;
+  if (existing && (existing.connected || existing.active)) return existing;
+
+  const token = document.cookie.split("token=")[1]?.split(";")[0];
+  if (!token) return null;
+
+  const socket = io(
+    process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001",
+    {
+      withCredentials: true,
+      auth: { token },
+      reconnection: true,
+      reconnectionAttempts: 5,
+      reconnectionDelay: 1000,
+    }
+  );
+  acknowledgeDeliveries(socket);
+
+  (window as any).socket = socket;
+  return socket;
+}
+
+// Joins the socket room of a post while the element attached to the returned
+// ref is on screen, and calls the handlers with live like and comment updates.
+export function usePostRoom<T extends HTMLElement = HTMLDivElement>(
+  postId: string,
+  handlers: PostRoomHandlers
+) {
+  const elementRef = useRef<T>(null);
+  const handlersRef = useRef(handlers);
+
+  // Keep the latest handlers without rejoining the room
+  useEffect(() => {
+    handlersRef.current = handlers;
+  }, [handlers]);
+
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!element) return;
+
+    const socket = getSocket();
+    if (!socket) return;
+
+    let onScreen = false;
+
+    const observer = new IntersectionObserver((entries) => {
+      const isIntersecting = entries[0].isIntersecting;
+      if (isIntersecting === onScreen) return;
+
+      onScreen = isIntersecting;
+      socket.emit(onScreen ? "joinPost" : "leavePost", postId);
+    });
+
+    observer.observe(element);
+
+    // Rooms are dropped when the connection is lost, so join again
+    const handleConnect = () => {
+      if (onScreen) socket.emit("joinPost", postId);
+    };
+
+    // Only pass on events about this post
+    const forThisPost =
+      <E extends { postId: string }>(
+        getHandler: () => ((event: E) => void) | undefined
+      ) =>
+      (event: E) => {
+        if (event.postId === postId) getHandler()?.(event);
+      };
+
+    const listeners: Record<string, (event: any) => void> = {
+      postLiked: forThisPost(() => handlersRef.current.onPostLiked),
+      commentAdded: forThisPost(() => handlersRef.current.onCommentAdded),
+      commentLiked: forThisPost(() => handlersRef.current.onCommentLiked),
+      commentDeleted: forThisPost(() => handlersRef.current.onCommentDeleted),
+    };
+
+    socket.on("connect", handleConnect);
+    Object.entries(listeners).forEach(([event, listener]) =>
+      socket.on(event, listener)
+    );
+
+    // Clean up
+    return () => {
+      observer.disconnect();
+      if (onScreen) socket.emit("leavePost", postId);
+
+      socket.off("connect", handleConnect);
+      Object.entries(listeners).forEach(([event, listener]) =>
+        socket.off(event, listener)
+      );
+    };
+  }, [postId]);
+
+  return elementRef;
+}
@@ -0,0 +1,13 @@
+import type { Socket } from "socket.io-client"
+
+// Events the server queues for replay until a device acknowledges them
+const DELIVERED_EVENTS = ["newMessage", "newNotification"]
+
+// Acknowledge messages and notifications as soon as they reach this device,
+// whichever page is open, so the server doesn't keep them queued for replay.
+// Call once on every socket right after creating it.
+export function acknowledgeDeliveries(socket: Socket) {
+  for (const event of DELIVERED_EVENTS) {
+    socket.on(event, (_payload: unknown, ack?: () => void) => ack?.())
+  }
+}
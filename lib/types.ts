@@ -6,6 +6,12 @@ export interface User {
   bio?: string
   role?: string
   fullName?: string
+  // false until a new account confirms its email address
+  emailVerified?: boolean
+  // New email waiting to be confirmed from the link sent to it
+  pendingEmail?: string
+  usernameChangedAt?: string
+  twoFactorEnabled?: boolean
 }
 
 export interface UserProfile {
@@ -19,7 +25,32 @@ export interface UserProfile {
   following: number
   isFollowing: boolean
   posts: Post[]
+  postCount?: number
   joinDate?: string
+  visibility?: "public" | "followers" | "private"
+  canView?: boolean
+  followRequested?: boolean
+  // Whether the current user has blocked or muted this user
+  isBlocked?: boolean
+  isMuted?: boolean
+}
+
+// A device the current user is signed in on
+export interface AuthSession {
+  id: string
+  userAgent: string
+  ip: string
+  createdAt: string
+  lastUsedAt: string
+  current: boolean
+}
+
+// A user in a short list, e.g. the blocked or muted users
+export interface ListedUser {
+  id: string
+  username: string
+  profilePicture: string
+  fullName: string
 }
 
 export interface Post {
@@ -39,6 +70,15 @@ export interface Post {
   memeTexts?: MemeText[]
   captionPlacement: string
   taggedUsers?: Array<{ id: string; username: string }>
+  contentRating?: "general" | "sensitive" | "mature"
+  blurred?: boolean
+  trending?: {
+    score: number
+    likes: number
+    comments: number
+    commentLikes: number
+    shares: number
+  }
 }
 
 export interface Comment {
@@ -71,30 +111,67 @@ export interface MemeText {
 
 export interface Conversation {
   id: string
-  user: {
+  isGroup?: boolean
+  // The other user, for direct conversations
+  user?: {
     id: string
     username: string
     profilePicture: string
   }
+  // Group details, for group conversations
+  name?: string
+  avatar?: string | null
+  admins?: string[]
+  members?: ConversationMember[]
+  // Direct conversations where either user blocked the other
+  isBlocked?: boolean
   messages: Message[]
+  // Whether older messages can be loaded by scrolling back
+  hasMoreMessages?: boolean
+  // Set while showing an earlier part of the history, e.g. after jumping to
+  // a search result
+  hasNewerMessages?: boolean
+  unreadCount?: number
   lastMessage: {
     text: string
     timestamp: string
   }
 }
 
+export interface ConversationMember {
+  id: string
+  username: string
+  profilePicture: string
+  isAdmin: boolean
+}
+
 export interface Message {
   id: string
   senderId: string
   text: string
   timestamp: string
   read: boolean
+  status?: "sent" | "delivered" | "read"
+  receipts?: MessageReceipt[]
+  reactions?: MessageReaction[]
+  editedAt?: string | null
   conversationId: string
   image?: string | null
   replyTo?: string | null
   sharedPost?: SharedPost | null
 }
 
+export interface MessageReceipt {
+  userId: string
+  deliveredAt: string | null
+  readAt: string | null
+}
+
+export interface MessageReaction {
+  userId: string
+  emoji: string
+}
+
 export interface SharedPost {
   id: string
   text: string
@@ -121,6 +198,16 @@ export interface Notification {
   userFollowedBack?: boolean
 }
 
+export interface FollowRequest {
+  id: string
+  user: {
+    id: string
+    username: string
+    profilePicture: string
+  }
+  createdAt: string
+}
+
 export interface AdminStats {
   users: {
     total: number